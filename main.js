@@ -5,11 +5,19 @@ if (process.platform === 'linux') {
   process.env.GDK_BACKEND = 'x11';
 }
 
-const { app, BrowserWindow, ipcMain, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, nativeImage, screen } = require('electron');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const vm = require('vm');
+const { execFile } = require('child_process');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const archiver = require('archiver');
+const yauzl = require('yauzl');
+const YAML = require('yaml');
+const ignore = require('ignore');
+const { marked } = require('marked');
 const { z } = require('zod');
 
 // Additional GPU flags to prevent atom cache / SIGILL crashes on Linux
@@ -36,13 +44,28 @@ const saveSkillSchema = z.object({
 
 const createZipSchema = z.object({
   skillPath: z.string().min(1),
-  skillName: z.string().min(1).max(255)
+  skillName: z.string().min(1).max(255),
+  reproducible: z.boolean().default(false)
 });
 
 const deleteSkillSchema = z.object({
   skillPath: z.string().min(1)
 });
 
+const getSkillListEntrySchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const renameSkillSchema = z.object({
+  skillPath: z.string().min(1),
+  newName: z.string().min(1).max(255)
+});
+
+const duplicateSkillSchema = z.object({
+  skillPath: z.string().min(1),
+  newName: z.string().min(1).max(255).optional()
+});
+
 const createFileSchema = z.object({
   skillPath: z.string().min(1),
   filePath: z.string().min(1),
@@ -59,6 +82,12 @@ const deleteFileOrFolderSchema = z.object({
   targetPath: z.string().min(1)
 });
 
+const setExecutableSchema = z.object({
+  skillPath: z.string().min(1),
+  filePath: z.string().min(1),
+  executable: z.boolean()
+});
+
 const renameFileOrFolderSchema = z.object({
   skillPath: z.string().min(1),
   oldPath: z.string().min(1),
@@ -72,20 +101,266 @@ const moveFileSchema = z.object({
 });
 
 const loadFileSchema = z.object({
+  filePath: z.string().min(1),
+  // 'dataUrl' returns an image as a data: URL for the markdown preview
+  as: z.enum(['text', 'dataUrl']).default('text')
+});
+
+const importSkillZipSchema = z.object({
+  zipPath: z.string().min(1)
+});
+
+const importSkillFolderSchema = z.object({
+  folderPath: z.string().min(1)
+});
+
+const exportPackageSchema = z.object({
+  skillPath: z.string().min(1),
+  reproducible: z.boolean().default(false)
+});
+
+const exportPackagesSchema = z.object({
+  // Omit to export the whole library
+  skillPaths: z.array(z.string().min(1)).min(1).optional(),
+  reproducible: z.boolean().default(false)
+});
+
+const previewPackageSchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const createSkillIgnoreSchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const lintSkillSchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const linkRewriteSchema = z.object({
+  skillPath: z.string().min(1),
+  oldPath: z.string().min(1),
+  newPath: z.string().min(1)
+});
+
+const snapshotIdSchema = z.string().regex(/^\d+(-\d+)?$/);
+
+const listSnapshotsSchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const getSnapshotSchema = z.object({
+  skillPath: z.string().min(1),
+  snapshotId: snapshotIdSchema
+});
+
+const getSnapshotFileSchema = z.object({
+  skillPath: z.string().min(1),
+  snapshotId: snapshotIdSchema,
   filePath: z.string().min(1)
 });
 
-// File utilities
-const EDITABLE_EXTENSIONS = new Set([
+const restoreSnapshotSchema = z.object({
+  skillPath: z.string().min(1),
+  snapshotId: snapshotIdSchema,
+  filePath: z.string().min(1).optional()
+});
+
+const gitSkillSchema = z.object({
+  skillPath: z.string().min(1)
+});
+
+const gitDiffSchema = z.object({
+  skillPath: z.string().min(1),
+  filePath: z.string().min(1)
+});
+
+const gitCommitSchema = z.object({
+  skillPath: z.string().min(1),
+  message: z.string().trim().min(1).max(5000)
+});
+
+const installTargetSchema = z.object({
+  target: z.string().min(1)
+});
+
+const addInstallTargetSchema = z.object({
+  projectPath: z.string().min(1)
+});
+
+const installSkillSchema = z.object({
+  skillPath: z.string().min(1),
+  target: z.string().min(1),
+  mode: z.enum(['copy', 'symlink'])
+});
+
+const installedSkillSchema = z.object({
+  target: z.string().min(1),
+  name: z.string().min(1).max(255).regex(/^[^/\\]+$/).refine(name => name !== '.' && name !== '..')
+});
+
+const trashIdSchema = z.string().regex(/^\d+$/);
+
+const restoreFromTrashSchema = z.object({
+  id: trashIdSchema
+});
+
+const purgeTrashSchema = z.object({
+  id: trashIdSchema.optional()
+});
+
+const searchLibrarySchema = z.object({
+  query: z.string().min(1).max(1000),
+  regex: z.boolean().default(false),
+  caseSensitive: z.boolean().default(false),
+  wholeWord: z.boolean().default(false),
+  skillPath: z.string().min(1).optional()
+});
+
+const previewReplaceSchema = searchLibrarySchema.extend({
+  replacement: z.string().max(10000)
+});
+
+const applyReplaceSchema = previewReplaceSchema.extend({
+  accepted: z.array(z.object({
+    skillPath: z.string().min(1),
+    files: z.array(z.object({
+      path: z.string().min(1),
+      matches: z.array(z.object({
+        line: z.number().int().positive(),
+        column: z.number().int().positive()
+      }))
+    }))
+  })).min(1)
+});
+
+const undoReplaceSchema = z.object({
+  operationId: z.string().regex(/^\d+$/)
+});
+
+const parseFrontmatterSchema = z.object({
+  content: z.string()
+});
+
+const renderMarkdownSchema = z.object({
+  content: z.string()
+});
+
+const confirmSaveBeforeSchema = z.object({
+  action: z.string().min(1).max(100),
+  fileCount: z.number().int().min(1)
+});
+
+const confirmCloseTabSchema = z.object({
+  fileName: z.string().min(1)
+});
+
+const workspaceStateSchema = z.object({
+  skillPath: z.string().nullable(),
+  filePath: z.string().nullable(),
+  cursor: z.object({
+    lineNumber: z.number().int().min(1),
+    column: z.number().int().min(1)
+  }).nullable(),
+  scrollTop: z.number().min(0),
+  scrollLeft: z.number().min(0),
+  collapsedFolders: z.record(z.array(z.string())),
+  pinnedTabs: z.array(z.object({
+    skillPath: z.string().min(1),
+    filePath: z.string().min(1)
+  })).max(200)
+});
+
+// Preferences. Every field has a default, so a partial or older settings.json still parses.
+const DEFAULT_EDITABLE_EXTENSIONS = [
   '.md', '.txt', '.js', '.py', '.json', '.html', '.css', '.yaml', '.yml',
   '.sh', '.bash', '.lua', '.rb', '.go', '.rs', '.ts', '.tsx', '.jsx'
-]);
+];
+
+const settingsSchema = z.object({
+  editor: z.object({
+    fontFamily: z.string().trim().min(1).max(200).default("'Lora', Georgia, serif"),
+    fontSize: z.number().int().min(8).max(40).default(14),
+    lineHeight: z.number().int().min(0).max(80).default(24), // 0 lets Monaco pick one from the font size
+    wordWrap: z.boolean().default(true),
+    lineNumbers: z.boolean().default(true),
+    minimap: z.boolean().default(false),
+    suggestions: z.boolean().default(false),
+    markdownPreview: z.boolean().default(false)
+  }).default({}),
+  autosave: z.object({
+    enabled: z.boolean().default(true),
+    debounceMs: z.number().int().min(200).max(60000).default(2000)
+  }).default({}),
+  packaging: z.object({
+    compressionLevel: z.number().int().min(0).max(9).default(9),
+    reproducible: z.boolean().default(true),
+    sizeThresholdMb: z.number().min(0).max(10240).default(1) // Package report flags larger files
+  }).default({}),
+  files: z.object({
+    maxFileSizeMb: z.number().int().min(1).max(1024).default(10),
+    editableExtensions: z.array(z.string().regex(/^\.[a-z0-9_+-]+$/)).max(200).default(DEFAULT_EDITABLE_EXTENSIONS)
+  }).default({}),
+  trash: z.object({
+    autoPurgeDays: z.number().int().min(0).max(3650).default(30) // 0 keeps items until the trash is emptied
+  }).default({}),
+  // The sidebar filter, kept between sessions rather than edited in the Preferences window
+  library: z.object({
+    text: z.string().max(1000).default(''),
+    sort: z.enum(['name', 'modified', 'size']).default('name'),
+    tags: z.array(z.string().max(200)).max(200).default([])
+  }).default({})
+});
+
+const windowBoundsSchema = z.object({
+  x: z.number().int(),
+  y: z.number().int(),
+  width: z.number().int().min(400),
+  height: z.number().int().min(300),
+  maximized: z.boolean().optional()
+});
+
+const updateFrontmatterSchema = z.object({
+  content: z.string(),
+  data: z.object({
+    name: z.string().optional(),
+    description: z.string().optional(),
+    license: z.string().optional(),
+    'allowed-tools': z.array(z.string()).optional(),
+    metadata: z.record(z.unknown()).optional()
+  })
+});
+
+// File utilities
+let appSettings = settingsSchema.parse({}); // Replaced by settings.json once the app is ready
 
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+function getMaxFileSize() {
+  return appSettings.files.maxFileSizeMb * 1024 * 1024;
+}
+
+// .skillignore: gitignore-style rules for files a package leaves out. The defaults always
+// apply first, so a skill's own rules can re-include something with `!pattern`.
+const SKILLIGNORE_FILE = '.skillignore';
+const DEFAULT_SKILLIGNORE_RULES = [
+  '# Hidden files and folders (.git, .DS_Store, .env, editor state, this file)',
+  '.*',
+  'node_modules/',
+  '__pycache__/',
+  '*.pyc',
+  '*.pyo',
+  '*.swp',
+  '*.swo',
+  '*~',
+  'Thumbs.db',
+  'desktop.ini'
+];
 
 function isEditableFile(filePath) {
+  if (path.basename(filePath) === SKILLIGNORE_FILE) {
+    return true;
+  }
   const ext = path.extname(filePath).toLowerCase();
-  return EDITABLE_EXTENSIONS.has(ext);
+  return appSettings.files.editableExtensions.includes(ext);
 }
 
 function sanitizeFileName(name) {
@@ -125,6 +400,88 @@ function sanitizeRelativePath(relativePath) {
   return sanitizedSegments.join(path.sep);
 }
 
+// Entries the file tree and folder import both leave out. .skillignore is the one
+// dotfile shown, so it can be edited like any other file.
+function isIgnoredTreeEntry(name) {
+  return (name.startsWith('.') && name !== SKILLIGNORE_FILE) || name === 'node_modules';
+}
+
+async function loadSkillIgnore(skillDir) {
+  const matcher = ignore().add(DEFAULT_SKILLIGNORE_RULES);
+  const ignoreFile = path.join(skillDir, SKILLIGNORE_FILE);
+  if (fsSync.existsSync(ignoreFile)) {
+    matcher.add(await fs.readFile(ignoreFile, 'utf-8'));
+  }
+  return matcher;
+}
+
+function isPackageExcluded(matcher, relativePath, isDirectory) {
+  const posixPath = toPosixPath(relativePath);
+  return matcher.ignores(isDirectory ? `${posixPath}/` : posixPath);
+}
+
+// Walk the whole skill folder, hidden entries included, and split it into what a package ships
+// and what .skillignore leaves out. Excluded folders are reported once, not file by file.
+// `ancestors` holds the real paths of the folders being listed, so linked folders can't loop
+async function listPackageFiles(skillDir, matcher, relativePath = '', result = { included: [], excluded: [] },
+  ancestors = new Set([fsSync.realpathSync(skillDir)])) {
+  const entries = await fs.readdir(path.join(skillDir, relativePath), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+    const fullPath = path.join(skillDir, entryPath);
+    const stats = await fs.stat(fullPath).catch(() => null);
+
+    // Links are packaged as the files they point to, and only when those stay in the skill.
+    // A linked folder leading back into a folder being listed, directly or through other links,
+    // would never finish.
+    if (entry.isSymbolicLink()) {
+      const unusable = getSymlinkStatus(fullPath, skillDir) !== 'inside' ||
+        (stats && stats.isDirectory() && ancestors.has(fsSync.realpathSync(fullPath)));
+      if (unusable) {
+        result.excluded.push({ path: entryPath, type: 'symlink' });
+        continue;
+      }
+    }
+
+    if (!stats) {
+      continue;
+    }
+
+    if (isPackageExcluded(matcher, entryPath, stats.isDirectory())) {
+      result.excluded.push({ path: entryPath, type: stats.isDirectory() ? 'folder' : 'file' });
+    } else if (stats.isDirectory()) {
+      const realDir = fsSync.realpathSync(fullPath);
+      await listPackageFiles(skillDir, matcher, entryPath, result, new Set([...ancestors, realDir]));
+    } else if (stats.isFile()) {
+      result.included.push({ path: entryPath, size: stats.size, mode: stats.mode });
+    }
+  }
+
+  return result;
+}
+
+// Flag file tree nodes that won't be packaged
+function markExcludedNodes(nodes, matcher, parentExcluded = false) {
+  for (const node of nodes) {
+    node.excluded = parentExcluded || isPackageExcluded(matcher, node.path, node.type === 'folder');
+    if (node.children) {
+      markExcludedNodes(node.children, matcher, node.excluded);
+    }
+  }
+  return nodes;
+}
+
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
 function getFileType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   if (['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'].includes(ext)) {
@@ -145,21 +502,47 @@ function getFileType(filePath) {
   return 'binary';
 }
 
-async function buildFileTree(dirPath, skillDirPath, relativePath = '') {
+// Linked folders inside the skill are listed with their contents, the way packages include
+// them, so the tree, snapshots and packages agree. `ancestors` holds the real paths of the
+// folders being listed; a link back into one of them is shown empty, as packaging skips it.
+async function buildFileTree(dirPath, skillDirPath, relativePath = '', ancestors = new Set([fsSync.realpathSync(dirPath)])) {
   const entries = await fs.readdir(dirPath, { withFileTypes: true });
   const tree = [];
 
   for (const entry of entries) {
     // Skip node_modules and hidden files/folders
-    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+    if (isIgnoredTreeEntry(entry.name)) {
       continue;
     }
 
     const fullPath = path.join(dirPath, entry.name);
     const relPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
 
-    if (entry.isDirectory()) {
-      const subtree = await buildFileTree(fullPath, skillDirPath, relPath);
+    if (entry.isSymbolicLink()) {
+      const status = getSymlinkStatus(fullPath, skillDirPath);
+      const symlink = { target: await fs.readlink(fullPath), status };
+      const stats = status === 'inside' ? await fs.stat(fullPath) : null;
+
+      if (stats && stats.isDirectory()) {
+        const realDir = fsSync.realpathSync(fullPath);
+        const children = ancestors.has(realDir)
+          ? []
+          : await buildFileTree(fullPath, skillDirPath, relPath, new Set([...ancestors, realDir]));
+        tree.push({ name: entry.name, path: relPath, type: 'folder', symlink, children });
+      } else {
+        tree.push({
+          name: entry.name,
+          path: relPath,
+          type: 'file',
+          fileType: getFileType(entry.name),
+          size: stats ? stats.size : 0,
+          editable: Boolean(stats) && isEditableFile(entry.name),
+          executable: Boolean(stats) && isExecutableMode(stats.mode),
+          symlink
+        });
+      }
+    } else if (entry.isDirectory()) {
+      const subtree = await buildFileTree(fullPath, skillDirPath, relPath, new Set([...ancestors, fsSync.realpathSync(fullPath)]));
       tree.push({
         name: entry.name,
         path: relPath,
@@ -174,7 +557,8 @@ async function buildFileTree(dirPath, skillDirPath, relativePath = '') {
         type: 'file',
         fileType: getFileType(entry.name),
         size: stats.size,
-        editable: isEditableFile(entry.name)
+        editable: isEditableFile(entry.name),
+        executable: isExecutableMode(stats.mode)
       });
     }
   }
@@ -191,7 +575,7 @@ function getSkillsDir() {
   return path.join(app.getPath('userData'), 'skills');
 }
 
-function validateSkillPath(requestedPath, baseDir = getSkillsDir()) {
+function validateSkillPath(requestedPath, baseDir = getSkillsDir(), { symlinks = 'resolve' } = {}) {
   // Normalize the path to resolve .. and . references
   const normalized = path.normalize(requestedPath);
 
@@ -202,13 +586,96 @@ function validateSkillPath(requestedPath, baseDir = getSkillsDir()) {
   const resolvedPath = path.resolve(fullPath);
   const resolvedBase = path.resolve(baseDir);
 
-  if (!resolvedPath.startsWith(resolvedBase + path.sep) && resolvedPath !== resolvedBase) {
+  if (!isPathInside(resolvedPath, resolvedBase)) {
     throw new Error('Invalid path - access denied');
   }
 
+  // A symlink inside the base directory must not lead out of it. 'entry' checks only the
+  // parent folders, for operations on the link itself (delete, rename, move); 'ignore'
+  // is for install targets, where a skill may be a symlink into the library.
+  if (symlinks !== 'ignore') {
+    const checkedPath = symlinks === 'entry' ? path.dirname(resolvedPath) : resolvedPath;
+    let realPath;
+    try {
+      realPath = resolveRealPath(checkedPath);
+    } catch (error) {
+      throw new Error('Invalid path - broken symbolic link');
+    }
+    if (!isPathInside(realPath, resolveRealPath(resolvedBase))) {
+      throw new Error('Invalid path - symbolic link points outside the folder');
+    }
+  }
+
   return resolvedPath;
 }
 
+function isPathInside(targetPath, baseDir) {
+  return targetPath === baseDir || targetPath.startsWith(baseDir + path.sep);
+}
+
+function lstatOrNull(targetPath) {
+  try {
+    return fsSync.lstatSync(targetPath);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve symlinks in the longest existing prefix of a path; the rest is appended as is.
+// Throws for a dangling symlink.
+function resolveRealPath(targetPath) {
+  let existing = targetPath;
+  const rest = [];
+  while (!lstatOrNull(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) {
+      break;
+    }
+    rest.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(fsSync.realpathSync(existing), ...rest);
+}
+
+// Where a symlink in a skill leads: 'inside' the skill, 'outside' it, or 'broken'
+function getSymlinkStatus(linkPath, skillDir) {
+  try {
+    return isPathInside(fsSync.realpathSync(linkPath), fsSync.realpathSync(skillDir)) ? 'inside' : 'outside';
+  } catch (error) {
+    return 'broken';
+  }
+}
+
+// Symlink nodes in the file tree that can't be read or packaged
+function isUnusableSymlink(node) {
+  return Boolean(node.symlink) && node.symlink.status !== 'inside';
+}
+
+function isExecutableMode(mode) {
+  return process.platform !== 'win32' && (mode & 0o111) !== 0;
+}
+
+async function setExecutable(filePath, executable) {
+  const stats = await fs.stat(filePath);
+  // Grant execute wherever read is granted, like chmod +x
+  const mode = executable ? stats.mode | ((stats.mode & 0o444) >> 2) : stats.mode & ~0o111;
+  await fs.chmod(filePath, mode & 0o7777);
+}
+
+// Uploaded files keep the execute bit of their source file; when the source path is
+// unknown (e.g. dropped from a browser), a shebang line marks a script.
+async function isExecutableUpload(file) {
+  // sourcePath is filled in by the preload script from the dropped or picked File, never by the page
+  if (typeof file.sourcePath === 'string' && path.isAbsolute(file.sourcePath)) {
+    const stats = await fs.stat(file.sourcePath).catch(() => null);
+    if (stats && stats.isFile()) {
+      return isExecutableMode(stats.mode);
+    }
+  }
+  const data = file.data;
+  return Boolean(data) && data.length >= 2 && data[0] === 0x23 && data[1] === 0x21;
+}
+
 function sanitizeSkillName(name) {
   // Allow only lowercase letters, numbers, and hyphens (Claude Desktop requirement)
   const sanitized = name.toLowerCase().replace(/[^a-z0-9-]/g, '');
@@ -229,460 +696,3815 @@ function sanitizeSkillName(name) {
   return sanitized;
 }
 
-// Cleanup temporary files on app exit
-app.on('before-quit', async () => {
-  for (const filePath of trackedTempFiles) {
-    try {
-      await fs.unlink(filePath);
-    } catch (error) {
-      console.error(`Failed to cleanup temp file ${filePath}:`, error);
-    }
-  }
-});
-
-// Clean up old temp files on startup
-async function cleanupOldTempFiles() {
-  try {
-    const tempDir = app.getPath('temp');
-    const files = await fs.readdir(tempDir);
-    const skillZips = files.filter(f => f.match(/^.+\.zip$/) && f.includes('skill'));
+// Frontmatter utilities
+const FRONTMATTER_KEYS = ['name', 'description', 'license', 'allowed-tools', 'metadata'];
+const MAX_SKILL_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 1024;
 
-    // Clean up skill ZIPs older than 1 hour
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+// Locate the --- fenced YAML block at the top of a markdown file.
+// Line numbers are 1-based and include the fences.
+function splitFrontmatter(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
 
-    for (const file of skillZips) {
-      const filePath = path.join(tempDir, file);
-      try {
-        const stats = await fs.stat(filePath);
-        if (stats.mtimeMs < oneHourAgo) {
-          await fs.unlink(filePath);
-        }
-      } catch (error) {
-        // Ignore errors for individual files
-      }
-    }
-  } catch (error) {
-    console.error('Failed to cleanup old temp files:', error);
+  if (lines[0].trim() !== '---') {
+    return { hasFrontmatter: false, yaml: '', startLine: 0, endLine: 0 };
   }
-}
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
-    width: 1400,
-    height: 900,
-    backgroundColor: '#141413',
-    webPreferences: {
-      nodeIntegration: false,
-      contextIsolation: true,
-      preload: path.join(__dirname, 'preload.js')
-    },
-    titleBarStyle: 'hidden',
-    titleBarOverlay: {
-      color: '#141413',
-      symbolColor: '#faf9f5',
-      height: 40
-    }
-  });
+  const closingIndex = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+  if (closingIndex === -1) {
+    return { hasFrontmatter: false, unterminated: true, yaml: '', startLine: 0, endLine: 0 };
+  }
 
-  mainWindow.loadFile('index.html');
+  return {
+    hasFrontmatter: true,
+    yaml: lines.slice(1, closingIndex).join('\n'),
+    startLine: 1,
+    endLine: closingIndex + 1
+  };
 }
 
-app.whenReady().then(async () => {
-  await cleanupOldTempFiles();
-  createWindow();
-});
+function validateFrontmatter(data, keyLines = {}) {
+  const issues = [];
+  const lineFor = (key) => keyLines[key] || 1;
+
+  if (data.name === undefined || data.name === null || String(data.name).trim() === '') {
+    issues.push({ field: 'name', severity: 'error', message: 'name is required', line: lineFor('name') });
+  } else if (typeof data.name !== 'string' || !/^[a-z0-9-]+$/.test(data.name)) {
+    issues.push({
+      field: 'name',
+      severity: 'error',
+      message: 'name may only contain lowercase letters, numbers, and hyphens',
+      line: lineFor('name')
+    });
+  } else if (data.name.length > MAX_SKILL_NAME_LENGTH) {
+    issues.push({
+      field: 'name',
+      severity: 'error',
+      message: `name is too long (max ${MAX_SKILL_NAME_LENGTH} characters)`,
+      line: lineFor('name')
+    });
+  }
 
-app.on('window-all-closed', () => {
-  if (process.platform !== 'darwin') {
-    app.quit();
+  if (data.description === undefined || data.description === null || String(data.description).trim() === '') {
+    issues.push({ field: 'description', severity: 'error', message: 'description is required', line: lineFor('description') });
+  } else if (typeof data.description !== 'string') {
+    issues.push({ field: 'description', severity: 'error', message: 'description must be text', line: lineFor('description') });
+  } else if (data.description.length > MAX_DESCRIPTION_LENGTH) {
+    issues.push({
+      field: 'description',
+      severity: 'error',
+      message: `description is too long (${data.description.length}/${MAX_DESCRIPTION_LENGTH} characters)`,
+      line: lineFor('description')
+    });
   }
-});
 
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) {
-    createWindow();
+  if (data.license !== undefined && typeof data.license !== 'string') {
+    issues.push({ field: 'license', severity: 'error', message: 'license must be text', line: lineFor('license') });
   }
-});
 
-// IPC Handlers
-ipcMain.handle('create-skill', async (event, skillData) => {
-  try {
-    // Validate input
-    const validated = skillDataSchema.parse(skillData);
-    const sanitizedName = sanitizeSkillName(validated.name);
+  const allowedTools = data['allowed-tools'];
+  if (allowedTools !== undefined && typeof allowedTools !== 'string' &&
+    !(Array.isArray(allowedTools) && allowedTools.every(tool => typeof tool === 'string'))) {
+    issues.push({
+      field: 'allowed-tools',
+      severity: 'error',
+      message: 'allowed-tools must be a list of tool names',
+      line: lineFor('allowed-tools')
+    });
+  }
 
-    const skillsDir = getSkillsDir();
-    const skillDir = path.join(skillsDir, sanitizedName);
+  const metadata = data.metadata;
+  if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+    issues.push({ field: 'metadata', severity: 'error', message: 'metadata must be a key/value map', line: lineFor('metadata') });
+  }
 
-    // Validate the resulting path is within skills directory
-    validateSkillPath(skillDir, skillsDir);
+  for (const key of Object.keys(data)) {
+    if (!FRONTMATTER_KEYS.includes(key)) {
+      issues.push({ field: 'unknown', severity: 'error', message: `Unknown frontmatter key "${key}"`, line: lineFor(key) });
+    }
+  }
 
-    await fs.mkdir(skillDir, { recursive: true });
+  return issues;
+}
 
-    await fs.writeFile(path.join(skillDir, 'SKILL.md'), validated.content, 'utf-8');
+function parseFrontmatter(content) {
+  const block = splitFrontmatter(content);
+
+  if (!block.hasFrontmatter) {
+    return {
+      hasFrontmatter: false,
+      data: {},
+      issues: [{
+        field: 'yaml',
+        severity: 'error',
+        message: block.unterminated ? 'Frontmatter is missing its closing ---' : 'SKILL.md has no YAML frontmatter',
+        line: 1
+      }],
+      startLine: 0,
+      endLine: 0
+    };
+  }
 
-    return { success: true, path: skillDir };
-  } catch (error) {
-    console.error('Error creating skill:', error);
-    return { success: false, error: 'Failed to create skill' };
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(block.yaml, { lineCounter });
+
+  // Offset YAML positions by the opening --- fence
+  if (doc.errors.length > 0) {
+    return {
+      hasFrontmatter: true,
+      data: {},
+      issues: doc.errors.map(error => ({
+        field: 'yaml',
+        severity: 'error',
+        message: error.message.split('\n')[0],
+        line: (error.linePos ? error.linePos[0].line : 1) + 1
+      })),
+      startLine: block.startLine,
+      endLine: block.endLine
+    };
   }
-});
+
+  const data = doc.toJS() || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      hasFrontmatter: true,
+      data: {},
+      issues: [{ field: 'yaml', severity: 'error', message: 'Frontmatter must be a key/value map', line: 2 }],
+      startLine: block.startLine,
+      endLine: block.endLine
+    };
+  }
+
+  const keyLines = {};
+  if (YAML.isMap(doc.contents)) {
+    for (const pair of doc.contents.items) {
+      if (pair.key && pair.key.range) {
+        keyLines[String(pair.key.value)] = lineCounter.linePos(pair.key.range[0]).line + 1;
+      }
+    }
+  }
+
+  return {
+    hasFrontmatter: true,
+    data,
+    keyLines,
+    issues: validateFrontmatter(data, keyLines),
+    startLine: block.startLine,
+    endLine: block.endLine
+  };
+}
+
+// Markdown preview
+// Each top-level block is rendered on its own and tagged with the editor line it starts on,
+// so the preview can follow the editor's scroll position. The frontmatter is returned as
+// fields for the metadata card instead of being rendered as markdown.
+function renderMarkdownPreview(content) {
+  const source = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const block = splitFrontmatter(source);
+
+  let frontmatter = null;
+  if (block.hasFrontmatter) {
+    const doc = YAML.parseDocument(block.yaml);
+    const data = doc.errors.length === 0 ? doc.toJS() : null;
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      frontmatter = {
+        fields: Object.entries(data).map(([key, value]) => ({
+          key,
+          value: typeof value === 'string' ? value : YAML.stringify(value).trim()
+        }))
+      };
+    } else {
+      frontmatter = {
+        error: doc.errors.length > 0 ? doc.errors[0].message.split('\n')[0] : 'Frontmatter must be a key/value map'
+      };
+    }
+  }
+
+  const bodyStartLine = block.hasFrontmatter ? block.endLine + 1 : 1;
+  const body = source.split('\n').slice(bodyStartLine - 1).join('\n');
+  const tokens = marked.lexer(body, { gfm: true });
+
+  // Link definitions are dropped from the token list, so find each block in the source
+  const blocks = [];
+  let cursor = 0;
+  let line = bodyStartLine;
+  for (const token of tokens) {
+    const offset = body.indexOf(token.raw, cursor);
+    if (offset !== -1) {
+      line += (body.slice(cursor, offset).match(/\n/g) || []).length;
+      cursor = offset;
+    }
+
+    if (token.type !== 'space') {
+      blocks.push({ line, html: marked.parser(Object.assign([token], { links: tokens.links }), { gfm: true }) });
+    }
+
+    if (offset !== -1) {
+      line += (token.raw.match(/\n/g) || []).length;
+      cursor += token.raw.length;
+    }
+  }
+
+  return { frontmatter, blocks };
+}
+
+// Apply form values to the frontmatter block, keeping unknown keys, key order and comments.
+// Empty values remove the key.
+function updateFrontmatter(content, updates) {
+  const block = splitFrontmatter(content);
+  const doc = YAML.parseDocument(block.hasFrontmatter ? block.yaml : '');
+
+  if (doc.errors.length > 0) {
+    throw new Error('Fix the YAML syntax errors before editing the form');
+  }
+
+  for (const key of FRONTMATTER_KEYS) {
+    if (!(key in updates)) {
+      continue;
+    }
+
+    let value = updates[key];
+    const isEmpty = value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+    if (isEmpty) {
+      doc.delete(key);
+      continue;
+    }
+
+    // Keep allowed-tools in the shape the author chose (comma string or list)
+    if (key === 'allowed-tools' && typeof doc.get(key) === 'string') {
+      value = value.join(', ');
+    }
+
+    doc.set(key, value);
+  }
+
+  const isEmptyDoc = !doc.contents || (YAML.isMap(doc.contents) && doc.contents.items.length === 0);
+  const yamlText = isEmptyDoc ? '' : doc.toString({ lineWidth: 0 });
+  return {
+    text: `---\n${yamlText}---`,
+    startLine: block.hasFrontmatter ? block.startLine : 0,
+    endLine: block.hasFrontmatter ? block.endLine : 0
+  };
+}
+
+// Skill linting
+function flattenFileTree(nodes, files = []) {
+  for (const node of nodes) {
+    if (node.type === 'folder') {
+      flattenFileTree(node.children, files);
+    } else {
+      files.push(node);
+    }
+  }
+  return files;
+}
+
+// The tree without the contents of linked folders: those are the same files as at their real
+// path, and reading or rewriting them twice would double every link and match
+function withoutLinkedFolderContents(nodes) {
+  return nodes.map(node => {
+    if (node.type !== 'folder') {
+      return node;
+    }
+    return { ...node, children: node.symlink ? [] : withoutLinkedFolderContents(node.children) };
+  });
+}
+
+function isExternalLink(target) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//') || target.startsWith('#');
+}
+
+// Find inline links, images and reference definitions in markdown, skipping fenced code.
+// Positions are 1-based; column points at the link target.
+function extractMarkdownLinks(content) {
+  const links = [];
+  const inlinePattern = /!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*)?\)/g;
+  const referencePattern = /^\s{0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/;
+  let inFence = false;
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    if (/^\s*(```|~~~)/.test(rawLine)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+
+    // Blank out inline code so `[x](y)` examples aren't treated as links
+    const line = rawLine.replace(/`[^`]*`/g, match => ' '.repeat(match.length));
+
+    const reference = line.match(referencePattern);
+    if (reference) {
+      links.push({ target: reference[1], line: index + 1, column: line.indexOf(reference[1]) + 1 });
+      return;
+    }
+
+    let match;
+    inlinePattern.lastIndex = 0;
+    while ((match = inlinePattern.exec(line)) !== null) {
+      const targetOffset = match[0].indexOf(match[1], match[0].indexOf(']('));
+      links.push({ target: match[1], line: index + 1, column: match.index + targetOffset + 1 });
+    }
+  });
+
+  return links;
+}
+
+// Resolve a relative markdown link to a path relative to the skill root, or null when it
+// leaves the skill folder. Anchors and query strings are dropped.
+function resolveSkillLink(skillDir, fromFile, target) {
+  let cleanTarget = target.split('#')[0].split('?')[0];
+  try {
+    cleanTarget = decodeURI(cleanTarget);
+  } catch (error) {
+    // Keep the raw target if it isn't valid percent-encoding
+  }
+
+  if (!cleanTarget) {
+    return { relativePath: fromFile };
+  }
+
+  const fullPath = path.resolve(skillDir, path.dirname(fromFile), cleanTarget);
+  try {
+    validateSkillPath(fullPath, skillDir);
+  } catch (error) {
+    return null;
+  }
+  return { relativePath: path.relative(skillDir, fullPath).split(path.sep).join('/') };
+}
+
+function toPosixPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// Index every relative link in the skill's markdown files, using the same files
+// the sidebar tree shows. Paths are relative to the skill root with forward slashes.
+async function buildReferenceIndex(skillDir) {
+  const tree = withoutLinkedFolderContents(await buildFileTree(skillDir, skillDir));
+  const allFiles = flattenFileTree(tree);
+  const files = allFiles.filter(node => !isUnusableSymlink(node));
+  const links = [];
+
+  for (const node of files) {
+    if (path.extname(node.name).toLowerCase() !== '.md' || node.size > getMaxFileSize()) {
+      continue;
+    }
+
+    const from = toPosixPath(node.path);
+    const content = await fs.readFile(path.join(skillDir, node.path), 'utf-8');
+
+    for (const link of extractMarkdownLinks(content)) {
+      if (isExternalLink(link.target) || path.isAbsolute(link.target)) {
+        continue;
+      }
+
+      const resolved = resolveSkillLink(skillDir, from, link.target);
+      links.push({
+        ...link,
+        from,
+        resolvedPath: resolved ? resolved.relativePath : null,
+        exists: resolved ? fsSync.existsSync(path.join(skillDir, resolved.relativePath)) : false
+      });
+    }
+  }
+
+  return {
+    files: files.map(node => toPosixPath(node.path)),
+    links,
+    unusableSymlinks: allFiles.filter(isUnusableSymlink).map(node => ({ path: toPosixPath(node.path), ...node.symlink }))
+  };
+}
+
+// Files nothing links to. SKILL.md is the entry point and license files are conventional.
+function findOrphanedFiles(index) {
+  const linkedPaths = index.links.filter(link => link.exists).map(link => link.resolvedPath);
+
+  return index.files.filter(file => {
+    if (file === 'SKILL.md' || /^licen[cs]e/i.test(path.posix.basename(file))) {
+      return false;
+    }
+    return !linkedPaths.some(target => target === file || file.startsWith(`${target}/`));
+  });
+}
+
+function mapMovedPath(relativePath, fromPath, toPath) {
+  if (relativePath === fromPath) {
+    return toPath;
+  }
+  if (relativePath.startsWith(`${fromPath}/`)) {
+    return toPath + relativePath.substring(fromPath.length);
+  }
+  return relativePath;
+}
+
+// After oldPath was renamed or moved to newPath, work out which links need new targets:
+// links pointing into the moved item, and relative links inside moved markdown files.
+function planLinkRewrites(skillDir, index, oldPath, newPath) {
+  const edits = [];
+
+  for (const link of index.links) {
+    const originalFrom = mapMovedPath(link.from, newPath, oldPath);
+    const originalTarget = resolveSkillLink(skillDir, originalFrom, link.target);
+    if (!originalTarget) {
+      continue;
+    }
+
+    const movedTarget = mapMovedPath(originalTarget.relativePath, oldPath, newPath);
+    if (originalFrom === link.from && movedTarget === originalTarget.relativePath) {
+      continue;
+    }
+
+    // Only repair links that worked before the move
+    if (!fsSync.existsSync(path.join(skillDir, movedTarget))) {
+      continue;
+    }
+
+    const pathPart = link.target.split(/[#?]/)[0];
+    const suffix = link.target.substring(pathPart.length);
+    let relativeTarget = path.posix.relative(path.posix.dirname(link.from), movedTarget) || path.posix.basename(movedTarget);
+
+    if (pathPart.endsWith('/')) {
+      relativeTarget += '/';
+    }
+    if (pathPart.startsWith('./') && !relativeTarget.startsWith('.')) {
+      relativeTarget = `./${relativeTarget}`;
+    }
+    if (pathPart.includes('%')) {
+      relativeTarget = encodeURI(relativeTarget);
+    }
+
+    const newTarget = relativeTarget + suffix;
+    if (newTarget !== link.target) {
+      edits.push({ file: link.from, line: link.line, column: link.column, oldTarget: link.target, newTarget });
+    }
+  }
+
+  return edits;
+}
+
+async function applyLinkRewrites(skillDir, edits) {
+  const editsByFile = new Map();
+  for (const edit of edits) {
+    if (!editsByFile.has(edit.file)) {
+      editsByFile.set(edit.file, []);
+    }
+    editsByFile.get(edit.file).push(edit);
+  }
+
+  const updatedFiles = [];
+  for (const [file, fileEdits] of editsByFile) {
+    const filePath = validateSkillPath(path.join(skillDir, file), skillDir);
+    const lines = (await fs.readFile(filePath, 'utf-8')).split('\n');
+
+    // Apply from the end of the file so earlier columns stay valid
+    fileEdits.sort((a, b) => (b.line - a.line) || (b.column - a.column));
+    for (const edit of fileEdits) {
+      const line = lines[edit.line - 1];
+      const start = edit.column - 1;
+      if (line === undefined || line.substr(start, edit.oldTarget.length) !== edit.oldTarget) {
+        continue;
+      }
+      lines[edit.line - 1] = line.substring(0, start) + edit.newTarget + line.substring(start + edit.oldTarget.length);
+    }
+
+    await fs.writeFile(filePath, lines.join('\n'), 'utf-8');
+    noteOwnWrite(filePath);
+    updatedFiles.push(file);
+  }
+
+  return updatedFiles;
+}
+
+async function lintSkill(skillDir) {
+  const diagnostics = [];
+  const skillFile = path.join(skillDir, 'SKILL.md');
+  const folderName = path.basename(skillDir);
+
+  if (!fsSync.existsSync(skillFile)) {
+    diagnostics.push({
+      severity: 'error',
+      code: 'missing-skill-md',
+      file: 'SKILL.md',
+      line: 1,
+      column: 1,
+      message: 'SKILL.md is missing from the skill root'
+    });
+  } else {
+    const content = await fs.readFile(skillFile, 'utf-8');
+    const frontmatter = parseFrontmatter(content);
+
+    for (const issue of frontmatter.issues) {
+      diagnostics.push({
+        severity: issue.severity,
+        code: 'frontmatter',
+        file: 'SKILL.md',
+        line: issue.line,
+        column: 1,
+        message: issue.message
+      });
+    }
+
+    let expectedName = null;
+    try {
+      expectedName = sanitizeSkillName(folderName);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (expectedName !== folderName) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'folder-name',
+        file: 'SKILL.md',
+        line: 1,
+        column: 1,
+        message: `Folder name "${folderName}" is not a valid skill name`
+      });
+    } else if (typeof frontmatter.data.name === 'string' && frontmatter.data.name !== folderName) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'name-mismatch',
+        file: 'SKILL.md',
+        line: (frontmatter.keyLines && frontmatter.keyLines.name) || 1,
+        column: 1,
+        message: `Frontmatter name "${frontmatter.data.name}" does not match folder name "${folderName}"`
+      });
+    }
+  }
+
+  const index = await buildReferenceIndex(skillDir);
+  const matcher = await loadSkillIgnore(skillDir);
+
+  for (const link of index.links) {
+    if (!link.resolvedPath) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'link-outside-skill',
+        file: link.from,
+        line: link.line,
+        column: link.column,
+        message: `Link "${link.target}" points outside the skill folder`
+      });
+    } else if (!link.exists) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'broken-link',
+        file: link.from,
+        line: link.line,
+        column: link.column,
+        message: `Link target "${link.target}" does not exist`
+      });
+    } else if (isPackageExcluded(matcher, link.resolvedPath,
+      fsSync.statSync(path.join(skillDir, link.resolvedPath)).isDirectory())) {
+      diagnostics.push({
+        severity: 'error',
+        code: 'link-to-excluded',
+        file: link.from,
+        line: link.line,
+        column: link.column,
+        message: `Link target "${link.target}" is excluded from the package by .skillignore`
+      });
+    }
+  }
+
+  for (const link of index.unusableSymlinks) {
+    diagnostics.push({
+      severity: 'error',
+      code: link.status === 'broken' ? 'broken-symlink' : 'symlink-outside-skill',
+      file: link.path,
+      line: 1,
+      column: 1,
+      message: link.status === 'broken'
+        ? `Symbolic link target "${link.target}" does not exist`
+        : `Symbolic link points outside the skill folder ("${link.target}")`
+    });
+  }
+
+  for (const file of findOrphanedFiles(index)) {
+    if (isPackageExcluded(matcher, file, false)) {
+      continue;
+    }
+
+    diagnostics.push({
+      severity: 'warning',
+      code: 'orphaned-file',
+      file,
+      line: 1,
+      column: 1,
+      message: 'Nothing in the skill links to this file'
+    });
+  }
+
+  return diagnostics;
+}
+
+function summarizeDiagnostics(diagnostics) {
+  return {
+    diagnostics,
+    errorCount: diagnostics.filter(d => d.severity === 'error').length,
+    warningCount: diagnostics.filter(d => d.severity === 'warning').length
+  };
+}
+
+// Version history
+// Each skill gets userData/history/<skill>/ with content-addressed blobs in objects/ and one
+// JSON manifest per snapshot in snapshots/. Identical consecutive states are not recorded.
+const MAX_SNAPSHOTS_PER_SKILL = 200;
+const fileHashCache = new Map(); // full path -> { mtimeMs, size, hash }
+const snapshotManifestCache = new Map(); // history dir -> manifests, newest first
+let lastSnapshotTimestamp = 0;
+
+function getHistoryDir(skillDir) {
+  const historyRoot = path.join(app.getPath('userData'), 'history');
+  return validateSkillPath(path.join(historyRoot, path.basename(skillDir)), historyRoot);
+}
+
+// Map any path inside the library to its top-level skill folder
+function getSkillDirFor(libraryPath) {
+  const skillsDir = getSkillsDir();
+  const relative = path.relative(skillsDir, validateSkillPath(libraryPath, skillsDir));
+  const skillName = relative.split(path.sep)[0];
+  if (!skillName) {
+    throw new Error('Path is not inside a skill');
+  }
+  return path.join(skillsDir, skillName);
+}
+
+async function hashFile(fullPath, stats) {
+  const cached = fileHashCache.get(fullPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.hash;
+  }
+
+  const hash = crypto.createHash('sha256').update(await fs.readFile(fullPath)).digest('hex');
+  fileHashCache.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size, hash });
+  return hash;
+}
+
+// Hash every file the tree shows (hidden files, node_modules and oversized files are left out).
+// Files in linked folders are recorded once, at their real path.
+async function hashSkillFiles(skillDir) {
+  const tree = withoutLinkedFolderContents(await buildFileTree(skillDir, skillDir));
+  const files = {};
+
+  for (const node of flattenFileTree(tree)) {
+    if (node.size > getMaxFileSize() || isUnusableSymlink(node)) {
+      continue;
+    }
+    const fullPath = path.join(skillDir, node.path);
+    files[toPosixPath(node.path)] = await hashFile(fullPath, await fs.stat(fullPath));
+  }
+
+  return files;
+}
+
+// Read once per skill and then kept up to date by recordSkillSnapshot, so autosaves
+// don't re-read up to MAX_SNAPSHOTS_PER_SKILL manifests each time
+async function readSnapshotManifests(historyDir) {
+  if (snapshotManifestCache.has(historyDir)) {
+    return snapshotManifestCache.get(historyDir);
+  }
+
+  const snapshotsDir = path.join(historyDir, 'snapshots');
+  let names;
+  try {
+    names = await fs.readdir(snapshotsDir);
+  } catch (error) {
+    return [];
+  }
+
+  const manifests = [];
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    try {
+      manifests.push(JSON.parse(await fs.readFile(path.join(snapshotsDir, name), 'utf-8')));
+    } catch (error) {
+      console.error(`Skipping unreadable snapshot ${name}:`, error);
+    }
+  }
+
+  manifests.sort((a, b) => b.timestamp - a.timestamp);
+  snapshotManifestCache.set(historyDir, manifests);
+  return manifests;
+}
+
+// History left behind by a skill deleted outside the app must not become the timeline
+// of a new skill that gets the same name
+async function discardStaleHistory(skillDir) {
+  const historyDir = getHistoryDir(skillDir);
+  snapshotManifestCache.delete(historyDir);
+  await fs.rm(historyDir, { recursive: true, force: true });
+}
+
+async function readSnapshotManifest(historyDir, snapshotId) {
+  const manifestPath = path.join(historyDir, 'snapshots', `${snapshotIdSchema.parse(snapshotId)}.json`);
+  return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+}
+
+function sameSnapshotFiles(a, b) {
+  const aKeys = Object.keys(a);
+  return aKeys.length === Object.keys(b).length && aKeys.every(key => a[key] === b[key]);
+}
+
+async function pruneSnapshots(historyDir, manifests) {
+  if (manifests.length <= MAX_SNAPSHOTS_PER_SKILL) {
+    snapshotManifestCache.set(historyDir, manifests);
+    return;
+  }
+
+  const kept = manifests.slice(0, MAX_SNAPSHOTS_PER_SKILL);
+  snapshotManifestCache.set(historyDir, kept);
+  for (const manifest of manifests.slice(MAX_SNAPSHOTS_PER_SKILL)) {
+    await fs.rm(path.join(historyDir, 'snapshots', `${manifest.id}.json`), { force: true });
+  }
+
+  // Drop blobs no remaining snapshot refers to
+  const referenced = new Set(kept.flatMap(manifest => Object.values(manifest.files)));
+  const objectsDir = path.join(historyDir, 'objects');
+  for (const hash of await fs.readdir(objectsDir)) {
+    if (!referenced.has(hash)) {
+      await fs.rm(path.join(objectsDir, hash), { force: true });
+    }
+  }
+}
+
+// Record the current state of a skill. Failures are logged, never thrown, so history
+// problems can't block the edit that triggered them.
+async function recordSkillSnapshot(skillDir, reason) {
+  try {
+    if (!fsSync.existsSync(skillDir)) {
+      return null;
+    }
+
+    const historyDir = getHistoryDir(skillDir);
+    const objectsDir = path.join(historyDir, 'objects');
+    const snapshotsDir = path.join(historyDir, 'snapshots');
+    await fs.mkdir(objectsDir, { recursive: true });
+    await fs.mkdir(snapshotsDir, { recursive: true });
+
+    const files = await hashSkillFiles(skillDir);
+    const manifests = await readSnapshotManifests(historyDir);
+    if (manifests.length > 0 && sameSnapshotFiles(manifests[0].files, files)) {
+      return null;
+    }
+
+    // Store the bytes that were hashed: a file that changed since hashSkillFiles is read
+    // once, and the manifest points at the hash of what was actually written
+    for (const [relativePath, cachedHash] of Object.entries(files)) {
+      if (fsSync.existsSync(path.join(objectsDir, cachedHash))) {
+        continue;
+      }
+      const content = await fs.readFile(path.join(skillDir, relativePath));
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      const objectPath = path.join(objectsDir, hash);
+      if (!fsSync.existsSync(objectPath)) {
+        await fs.writeFile(objectPath, content);
+      }
+      files[relativePath] = hash;
+    }
+
+    // Keep ids unique and ordered even for several snapshots within one millisecond
+    const timestamp = Math.max(Date.now(), lastSnapshotTimestamp + 1);
+    lastSnapshotTimestamp = timestamp;
+
+    const manifest = { id: String(timestamp), timestamp, reason, files };
+    await fs.writeFile(path.join(snapshotsDir, `${manifest.id}.json`), JSON.stringify(manifest), 'utf-8');
+    await pruneSnapshots(historyDir, [manifest, ...manifests]);
+
+    return manifest;
+  } catch (error) {
+    console.error('Error recording snapshot:', error);
+    return null;
+  }
+}
+
+// Remember which snapshot matches the last package, so files can be compared with it
+async function markPackagedSnapshot(skillDir, sha256) {
+  try {
+    await recordSkillSnapshot(skillDir, 'Packaged');
+    const historyDir = getHistoryDir(skillDir);
+    const [latest] = await readSnapshotManifests(historyDir);
+    if (latest) {
+      const marker = { snapshotId: latest.id, timestamp: Date.now(), sha256 };
+      await fs.writeFile(path.join(historyDir, 'packaged.json'), JSON.stringify(marker), 'utf-8');
+    }
+  } catch (error) {
+    console.error('Error recording packaged state:', error);
+  }
+}
+
+async function readPackagedSnapshotId(historyDir) {
+  try {
+    const marker = JSON.parse(await fs.readFile(path.join(historyDir, 'packaged.json'), 'utf-8'));
+    const snapshotId = snapshotIdSchema.parse(marker.snapshotId);
+    // The snapshot may have been pruned since
+    return fsSync.existsSync(path.join(historyDir, 'snapshots', `${snapshotId}.json`)) ? snapshotId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Skills directory watcher
+// Changes made outside the app (another editor, git pull) are batched and pushed to the renderer.
+// The app's own saves are recognised by their mtime and left out.
+const WATCH_DEBOUNCE_MS = 300;
+let skillsWatcher = null;
+let watchFlushTimer = null;
+const pendingWatchChanges = new Map();
+const ownWrites = new Map(); // full path -> mtimeMs right after the app wrote it
+const ownSkillOperations = new Map(); // skill name -> { running, until }: its events are the app's own
+const OWN_SKILL_OPERATION_MS = 1000;
+
+function noteOwnWrite(fullPath) {
+  try {
+    ownWrites.set(fullPath, fsSync.statSync(fullPath).mtimeMs);
+  } catch (error) {
+    ownWrites.delete(fullPath);
+  }
+}
+
+// Operations that create, move or delete many paths (imports, renames, uploads, trash) can't
+// note them one by one. Events for those skill folders are ignored while the operation runs and
+// for a moment after it finishes, since the watcher reports changes late.
+async function runOwnSkillOperation(skillNames, operation) {
+  skillNames.forEach(name => {
+    const state = ownSkillOperations.get(name) || { running: 0, until: 0 };
+    state.running += 1;
+    ownSkillOperations.set(name, state);
+  });
+
+  try {
+    return await operation();
+  } finally {
+    const until = Date.now() + OWN_SKILL_OPERATION_MS;
+    skillNames.forEach(name => {
+      const state = ownSkillOperations.get(name);
+      state.running -= 1;
+      state.until = Math.max(state.until, until);
+    });
+  }
+}
+
+function isOwnSkillOperation(skillName) {
+  const state = ownSkillOperations.get(skillName);
+  if (state === undefined) {
+    return false;
+  }
+  if (state.running > 0 || Date.now() <= state.until) {
+    return true;
+  }
+  ownSkillOperations.delete(skillName);
+  return false;
+}
+
+function isOwnWrite(fullPath) {
+  if (!ownWrites.has(fullPath)) {
+    return false;
+  }
+  try {
+    if (fsSync.statSync(fullPath).mtimeMs === ownWrites.get(fullPath)) {
+      return true;
+    }
+  } catch (error) {
+    // Deleted since; fall through
+  }
+  ownWrites.delete(fullPath);
+  return false;
+}
+
+function flushWatchChanges() {
+  watchFlushTimer = null;
+  const changes = Array.from(pendingWatchChanges.values());
+  pendingWatchChanges.clear();
+
+  if (changes.length > 0 && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('skills-changed', { changes });
+  }
+}
+
+function startSkillsWatcher() {
+  const skillsDir = getSkillsDir();
+
+  try {
+    fsSync.mkdirSync(skillsDir, { recursive: true });
+    skillsWatcher = fsSync.watch(skillsDir, { recursive: true }, (eventType, filename) => {
+      // Some platforms can't say what changed; report it as a library-wide change
+      const segments = filename ? filename.split(/[\\/]/) : [''];
+      if (segments.some(segment => segment && isIgnoredTreeEntry(segment))) {
+        return;
+      }
+      if (filename && (isOwnWrite(path.join(skillsDir, filename)) || isOwnSkillOperation(segments[0]))) {
+        return;
+      }
+
+      const change = { skill: segments[0], path: segments.slice(1).join('/') };
+      pendingWatchChanges.set(`${change.skill}/${change.path}`, change);
+      clearTimeout(watchFlushTimer);
+      watchFlushTimer = setTimeout(flushWatchChanges, WATCH_DEBOUNCE_MS);
+    });
+
+    skillsWatcher.on('error', (error) => {
+      console.error('Skills watcher error:', error);
+    });
+  } catch (error) {
+    console.error('Error watching skills directory:', error);
+  }
+}
+
+// Trash
+// Deletes move the item to userData/trash/<id>/item, with entry.json recording where it came
+// from and when. Entries are restored to their original path or purged, by hand or after the
+// number of days set in the trash.autoPurgeDays preference.
+let lastTrashTimestamp = 0;
+
+function getTrashDir() {
+  return path.join(app.getPath('userData'), 'trash');
+}
+
+function getTrashEntryDir(id) {
+  return path.join(getTrashDir(), trashIdSchema.parse(id));
+}
+
+// Rename when possible; userData and the library can sit on different drives
+async function movePath(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.cp(from, to, { recursive: true, verbatimSymlinks: true, errorOnExist: true, force: false });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+}
+
+// Move a skill folder, or a file or folder inside a skill, to the trash
+async function moveToTrash(fullPath, { skill, itemPath }) {
+  const stats = await fs.lstat(fullPath);
+  const timestamp = Math.max(Date.now(), lastTrashTimestamp + 1);
+  lastTrashTimestamp = timestamp;
+
+  const entry = {
+    id: String(timestamp),
+    deletedAt: timestamp,
+    type: itemPath ? (stats.isDirectory() ? 'folder' : 'file') : 'skill',
+    skill,
+    path: itemPath,
+    originalPath: fullPath,
+    size: stats.isDirectory() ? (await getSkillStats(fullPath)).size : stats.size
+  };
+
+  const entryDir = getTrashEntryDir(entry.id);
+  await fs.mkdir(entryDir, { recursive: true });
+  try {
+    await fs.writeFile(path.join(entryDir, 'entry.json'), JSON.stringify(entry, null, 2), 'utf-8');
+    await movePath(fullPath, path.join(entryDir, 'item'));
+  } catch (error) {
+    await fs.rm(entryDir, { recursive: true, force: true }).catch(() => {});
+    throw error;
+  }
+
+  // A trashed skill takes its history along, so the name starts fresh and a restore gets it back
+  if (entry.type === 'skill') {
+    const historyDir = getHistoryDir(fullPath);
+    snapshotManifestCache.delete(historyDir);
+    if (fsSync.existsSync(historyDir)) {
+      await movePath(historyDir, path.join(entryDir, 'history'));
+    }
+  }
+
+  return entry;
+}
+
+async function readTrashEntries() {
+  let names;
+  try {
+    names = await fs.readdir(getTrashDir());
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const name of names.filter(n => trashIdSchema.safeParse(n).success)) {
+    try {
+      entries.push(JSON.parse(await fs.readFile(path.join(getTrashDir(), name, 'entry.json'), 'utf-8')));
+    } catch (error) {
+      console.error(`Skipping unreadable trash entry ${name}:`, error);
+    }
+  }
+
+  return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+async function readTrashEntry(id) {
+  return JSON.parse(await fs.readFile(path.join(getTrashEntryDir(id), 'entry.json'), 'utf-8'));
+}
+
+async function purgeTrashEntry(id) {
+  await fs.rm(getTrashEntryDir(id), { recursive: true, force: true });
+}
+
+async function purgeExpiredTrash() {
+  try {
+    const { autoPurgeDays } = appSettings.trash;
+    if (autoPurgeDays === 0) {
+      return;
+    }
+
+    const cutoff = Date.now() - autoPurgeDays * 24 * 60 * 60 * 1000;
+    for (const entry of await readTrashEntries()) {
+      if (entry.deletedAt < cutoff) {
+        await purgeTrashEntry(entry.id);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to purge expired trash:', error);
+  }
+}
+
+// Pick name-1.ext, name-2.ext, ... when a restored item's original path has been taken since
+function findFreePath(targetPath) {
+  const ext = path.extname(targetPath);
+  const base = targetPath.slice(0, targetPath.length - ext.length);
+  let candidate = targetPath;
+  let suffix = 1;
+  while (lstatOrNull(candidate)) {
+    candidate = `${base}-${suffix}${ext}`;
+    suffix += 1;
+  }
+  return candidate;
+}
+
+// Preferences
+// userData/settings.json holds the preferences edited in the Preferences window. They are kept
+// in appSettings so the file checks and packaging read them without touching the disk.
+function getSettingsFile() {
+  return path.join(app.getPath('userData'), 'settings.json');
+}
+
+async function readSettings() {
+  try {
+    const saved = JSON.parse(await fs.readFile(getSettingsFile(), 'utf-8'));
+    return settingsSchema.parse(saved);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Ignoring invalid settings file:', error.message);
+    }
+    return settingsSchema.parse({});
+  }
+}
+
+async function writeSettings(settings) {
+  await fs.mkdir(path.dirname(getSettingsFile()), { recursive: true });
+  await fs.writeFile(getSettingsFile(), JSON.stringify(settings, null, 2), 'utf-8');
+}
+
+// Workspace state
+// userData/workspace-state.json remembers the open skill and file, the cursor and scroll
+// position, collapsed folders per skill, pinned tabs and the window bounds. Skills are stored by folder
+// name; anything that no longer exists is dropped when the state is read back.
+let workspaceState = {};
+let workspaceStateWrite = Promise.resolve();
+
+function getWorkspaceStateFile() {
+  return path.join(app.getPath('userData'), 'workspace-state.json');
+}
+
+async function readWorkspaceState() {
+  try {
+    const saved = JSON.parse(await fs.readFile(getWorkspaceStateFile(), 'utf-8'));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Writes are chained and each one writes the state as it is when it runs, so a queued
+// write never puts back an older state after a newer one has landed
+function writeWorkspaceState() {
+  workspaceStateWrite = workspaceStateWrite
+    .then(() => fs.mkdir(path.dirname(getWorkspaceStateFile()), { recursive: true }))
+    .then(() => fs.writeFile(getWorkspaceStateFile(), JSON.stringify(workspaceState, null, 2), 'utf-8'))
+    .catch(error => console.error('Failed to save workspace state:', error));
+  return workspaceStateWrite;
+}
+
+// For when the app may quit before an async write finishes
+function writeWorkspaceStateSync() {
+  try {
+    fsSync.mkdirSync(path.dirname(getWorkspaceStateFile()), { recursive: true });
+    fsSync.writeFileSync(getWorkspaceStateFile(), JSON.stringify(workspaceState, null, 2), 'utf-8');
+  } catch (error) {
+    console.error('Failed to save workspace state:', error);
+  }
+}
+
+// Merge what the renderer reports (open skill and file, position, collapsed folders)
+function applyWorkspaceState(data) {
+  const validated = workspaceStateSchema.parse(data);
+  const toSkillName = skillPath => path.relative(getSkillsDir(), path.dirname(validateSkillPath(skillPath)));
+  const skill = validated.skillPath ? toSkillName(validated.skillPath) : null;
+
+  workspaceState = {
+    ...workspaceState,
+    skill,
+    file: skill ? validated.filePath : null,
+    cursor: validated.cursor,
+    scrollTop: validated.scrollTop,
+    scrollLeft: validated.scrollLeft,
+    collapsedFolders: validated.collapsedFolders,
+    pinnedTabs: validated.pinnedTabs.map(tab => ({ skill: toSkillName(tab.skillPath), file: tab.filePath }))
+  };
+}
+
+// Saved bounds are only used while some display still shows a good part of the window
+function getRestoredWindowBounds(saved) {
+  const bounds = windowBoundsSchema.safeParse(saved);
+  if (!bounds.success) return null;
+
+  const { x, y, width, height } = bounds.data;
+  const visible = screen.getAllDisplays().some(display => {
+    const area = display.workArea;
+    const overlapWidth = Math.min(x + width, area.x + area.width) - Math.max(x, area.x);
+    const overlapHeight = Math.min(y + height, area.y + area.height) - Math.max(y, area.y);
+    return overlapWidth >= 100 && overlapHeight >= 100;
+  });
+  return visible ? bounds.data : null;
+}
+
+function getWorkspaceSkillDir(skillName) {
+  if (typeof skillName !== 'string' || !skillName || skillName.includes('/') || skillName.includes('\\')) {
+    return null;
+  }
+  try {
+    const skillDir = validateSkillPath(skillName);
+    return fsSync.existsSync(path.join(skillDir, 'SKILL.md')) ? skillDir : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function workspacePathExists(skillDir, relativePath, kind) {
+  if (typeof relativePath !== 'string' || !relativePath) return false;
+  try {
+    const stats = fsSync.statSync(validateSkillPath(relativePath, skillDir));
+    return kind === 'folder' ? stats.isDirectory() : stats.isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// The renderer's view of the saved state, with skills, files and folders that are gone left out
+function getRestorableWorkspace() {
+  const restored = {
+    skillPath: null,
+    filePath: null,
+    cursor: null,
+    scrollTop: 0,
+    scrollLeft: 0,
+    collapsedFolders: {},
+    pinnedTabs: []
+  };
+
+  const pinned = Array.isArray(workspaceState.pinnedTabs) ? workspaceState.pinnedTabs : [];
+  for (const tab of pinned) {
+    const pinnedSkillDir = tab ? getWorkspaceSkillDir(tab.skill) : null;
+    if (pinnedSkillDir && workspacePathExists(pinnedSkillDir, tab.file, 'file')) {
+      restored.pinnedTabs.push({ skillPath: path.join(pinnedSkillDir, 'SKILL.md'), filePath: tab.file });
+    }
+  }
+
+  const collapsed = workspaceState.collapsedFolders && typeof workspaceState.collapsedFolders === 'object'
+    ? workspaceState.collapsedFolders
+    : {};
+  for (const [skillName, folders] of Object.entries(collapsed)) {
+    const skillDir = getWorkspaceSkillDir(skillName);
+    if (skillDir && Array.isArray(folders)) {
+      restored.collapsedFolders[skillName] = folders.filter(folder => workspacePathExists(skillDir, folder, 'folder'));
+    }
+  }
+
+  const skillDir = getWorkspaceSkillDir(workspaceState.skill);
+  if (!skillDir) return restored;
+  restored.skillPath = path.join(skillDir, 'SKILL.md');
+
+  if (!workspacePathExists(skillDir, workspaceState.file, 'file')) return restored;
+  restored.filePath = workspaceState.file;
+
+  const position = workspaceStateSchema.pick({ cursor: true, scrollTop: true, scrollLeft: true }).safeParse(workspaceState);
+  if (position.success) {
+    Object.assign(restored, position.data);
+  }
+  return restored;
+}
+
+// Claude Code install targets
+// Claude Code reads plain skill folders from ~/.claude/skills and <project>/.claude/skills.
+// Library skills can be copied or symlinked there, and installed copies compared with the library.
+function getInstallTargetsFile() {
+  return path.join(app.getPath('userData'), 'install-targets.json');
+}
+
+async function readProjectTargets() {
+  try {
+    const saved = JSON.parse(await fs.readFile(getInstallTargetsFile(), 'utf-8'));
+    return Array.isArray(saved.projects) ? saved.projects.filter(p => typeof p === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function writeProjectTargets(projects) {
+  await fs.mkdir(path.dirname(getInstallTargetsFile()), { recursive: true });
+  await fs.writeFile(getInstallTargetsFile(), JSON.stringify({ projects }, null, 2), 'utf-8');
+}
+
+async function listInstallTargets() {
+  const targets = [{
+    id: 'personal',
+    label: '~/.claude/skills',
+    dir: path.join(os.homedir(), '.claude', 'skills')
+  }];
+
+  for (const projectPath of await readProjectTargets()) {
+    targets.push({
+      id: projectPath,
+      label: `${path.basename(projectPath)}/.claude/skills`,
+      dir: path.join(projectPath, '.claude', 'skills')
+    });
+  }
+
+  return targets;
+}
+
+async function resolveInstallTarget(targetId) {
+  const target = (await listInstallTargets()).find(t => t.id === targetId);
+  if (!target) {
+    throw new Error('Unknown install target');
+  }
+  return target;
+}
+
+async function isSameDirectory(a, b) {
+  try {
+    return (await fs.realpath(a)) === (await fs.realpath(b));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Installed skills in every target, with their state against the library copy
+async function listInstalledSkills() {
+  const skillsDir = getSkillsDir();
+  const installed = [];
+
+  for (const target of await listInstallTargets()) {
+    if (!fsSync.existsSync(target.dir)) {
+      continue;
+    }
+
+    const entries = await fs.readdir(target.dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (isIgnoredTreeEntry(entry.name) || !(entry.isDirectory() || entry.isSymbolicLink())) {
+        continue;
+      }
+
+      const installedDir = path.join(target.dir, entry.name);
+      if (!fsSync.existsSync(path.join(installedDir, 'SKILL.md'))) {
+        continue;
+      }
+
+      const libraryDir = path.join(skillsDir, entry.name);
+      const inLibrary = fsSync.existsSync(path.join(libraryDir, 'SKILL.md'));
+      const linked = entry.isSymbolicLink() && inLibrary && await isSameDirectory(installedDir, libraryDir);
+
+      let status = 'not-in-library';
+      if (linked) {
+        status = 'linked';
+      } else if (inLibrary) {
+        const [installedFiles, libraryFiles] = await Promise.all([
+          hashSkillFiles(installedDir),
+          hashSkillFiles(libraryDir)
+        ]);
+        status = sameSnapshotFiles(installedFiles, libraryFiles) ? 'in-sync' : 'drifted';
+      }
+
+      installed.push({
+        target: target.id,
+        targetLabel: target.label,
+        name: entry.name,
+        path: installedDir,
+        status,
+        librarySkillPath: inLibrary ? path.join(libraryDir, 'SKILL.md') : null
+      });
+    }
+  }
+
+  return installed;
+}
+
+// Symlink installs of a library skill folder, in every target
+async function findSymlinkInstalls(libraryDir) {
+  const links = [];
+  for (const target of await listInstallTargets()) {
+    const entries = await fs.readdir(target.dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const installedDir = path.join(target.dir, entry.name);
+      if (entry.isSymbolicLink() && await isSameDirectory(installedDir, libraryDir)) {
+        links.push({ target, installedDir });
+      }
+    }
+  }
+  return links;
+}
+
+// Point symlink installs at a renamed library folder, under its new name. A link whose new
+// name is taken in its target is left in place and reported instead.
+async function relinkSymlinkInstalls(links, libraryDir) {
+  const skillName = path.basename(libraryDir);
+  const relinked = [];
+  const unlinked = [];
+
+  for (const { target, installedDir } of links) {
+    const renamedDir = path.join(target.dir, skillName);
+    try {
+      if (await fs.lstat(renamedDir).catch(() => null)) {
+        unlinked.push(target.label);
+        continue;
+      }
+      await fs.unlink(installedDir);
+      await fs.symlink(libraryDir, renamedDir, 'junction');
+      relinked.push(target.label);
+    } catch (error) {
+      console.error('Error re-linking installed skill:', error);
+      unlinked.push(target.label);
+    }
+  }
+
+  return { relinked, unlinked };
+}
+
+// Replace a skill folder's files with another's, leaving hidden entries such as .git alone.
+// A symlinked target is refused: clearing it would delete the files of whatever it points at.
+async function replaceSkillContents(sourceDir, targetDir) {
+  const targetStats = lstatOrNull(targetDir);
+  if (targetStats && targetStats.isSymbolicLink()) {
+    throw new Error(`${path.basename(targetDir)} is a symbolic link to another folder; remove it and install the skill again`);
+  }
+  await fs.mkdir(targetDir, { recursive: true });
+  for (const entry of await fs.readdir(targetDir, { withFileTypes: true })) {
+    if (!isIgnoredTreeEntry(entry.name)) {
+      await fs.rm(path.join(targetDir, entry.name), { recursive: true, force: true });
+    }
+  }
+  return copySkillTree(sourceDir, targetDir);
+}
+
+async function resolveInstalledSkill(data) {
+  const validated = installedSkillSchema.parse(data);
+  const target = await resolveInstallTarget(validated.target);
+  const installedDir = validateSkillPath(path.join(target.dir, validated.name), target.dir, { symlinks: 'ignore' });
+
+  if (!fsSync.existsSync(path.join(installedDir, 'SKILL.md'))) {
+    throw new Error('Installed skill not found');
+  }
+
+  const libraryDir = validateSkillPath(path.join(getSkillsDir(), validated.name));
+  if ((await fs.lstat(installedDir)).isSymbolicLink() && await isSameDirectory(installedDir, libraryDir)) {
+    throw new Error('This install is a symlink to the library and is always up to date');
+  }
+
+  return { target, name: validated.name, installedDir, libraryDir };
+}
+
+// Git integration
+// Skills can be their own git repositories. Everything runs through the local git binary;
+// nothing here talks to a remote.
+
+// A skill folder may come from anywhere, so settings in its .git/config that run programs
+// (fsmonitor, hooks, external diff, signing, filter drivers) are switched off for every command
+const GIT_SAFE_ARGS = [
+  '-c', 'core.fsmonitor=false',
+  '-c', 'core.hooksPath=/dev/null',
+  '-c', 'diff.external=',
+  '-c', 'commit.gpgSign=false',
+  '--no-pager'
+];
+
+function execGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      cwd,
+      maxBuffer: getMaxFileSize() * 2,
+      windowsHide: true,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          reject(new Error('git is not installed or not on your PATH'));
+          return;
+        }
+        reject(new Error((stderr || error.message).trim()));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Filter drivers run their clean, smudge or process program on add, status and checkout for
+// every path .gitattributes assigns them to. The attributes in the work tree can't be turned
+// off, so each driver the config defines is blanked instead: a driver without a command
+// leaves the content as it is.
+async function getFilterDriverOverrides(cwd) {
+  // Exits with 1 when no filter is configured
+  const output = await execGit(cwd, [...GIT_SAFE_ARGS, 'config', '--null', '--get-regexp', '^filter\\.']).catch(() => '');
+  const drivers = new Set();
+  for (const entry of output.split('\0')) {
+    const key = entry.split('\n')[0];
+    const lastDot = key.lastIndexOf('.');
+    if (lastDot > 'filter.'.length) {
+      drivers.add(key.substring('filter.'.length, lastDot));
+    }
+  }
+
+  return Array.from(drivers).flatMap(driver => [
+    '-c', `filter.${driver}.clean=`,
+    '-c', `filter.${driver}.smudge=`,
+    '-c', `filter.${driver}.process=`,
+    '-c', `filter.${driver}.required=false`
+  ]);
+}
+
+async function runGit(cwd, args) {
+  return execGit(cwd, [...GIT_SAFE_ARGS, ...await getFilterDriverOverrides(cwd), ...args]);
+}
+
+function isGitRepo(skillDir) {
+  return fsSync.existsSync(path.join(skillDir, '.git'));
+}
+
+// Parse `git status --porcelain=v1 -z` into one entry per path
+function parseGitStatus(output) {
+  const files = [];
+  const records = output.split('\0');
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (record.length < 4) {
+      continue;
+    }
+
+    const code = record.substring(0, 2);
+    const filePath = record.substring(3);
+    let status = 'modified';
+
+    if (code === '??' || code.includes('A')) {
+      status = 'added';
+    } else if (code.includes('D')) {
+      status = 'deleted';
+    } else if (code.includes('R') || code.includes('C')) {
+      status = 'renamed';
+      // Renames carry the original path as the next record
+      i += 1;
+    }
+
+    files.push({ path: filePath, status });
+  }
+
+  return files;
+}
+
+async function getGitStatus(skillDir) {
+  if (!isGitRepo(skillDir)) {
+    return { isRepo: false, branch: null, hasCommits: false, files: [] };
+  }
+
+  const [statusOutput, branchOutput] = await Promise.all([
+    runGit(skillDir, ['status', '--porcelain=v1', '-z', '--untracked-files=all']),
+    runGit(skillDir, ['symbolic-ref', '--short', 'HEAD']).catch(() => 'HEAD')
+  ]);
+  const hasCommits = await runGit(skillDir, ['rev-parse', '--verify', '--quiet', 'HEAD'])
+    .then(() => true)
+    .catch(() => false);
+
+  return {
+    isRepo: true,
+    branch: branchOutput.trim(),
+    hasCommits,
+    files: parseGitStatus(statusOutput)
+  };
+}
+
+// Resolve a git request to the skill folder, refusing folders that aren't repositories
+function resolveGitSkillDir(skillPath, { requireRepo = true } = {}) {
+  const skillDir = path.dirname(validateSkillPath(skillPath));
+  if (!fsSync.existsSync(skillDir)) {
+    throw new Error('Skill directory does not exist');
+  }
+  if (requireRepo && !isGitRepo(skillDir)) {
+    throw new Error('This skill is not a git repository');
+  }
+  return skillDir;
+}
+
+// Pick a library folder for an imported skill, suffixing -1, -2, ... when the name is taken.
+// Any existing folder counts as taken, so an import never writes into (or cleans up) one it didn't create.
+function resolveImportSkillDir(skillsDir, rawName) {
+  let sanitizedName;
+  try {
+    sanitizedName = sanitizeSkillName(rawName);
+  } catch (nameError) {
+    sanitizedName = sanitizeSkillName(`imported-skill-${Date.now()}`);
+  }
+
+  let candidateName = sanitizedName;
+  let targetDir = path.join(skillsDir, candidateName);
+  let suffix = 1;
+  while (fsSync.existsSync(targetDir)) {
+    candidateName = `${sanitizedName}-${suffix}`;
+    targetDir = path.join(skillsDir, candidateName);
+    suffix += 1;
+  }
+
+  return { skillName: candidateName, skillDir: validateSkillPath(targetDir, skillsDir) };
+}
+
+// Copy a skill folder from outside the library, applying the same rules as the file tree.
+// Returns the copied relative paths and everything that was left behind with a reason.
+async function copySkillTree(sourceDir, targetDir, relativePath = '', report = { copied: [], skipped: [] }) {
+  const entries = await fs.readdir(path.join(sourceDir, relativePath), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryRelPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
+    const displayPath = entryRelPath.split(path.sep).join('/');
+
+    if (isIgnoredTreeEntry(entry.name)) {
+      report.skipped.push({ path: displayPath, reason: 'hidden or node_modules' });
+      continue;
+    }
+
+    if (entry.isSymbolicLink()) {
+      report.skipped.push({ path: displayPath, reason: 'symbolic link' });
+      continue;
+    }
+
+    let sanitizedName;
+    try {
+      sanitizedName = sanitizeFileName(entry.name);
+    } catch (nameError) {
+      report.skipped.push({ path: displayPath, reason: 'invalid name' });
+      continue;
+    }
+
+    // A name like "日本.md" sanitizes to the hidden ".md"
+    if (isIgnoredTreeEntry(sanitizedName)) {
+      report.skipped.push({ path: displayPath, reason: 'invalid name' });
+      continue;
+    }
+
+    const destinationPath = validateSkillPath(path.join(targetDir, path.dirname(entryRelPath), sanitizedName), targetDir);
+
+    // Names like "a b.md" and "ab.md" sanitize to the same file; keep the first one
+    if (fsSync.existsSync(destinationPath)) {
+      report.skipped.push({ path: displayPath, reason: 'name collides with another file' });
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      await fs.mkdir(destinationPath, { recursive: true });
+      await copySkillTree(sourceDir, targetDir, entryRelPath, report);
+    } else if (entry.isFile()) {
+      const stats = await fs.stat(path.join(sourceDir, entryRelPath));
+      if (stats.size > getMaxFileSize()) {
+        report.skipped.push({ path: displayPath, reason: `larger than ${appSettings.files.maxFileSizeMb}MB` });
+        continue;
+      }
+      await fs.copyFile(path.join(sourceDir, entryRelPath), destinationPath);
+      report.copied.push(path.relative(targetDir, destinationPath).split(path.sep).join('/'));
+    } else {
+      report.skipped.push({ path: displayPath, reason: 'not a regular file' });
+    }
+  }
+
+  return report;
+}
+
+// ZIP utilities
+function openZipFile(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(zipfile);
+    });
+  });
+}
+
+function readZipEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+}
+
+// Per-entry sizes of a finished package, read back from the ZIP itself
+async function buildPackageManifest(zipPath, skillName) {
+  const zipfile = await openZipFile(zipPath);
+  let entries;
+  try {
+    entries = await readZipEntries(zipfile);
+  } finally {
+    zipfile.close();
+  }
+
+  const prefix = `${skillName}/`;
+  const files = entries
+    .filter(entry => !entry.fileName.endsWith('/'))
+    .map(entry => {
+      const entryPath = entry.fileName.startsWith(prefix) ? entry.fileName.substring(prefix.length) : entry.fileName;
+      return {
+        path: entryPath,
+        size: entry.uncompressedSize,
+        compressedSize: entry.compressedSize,
+        fileType: getFileType(entryPath)
+      };
+    });
+
+  return {
+    entries: files,
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    totalCompressedSize: files.reduce((total, file) => total + file.compressedSize, 0),
+    zipSize: (await fs.stat(zipPath)).size
+  };
+}
+
+function extractZipEntry(zipfile, entry, destinationPath) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, readStream) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const output = fsSync.createWriteStream(destinationPath);
+      readStream.on('error', reject);
+      output.on('error', reject);
+      output.on('close', resolve);
+      readStream.pipe(output);
+    });
+  });
+}
+
+// Work out which entries of a skill archive to extract and where they go.
+// The skill root is the folder holding the shallowest SKILL.md; anything outside it is skipped.
+function planSkillZipExtraction(entries) {
+  const fileEntries = entries.filter(entry => !entry.fileName.endsWith('/'));
+
+  // Reject zip-slip entries up front so nothing is written for a malicious archive
+  for (const entry of fileEntries) {
+    const segments = entry.fileName.split(/[/\\]+/);
+    if (path.isAbsolute(entry.fileName) || /^[a-zA-Z]:/.test(entry.fileName) || segments.includes('..')) {
+      throw new Error(`Archive entry "${entry.fileName}" escapes the skill folder`);
+    }
+  }
+
+  const skillFileEntries = fileEntries
+    .filter(entry => !entry.fileName.split('/').includes('__MACOSX'))
+    .filter(entry => path.posix.basename(entry.fileName).toLowerCase() === 'skill.md')
+    .sort((a, b) => a.fileName.split('/').length - b.fileName.split('/').length);
+
+  if (skillFileEntries.length === 0) {
+    throw new Error('Archive does not contain a SKILL.md');
+  }
+
+  const skillFileName = skillFileEntries[0].fileName;
+  const rootDir = path.posix.dirname(skillFileName);
+  const rootPrefix = rootDir === '.' ? '' : `${rootDir}/`;
+
+  const files = [];
+  const skipped = [];
+  const seenPaths = new Set();
+
+  for (const entry of fileEntries) {
+    if (!entry.fileName.startsWith(rootPrefix) || entry.fileName.split('/').includes('__MACOSX')) {
+      skipped.push({ path: entry.fileName, reason: 'outside skill folder' });
+      continue;
+    }
+
+    if (entry.uncompressedSize > getMaxFileSize()) {
+      skipped.push({ path: entry.fileName, reason: 'too large' });
+      continue;
+    }
+
+    // Claude Desktop expects the exact SKILL.md casing at the skill root
+    const relativeName = entry.fileName === skillFileName
+      ? 'SKILL.md'
+      : entry.fileName.substring(rootPrefix.length);
+
+    // Same rules as folder import: no .git, .env, node_modules and the like
+    if (relativeName.split('/').some(isIgnoredTreeEntry)) {
+      skipped.push({ path: entry.fileName, reason: 'hidden or node_modules' });
+      continue;
+    }
+
+    // A segment with no valid characters (a folder named "日本") has no name to use, and
+    // one like "日本.md" would turn into the hidden ".md"
+    let relativePath;
+    try {
+      relativePath = sanitizeRelativePath(relativeName);
+    } catch (nameError) {
+      skipped.push({ path: entry.fileName, reason: 'invalid name' });
+      continue;
+    }
+    if (relativePath.split(path.sep).some(isIgnoredTreeEntry)) {
+      skipped.push({ path: entry.fileName, reason: 'invalid name' });
+      continue;
+    }
+
+    // Names like "a b.md" and "ab.md" sanitize to the same file; keep the first one
+    const collisionKey = relativePath.toLowerCase();
+    if (seenPaths.has(collisionKey)) {
+      skipped.push({ path: entry.fileName, reason: 'name collides with another file' });
+      continue;
+    }
+    seenPaths.add(collisionKey);
+
+    files.push({ entry, relativePath });
+  }
+
+  return {
+    rootName: rootPrefix ? path.posix.basename(rootDir) : null,
+    files,
+    skipped
+  };
+}
+
+// Cleanup temporary files on app exit
+app.on('before-quit', async () => {
+  for (const filePath of trackedTempFiles) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      console.error(`Failed to cleanup temp file ${filePath}:`, error);
+    }
+  }
+});
+
+// Clean up old temp files on startup
+async function cleanupOldTempFiles() {
+  try {
+    const tempDir = app.getPath('temp');
+    const files = await fs.readdir(tempDir);
+    const skillZips = files.filter(f => f.match(/^.+\.zip$/) && f.includes('skill'));
+
+    // Clean up skill ZIPs older than 1 hour
+    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+
+    for (const file of skillZips) {
+      const filePath = path.join(tempDir, file);
+      try {
+        const stats = await fs.stat(filePath);
+        if (stats.mtimeMs < oneHourAgo) {
+          await fs.unlink(filePath);
+        }
+      } catch (error) {
+        // Ignore errors for individual files
+      }
+    }
+  } catch (error) {
+    console.error('Failed to cleanup old temp files:', error);
+  }
+}
+
+function createWindow() {
+  const bounds = getRestoredWindowBounds(workspaceState.window);
+  mainWindow = new BrowserWindow({
+    width: bounds ? bounds.width : 1400,
+    height: bounds ? bounds.height : 900,
+    ...(bounds ? { x: bounds.x, y: bounds.y } : {}),
+    backgroundColor: '#141413',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    titleBarStyle: 'hidden',
+    titleBarOverlay: {
+      color: '#141413',
+      symbolColor: '#faf9f5',
+      height: 40
+    }
+  });
+
+  if (bounds && bounds.maximized) {
+    mainWindow.maximize();
+  }
+
+  // The renderer blocks unloading while tabs have unsaved edits and autosave is off
+  mainWindow.webContents.on('will-prevent-unload', (event) => {
+    const choice = dialog.showMessageBoxSync(mainWindow, {
+      type: 'warning',
+      buttons: ['Quit Without Saving', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: 'Some files have unsaved changes.',
+      detail: 'Autosave is off. Quit anyway and lose the changes?'
+    });
+    if (choice === 0) {
+      event.preventDefault();
+    }
+  });
+
+  // Written synchronously: the app may quit right after the window closes. The renderer's
+  // last state comes after this, from beforeunload (save-workspace-state-sync).
+  mainWindow.on('close', () => {
+    workspaceState.window = { ...mainWindow.getNormalBounds(), maximized: mainWindow.isMaximized() };
+    writeWorkspaceStateSync();
+  });
+
+  mainWindow.loadFile('index.html');
+}
+
+app.whenReady().then(async () => {
+  await cleanupOldTempFiles();
+  appSettings = await readSettings();
+  await purgeExpiredTrash();
+  workspaceState = await readWorkspaceState();
+  createWindow();
+  startSkillsWatcher();
+});
+
+app.on('window-all-closed', () => {
+  if (process.platform !== 'darwin') {
+    app.quit();
+  }
+});
+
+app.on('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) {
+    createWindow();
+  }
+});
+
+// IPC Handlers
+ipcMain.handle('create-skill', async (event, skillData) => {
+  try {
+    // Validate input
+    const validated = skillDataSchema.parse(skillData);
+    const sanitizedName = sanitizeSkillName(validated.name);
+
+    const skillsDir = getSkillsDir();
+    const skillDir = path.join(skillsDir, sanitizedName);
+
+    // Validate the resulting path is within skills directory
+    validateSkillPath(skillDir, skillsDir);
+
+    if (!fsSync.existsSync(skillDir)) {
+      await discardStaleHistory(skillDir);
+    }
+    await runOwnSkillOperation([sanitizedName], async () => {
+      await fs.mkdir(skillDir, { recursive: true });
+      await fs.writeFile(path.join(skillDir, 'SKILL.md'), validated.content, 'utf-8');
+    });
+    await recordSkillSnapshot(skillDir, 'Created skill');
+
+    return { success: true, path: skillDir };
+  } catch (error) {
+    console.error('Error creating skill:', error);
+    return { success: false, error: 'Failed to create skill' };
+  }
+});
 
 ipcMain.handle('load-skill', async (event, skillPath) => {
   try {
-    const skillsDir = getSkillsDir();
-    await fs.mkdir(skillsDir, { recursive: true });
+    const skillsDir = getSkillsDir();
+    await fs.mkdir(skillsDir, { recursive: true });
+
+    try {
+      const validatedPath = validateSkillPath(skillPath, skillsDir);
+      if (!fsSync.existsSync(validatedPath)) {
+        throw new Error('Skill file does not exist');
+      }
+
+      const content = await fs.readFile(validatedPath, 'utf-8');
+      return { success: true, content, path: validatedPath };
+    } catch (validationError) {
+      if (!validationError || validationError.message !== 'Invalid path - access denied') {
+        throw validationError;
+      }
+      // Allow importing external SKILL.md files
+      const resolvedPath = path.resolve(skillPath);
+      if (!fsSync.existsSync(resolvedPath)) {
+        throw new Error('Skill file does not exist');
+      }
+
+      if (path.basename(resolvedPath).toLowerCase() !== 'skill.md') {
+        throw new Error('Only SKILL.md files can be imported');
+      }
+
+      const content = await fs.readFile(resolvedPath, 'utf-8');
+
+      const { skillName: candidateName, skillDir: targetDir } = resolveImportSkillDir(
+        skillsDir,
+        path.basename(path.dirname(resolvedPath))
+      );
+
+      const targetPath = path.join(targetDir, 'SKILL.md');
+      await discardStaleHistory(targetDir);
+      await runOwnSkillOperation([candidateName], async () => {
+        await fs.mkdir(targetDir, { recursive: true });
+        await fs.writeFile(targetPath, content, 'utf-8');
+      });
+      await recordSkillSnapshot(targetDir, 'Imported SKILL.md');
+
+      return {
+        success: true,
+        content,
+        path: targetPath,
+        imported: true,
+        skillName: candidateName
+      };
+    }
+  } catch (error) {
+    console.error('Error loading skill:', error);
+    return { success: false, error: error.message || 'Failed to load skill' };
+  }
+});
+
+// Write a text file in the library. The path must stay inside the skills directory, and no
+// symlink may lead out of its skill; the write is noted so the watcher doesn't report it.
+async function writeSkillFile(filePath, content) {
+  const validatedPath = validateSkillPath(filePath);
+  validateSkillPath(validatedPath, getSkillDirFor(validatedPath));
+
+  await fs.writeFile(validatedPath, content, 'utf-8');
+  noteOwnWrite(validatedPath);
+  return validatedPath;
+}
+
+ipcMain.handle('save-skill', async (event, data) => {
+  try {
+    // Validate input
+    const validated = saveSkillSchema.parse(data);
+
+    const validatedPath = await writeSkillFile(validated.skillPath, validated.content);
+    await recordSkillSnapshot(getSkillDirFor(validatedPath), 'Autosave');
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving skill:', error);
+    return { success: false, error: 'Failed to save skill' };
+  }
+});
+
+// Lint a skill ahead of packaging; returns the summary when errors should block it
+// Returns why packaging must stop, or null. A skill that can't be linted is not packaged.
+async function lintBeforePackaging(skillDir) {
+  try {
+    if (fsSync.existsSync(skillDir)) {
+      const lintResult = summarizeDiagnostics(await lintSkill(skillDir));
+      if (lintResult.errorCount > 0) {
+        return { error: 'Skill has lint errors', ...lintResult };
+      }
+    }
+  } catch (error) {
+    console.error('Error linting skill before packaging:', error);
+    return { error: 'Could not check the skill for problems' };
+  }
+  return null;
+}
+
+// Reproducible packages: entries in byte order, one fixed timestamp and normalized
+// permissions, so the same files always produce the same ZIP on any machine.
+// (DOS timestamps start in 1980; archiver writes the date's UTC fields, so it is built in UTC
+// to come out the same in every time zone.)
+const REPRODUCIBLE_ZIP_DATE = new Date(Date.UTC(1980, 0, 1));
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Write a skill's package to zipPath and return its SHA-256. Files sit under a top-level
+// folder named after the skill so Claude Desktop recognizes it; only files .skillignore
+// lets through are added.
+async function writeSkillZip(skillDir, skillName, zipPath, { reproducible = false } = {}) {
+  if (!fsSync.existsSync(skillDir)) {
+    throw new Error('Skill directory does not exist');
+  }
+
+  // Work out what ships before the archive starts streaming
+  const packageFiles = await listPackageFiles(skillDir, await loadSkillIgnore(skillDir));
+  if (reproducible) {
+    packageFiles.included.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  }
+
+  // Followed stats make links inside the skill ship as the files they point to
+  const fileStats = await Promise.all(packageFiles.included.map(file => fs.stat(path.join(skillDir, file.path))));
+
+  await new Promise((resolve, reject) => {
+    const output = fsSync.createWriteStream(zipPath);
+    // One stat at a time keeps entries in the order they were added
+    const archive = archiver('zip', { zlib: { level: appSettings.packaging.compressionLevel }, ...(reproducible ? { statConcurrency: 1 } : {}) });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    packageFiles.included.forEach((file, index) => {
+      const entry = { name: `${skillName}/${file.path}`, stats: fileStats[index] };
+      if (reproducible) {
+        entry.date = REPRODUCIBLE_ZIP_DATE;
+        entry.mode = (file.mode & 0o111) ? 0o755 : 0o644;
+      }
+      archive.file(path.join(skillDir, file.path), entry);
+    });
+    archive.finalize();
+  });
+
+  const sha256 = await sha256File(zipPath);
+  await markPackagedSnapshot(skillDir, sha256);
+  return sha256;
+}
+
+// Exports go to folders other tools may be watching (Downloads, synced drives). The ZIP is built
+// next to the destination and renamed into place, so a half-written package never appears.
+async function exportSkillZip(skillDir, skillName, filePath, options) {
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.partial`;
+  try {
+    const sha256 = await writeSkillZip(skillDir, skillName, tempPath, options);
+    await fs.rename(tempPath, filePath);
+    return sha256;
+  } catch (error) {
+    await fs.rm(tempPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+ipcMain.handle('create-zip', async (event, data) => {
+  let zipPath = null;
+
+  try {
+    // Validate input
+    const validated = createZipSchema.parse(data);
+
+    // Validate path is within skills directory
+    const validatedPath = validateSkillPath(validated.skillPath);
+    const skillDir = path.dirname(validatedPath);
+
+    // Refuse to package a skill that fails lint
+    const lintResult = await lintBeforePackaging(skillDir);
+    if (lintResult) {
+      return { success: false, ...lintResult };
+    }
+
+    // Sanitize filename for ZIP
+    const sanitizedName = validated.skillName.replace(/[^a-zA-Z0-9\-_.]/g, '');
+    zipPath = path.join(app.getPath('temp'), `skill-${sanitizedName}-${Date.now()}.zip`);
+
+    // Track temp file for cleanup
+    trackedTempFiles.add(zipPath);
+
+    const sha256 = await writeSkillZip(skillDir, validated.skillName, zipPath, { reproducible: validated.reproducible });
+
+    let manifest = null;
+    try {
+      manifest = await buildPackageManifest(zipPath, validated.skillName);
+    } catch (error) {
+      console.error('Error reading package manifest:', error);
+    }
+
+    return { success: true, zipPath, manifest, sha256, reproducible: validated.reproducible };
+  } catch (error) {
+    console.error('Error creating ZIP:', error);
+    if (zipPath) {
+      trackedTempFiles.delete(zipPath);
+    }
+    return { success: false, error: 'Failed to create ZIP' };
+  }
+});
+
+// Export one package to a location the user picks, named <skill>.zip
+ipcMain.handle('export-package', async (event, data) => {
+  try {
+    const validated = exportPackageSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const skillName = path.basename(skillDir);
+
+    const lintResult = await lintBeforePackaging(skillDir);
+    if (lintResult) {
+      return { success: false, ...lintResult };
+    }
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Package',
+      defaultPath: path.join(app.getPath('downloads'), `${skillName}.zip`),
+      filters: [{ name: 'Skill Package', extensions: ['zip'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const sha256 = await exportSkillZip(skillDir, skillName, result.filePath, { reproducible: validated.reproducible });
+    return { success: true, filePath: result.filePath, sha256 };
+  } catch (error) {
+    console.error('Error exporting package:', error);
+    return { success: false, error: 'Failed to export package' };
+  }
+});
+
+// Every skill folder in the library that has a SKILL.md
+async function listLibrarySkillDirs() {
+  const skillsDir = getSkillsDir();
+  const entries = fsSync.existsSync(skillsDir) ? await fs.readdir(skillsDir, { withFileTypes: true }) : [];
+  return entries
+    .filter(entry => entry.isDirectory() && fsSync.existsSync(path.join(skillsDir, entry.name, 'SKILL.md')))
+    .map(entry => path.join(skillsDir, entry.name))
+    .sort();
+}
+
+// Export several skills, or the whole library, as <skill>.zip files in one folder
+ipcMain.handle('export-packages', async (event, data) => {
+  try {
+    const validated = exportPackagesSchema.parse(data);
+
+    const skillDirs = validated.skillPaths
+      ? validated.skillPaths.map(skillPath => path.dirname(validateSkillPath(skillPath)))
+      : await listLibrarySkillDirs();
+
+    if (skillDirs.length === 0) {
+      return { success: false, error: 'No skills to export' };
+    }
+
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Export Packages To',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const folderPath = result.filePaths[0];
+    const exported = [];
+    const failed = [];
+
+    for (const skillDir of skillDirs) {
+      const skillName = path.basename(skillDir);
+      try {
+        const lintResult = await lintBeforePackaging(skillDir);
+        if (lintResult) {
+          failed.push({ name: skillName, error: lintResult.diagnostics ? `${lintResult.errorCount} lint error(s)` : lintResult.error });
+          continue;
+        }
+        // Packages already in the folder are kept; the new one gets a -1, -2, ... suffix
+        const zipPath = findFreePath(path.join(folderPath, `${skillName}.zip`));
+        const sha256 = await exportSkillZip(skillDir, skillName, zipPath, { reproducible: validated.reproducible });
+        exported.push({ name: skillName, sha256, fileName: path.basename(zipPath) });
+      } catch (error) {
+        console.error(`Error exporting ${skillName}:`, error);
+        failed.push({ name: skillName, error: 'Failed to create ZIP' });
+      }
+    }
+
+    return { success: true, folderPath, exported, failed };
+  } catch (error) {
+    console.error('Error exporting packages:', error);
+    return { success: false, error: 'Failed to export packages' };
+  }
+});
+
+// What a package of this skill would contain, without building it
+ipcMain.handle('preview-package', async (event, data) => {
+  try {
+    const validated = previewPackageSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
+    }
+
+    const { included, excluded } = await listPackageFiles(skillDir, await loadSkillIgnore(skillDir));
+    return {
+      success: true,
+      included,
+      excluded,
+      totalSize: included.reduce((total, file) => total + file.size, 0),
+      hasIgnoreFile: fsSync.existsSync(path.join(skillDir, SKILLIGNORE_FILE))
+    };
+  } catch (error) {
+    console.error('Error previewing package:', error);
+    return { success: false, error: 'Failed to preview package' };
+  }
+});
+
+// Start a .skillignore that spells out the built-in rules
+ipcMain.handle('create-skillignore', async (event, data) => {
+  try {
+    const validated = createSkillIgnoreSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const ignoreFile = path.join(skillDir, SKILLIGNORE_FILE);
+
+    if (fsSync.existsSync(ignoreFile)) {
+      return { success: true, path: SKILLIGNORE_FILE };
+    }
+
+    const content = [
+      '# Files matching these gitignore-style patterns are left out of packages.',
+      '# These defaults always apply; use !pattern to include something they exclude.',
+      ...DEFAULT_SKILLIGNORE_RULES.filter(rule => !rule.startsWith('#')).map(rule => `#   ${rule}`),
+      '',
+      '# Examples:',
+      '# tests/',
+      '# fixtures/',
+      '# *.log',
+      ''
+    ].join('\n');
+
+    await fs.writeFile(ignoreFile, content, 'utf-8');
+    noteOwnWrite(ignoreFile);
+    await recordSkillSnapshot(skillDir, `Created ${SKILLIGNORE_FILE}`);
+    return { success: true, path: SKILLIGNORE_FILE };
+  } catch (error) {
+    console.error('Error creating .skillignore:', error);
+    return { success: false, error: 'Failed to create .skillignore' };
+  }
+});
+
+// Handle native file drag operation
+ipcMain.on('start-drag', (event, zipPath, skillName) => {
+  try {
+    // Verify the file exists
+    if (!fsSync.existsSync(zipPath)) {
+      console.error('ZIP file does not exist:', zipPath);
+      event.sender.send('drag-error', 'ZIP file not found');
+      return;
+    }
+
+    // Resolve an icon for the drag payload
+    const candidateIconPaths = [
+      path.join(process.resourcesPath, 'drag-icon.png'), // Packaged builds (extraResources)
+      path.join(app.getAppPath(), 'icon.png'),
+      path.join(app.getAppPath(), 'build', 'icons', '64x64.png'),
+      path.join(__dirname, 'icon.png'),
+      path.join(__dirname, 'build', 'icons', '64x64.png'),
+      path.join(__dirname, 'node_modules/app-builder-lib/templates/icons/electron-linux/64x64.png')
+    ];
+
+    let dragIcon = null;
+    for (const iconPath of candidateIconPaths) {
+      if (!iconPath || !fsSync.existsSync(iconPath)) {
+        continue;
+      }
+      const image = nativeImage.createFromPath(iconPath);
+      if (image && !image.isEmpty()) {
+        dragIcon = image;
+        break;
+      }
+    }
+
+    if (!dragIcon) {
+      // Fallback to a 1x1 transparent pixel so Linux has a valid icon
+      const transparentPixel = Buffer.from(
+        'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQImWNgYGD4DwABBAEA6drdzQAAAABJRU5ErkJggg==',
+        'base64'
+      );
+      dragIcon = nativeImage.createFromBuffer(transparentPixel);
+    } else {
+      const { width, height } = dragIcon.getSize();
+      const MAX_DRAG_ICON_DIM = 48;
+      if (width > MAX_DRAG_ICON_DIM || height > MAX_DRAG_ICON_DIM) {
+        dragIcon = dragIcon.resize({ width: MAX_DRAG_ICON_DIM, height: MAX_DRAG_ICON_DIM, quality: 'best' });
+      }
+    }
+
+    if (!dragIcon || dragIcon.isEmpty()) {
+      console.error('Failed to create drag icon');
+      event.sender.send('drag-error', 'Failed to start drag operation');
+      return;
+    }
+
+    // Start the native drag operation
+    event.sender.startDrag({
+      file: zipPath,
+      icon: dragIcon
+    });
+  } catch (error) {
+    console.error('Error starting drag:', error);
+    event.sender.send('drag-error', 'Failed to start drag operation');
+  }
+});
+
+ipcMain.handle('open-file-dialog', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Skill Files', extensions: ['md', 'zip'] },
+      { name: 'Skill Packages', extensions: ['zip'] }
+    ]
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return { success: true, filePath: result.filePaths[0] };
+  }
+  
+  return { success: false };
+});
+
+// Import a skill from a ZIP package into the library
+ipcMain.handle('import-skill-zip', async (event, data) => {
+  let zipfile = null;
+  let createdDir = null;
+
+  try {
+    // Validate input
+    const validated = importSkillZipSchema.parse(data);
+    const resolvedZipPath = path.resolve(validated.zipPath);
+
+    if (!fsSync.existsSync(resolvedZipPath)) {
+      throw new Error('ZIP file does not exist');
+    }
+
+    if (path.extname(resolvedZipPath).toLowerCase() !== '.zip') {
+      throw new Error('Only .zip packages can be imported');
+    }
+
+    const skillsDir = getSkillsDir();
+    await fs.mkdir(skillsDir, { recursive: true });
+
+    zipfile = await openZipFile(resolvedZipPath);
+    const entries = await readZipEntries(zipfile);
+    const plan = planSkillZipExtraction(entries);
+
+    const rawName = plan.rootName || path.basename(resolvedZipPath, path.extname(resolvedZipPath));
+    const { skillName, skillDir } = resolveImportSkillDir(skillsDir, rawName);
+
+    await runOwnSkillOperation([skillName], async () => {
+      // Without recursive, mkdir fails if the folder appeared meanwhile, so cleanup never removes someone else's
+      await fs.mkdir(skillDir);
+      createdDir = skillDir;
+      await discardStaleHistory(skillDir);
+
+      for (const { entry, relativePath } of plan.files) {
+        // Validate every destination is within the new skill directory
+        const destinationPath = validateSkillPath(path.join(skillDir, relativePath), skillDir);
+        await fs.mkdir(path.dirname(destinationPath), { recursive: true });
+        await extractZipEntry(zipfile, entry, destinationPath);
+      }
+    });
+
+    const skillPath = path.join(skillDir, 'SKILL.md');
+    const content = await fs.readFile(skillPath, 'utf-8');
+    await recordSkillSnapshot(skillDir, 'Imported ZIP package');
+
+    return {
+      success: true,
+      content,
+      path: skillPath,
+      imported: true,
+      skillName,
+      fileCount: plan.files.length,
+      skipped: plan.skipped
+    };
+  } catch (error) {
+    console.error('Error importing skill ZIP:', error);
+    if (createdDir) {
+      await runOwnSkillOperation([path.basename(createdDir)], () => fs.rm(createdDir, { recursive: true, force: true }))
+        .catch(() => {});
+    }
+    return { success: false, error: error.message || 'Failed to import ZIP' };
+  } finally {
+    if (zipfile) {
+      zipfile.close();
+    }
+  }
+});
+
+ipcMain.handle('open-folder-dialog', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+
+  if (!result.canceled && result.filePaths.length > 0) {
+    return { success: true, folderPath: result.filePaths[0] };
+  }
+
+  return { success: false };
+});
+
+// Import a whole skill folder (SKILL.md plus scripts, references and assets) into the library
+ipcMain.handle('import-skill-folder', async (event, data) => {
+  let createdDir = null;
+
+  try {
+    // Validate input
+    const validated = importSkillFolderSchema.parse(data);
+    let sourceDir = path.resolve(validated.folderPath);
+
+    // Accept the SKILL.md itself as well as its folder
+    if (path.basename(sourceDir).toLowerCase() === 'skill.md') {
+      sourceDir = path.dirname(sourceDir);
+    }
+
+    const skillsDir = getSkillsDir();
+    await fs.mkdir(skillsDir, { recursive: true });
+
+    const sourceStats = await fs.stat(sourceDir).catch(() => null);
+    if (!sourceStats || !sourceStats.isDirectory()) {
+      throw new Error('Skill folder does not exist');
+    }
+
+    // Refuse folders that contain the library, which would copy into themselves
+    const resolvedSkillsDir = path.resolve(skillsDir);
+    if (resolvedSkillsDir === sourceDir || resolvedSkillsDir.startsWith(sourceDir + path.sep)) {
+      throw new Error('Cannot import a folder that contains the skills library');
+    }
+
+    const sourceEntries = await fs.readdir(sourceDir);
+    const skillFileName = sourceEntries.find(name => name.toLowerCase() === 'skill.md');
+    if (!skillFileName) {
+      throw new Error('Folder does not contain a SKILL.md');
+    }
+
+    const { skillName, skillDir } = resolveImportSkillDir(skillsDir, path.basename(sourceDir));
+    const skillPath = path.join(skillDir, 'SKILL.md');
+    const report = await runOwnSkillOperation([skillName], async () => {
+      await fs.mkdir(skillDir);
+      createdDir = skillDir;
+      await discardStaleHistory(skillDir);
+
+      const copyReport = await copySkillTree(sourceDir, skillDir);
+
+      // Claude Desktop expects the exact SKILL.md casing at the skill root
+      if (skillFileName !== 'SKILL.md') {
+        await fs.rename(path.join(skillDir, skillFileName), skillPath);
+        copyReport.copied = copyReport.copied.map(p => (p === skillFileName ? 'SKILL.md' : p));
+      }
+      return copyReport;
+    });
+
+    const content = await fs.readFile(skillPath, 'utf-8');
+    await recordSkillSnapshot(skillDir, 'Imported folder');
+
+    return {
+      success: true,
+      content,
+      path: skillPath,
+      imported: true,
+      skillName,
+      fileCount: report.copied.length,
+      skipped: report.skipped
+    };
+  } catch (error) {
+    console.error('Error importing skill folder:', error);
+    if (createdDir) {
+      await runOwnSkillOperation([path.basename(createdDir)], () => fs.rm(createdDir, { recursive: true, force: true }))
+        .catch(() => {});
+    }
+    return { success: false, error: error.message || 'Failed to import folder' };
+  }
+});
+
+// Tags live in the frontmatter as a comma-separated metadata entry: `tags: "writing, pdf"`
+function parseSkillTags(frontmatter) {
+  const metadata = frontmatter.metadata;
+  if (!metadata || typeof metadata !== 'object' || typeof metadata.tags !== 'string') {
+    return [];
+  }
+  const tags = metadata.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return Array.from(new Set(tags)).sort();
+}
+
+// Total size and newest modification time of the files shown in a skill's tree
+async function getSkillStats(skillDir) {
+  let size = 0;
+  let modified = 0;
+
+  const walk = async (dirPath) => {
+    for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+      if (isIgnoredTreeEntry(entry.name) || entry.isSymbolicLink()) {
+        continue;
+      }
+      const fullPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else {
+        const stats = await fs.stat(fullPath);
+        size += stats.size;
+        modified = Math.max(modified, stats.mtimeMs);
+      }
+    }
+  };
+
+  await walk(skillDir);
+  return { size, modified: Math.round(modified) };
+}
+
+// The sidebar entry for one library skill
+async function readSkillListEntry(skillName) {
+  const skillsDir = getSkillsDir();
+  const skillPath = path.join(skillsDir, skillName, 'SKILL.md');
+
+  // Validate skill name
+  sanitizeSkillName(skillName);
+
+  // Validate path is within skills directory
+  validateSkillPath(skillPath, skillsDir);
+
+  const content = await fs.readFile(skillPath, 'utf-8');
+
+  // Extract description from YAML frontmatter
+  const { data: frontmatter } = parseFrontmatter(content);
+  const description = typeof frontmatter.description === 'string' && frontmatter.description.trim()
+    ? frontmatter.description.trim()
+    : 'No description';
+
+  return {
+    name: skillName,
+    path: skillPath,
+    description: description.substring(0, 200), // Limit description length
+    tags: parseSkillTags(frontmatter),
+    ...await getSkillStats(path.dirname(skillPath))
+  };
+}
+
+ipcMain.handle('list-skills', async () => {
+  const skillsDir = getSkillsDir();
+
+  try {
+    await fs.mkdir(skillsDir, { recursive: true });
+    const entries = await fs.readdir(skillsDir, { withFileTypes: true });
+
+    const skillList = await Promise.all(
+      entries
+        .filter(entry => entry.isDirectory())
+        .map(async (entry) => {
+          try {
+            return await readSkillListEntry(entry.name);
+          } catch (error) {
+            console.error(`Error loading skill ${entry.name}:`, error);
+            return null;
+          }
+        })
+    );
+
+    return skillList.filter(Boolean);
+  } catch (error) {
+    console.error('Error listing skills:', error);
+    return [];
+  }
+});
+
+// One sidebar entry, re-read after that skill's SKILL.md changed
+ipcMain.handle('get-skill-list-entry', async (event, data) => {
+  try {
+    const validated = getSkillListEntrySchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    return { success: true, skill: await readSkillListEntry(path.relative(getSkillsDir(), skillDir)) };
+  } catch (error) {
+    console.error('Error reading skill:', error);
+    return { success: false, error: 'Failed to read skill' };
+  }
+});
+
+ipcMain.handle('delete-skill', async (event, data) => {
+  try {
+    // Validate input
+    const validated = deleteSkillSchema.parse(data);
+
+    // Validate path is within skills directory
+    const validatedPath = validateSkillPath(validated.skillPath);
+
+    // Get the skill directory (parent of SKILL.md file)
+    const skillDir = path.dirname(validatedPath);
+
+    // Ensure skill directory exists
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
+    }
+
+    // Keep the last state in history so the skill can be restored later
+    await recordSkillSnapshot(skillDir, 'Before deleting skill');
+
+    // Move the entire skill directory to the trash
+    const skillName = path.basename(skillDir);
+    const entry = await runOwnSkillOperation([skillName], () => moveToTrash(skillDir, { skill: skillName, itemPath: '' }));
+
+    return { success: true, trashId: entry.id };
+  } catch (error) {
+    console.error('Error deleting skill:', error);
+    return { success: false, error: 'Failed to delete skill' };
+  }
+});
+
+// Move a skill's history along with a rename, or into and out of the trash. Whatever
+// history the destination name still had belonged to another skill and is discarded.
+async function moveSkillHistory(oldSkillDir, newSkillDir) {
+  await moveHistoryDir(getHistoryDir(oldSkillDir), newSkillDir);
+}
+
+async function moveHistoryDir(from, newSkillDir) {
+  snapshotManifestCache.delete(from);
+  await discardStaleHistory(newSkillDir);
+  if (fsSync.existsSync(from)) {
+    const to = getHistoryDir(newSkillDir);
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await movePath(from, to);
+  }
+}
+
+// Point the frontmatter name in a skill's SKILL.md at its folder name. SKILL.md files
+// with YAML errors are left alone; lint reports the mismatch.
+async function rewriteFrontmatterName(skillDir) {
+  const skillFile = path.join(skillDir, 'SKILL.md');
+  const name = path.basename(skillDir);
+  const content = await fs.readFile(skillFile, 'utf-8');
+  const block = splitFrontmatter(content);
+
+  if (parseFrontmatter(content).data.name === name) {
+    return;
+  }
+
+  let updated;
+  try {
+    updated = updateFrontmatter(content, { name });
+  } catch (error) {
+    return;
+  }
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const body = content.replace(/^\uFEFF/, '').split(/\r?\n/).slice(block.hasFrontmatter ? block.endLine : 0);
+  await fs.writeFile(skillFile, [...updated.text.split('\n'), ...body].join(eol), 'utf-8');
+}
+
+// Rename a skill: move its folder (suffixing the name like imports when it is taken),
+// rewrite the frontmatter name and carry the version history over
+ipcMain.handle('rename-skill', async (event, data) => {
+  try {
+    const validated = renameSkillSchema.parse(data);
+    const skillsDir = getSkillsDir();
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const oldName = path.basename(skillDir);
+
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
+    }
+
+    let requestedName;
+    try {
+      requestedName = sanitizeSkillName(validated.newName);
+    } catch (nameError) {
+      return { success: false, error: nameError.message };
+    }
+    if (requestedName === oldName) {
+      return { success: true, skill: await readSkillListEntry(oldName), oldPath: validated.skillPath, relinked: [], unlinked: [] };
+    }
+
+    const { skillName, skillDir: targetDir } = resolveImportSkillDir(skillsDir, requestedName);
+
+    // Symlink installs resolve only while the old folder exists, so find them first
+    const symlinkInstalls = await findSymlinkInstalls(skillDir);
+
+    await recordSkillSnapshot(skillDir, 'Before renaming skill');
+    await runOwnSkillOperation([oldName, skillName], async () => {
+      await fs.rename(skillDir, targetDir);
+      await moveSkillHistory(skillDir, targetDir);
+      await rewriteFrontmatterName(targetDir);
+    });
+    await recordSkillSnapshot(targetDir, `Renamed skill from ${oldName}`);
+    const installs = await relinkSymlinkInstalls(symlinkInstalls, targetDir);
+
+    return {
+      success: true,
+      skill: await readSkillListEntry(skillName),
+      oldPath: path.join(skillDir, 'SKILL.md'),
+      ...installs
+    };
+  } catch (error) {
+    console.error('Error renaming skill:', error);
+    return { success: false, error: 'Failed to rename skill' };
+  }
+});
+
+// Fork a skill: deep-copy its folder under a new name (suffixed when taken) and
+// rewrite the copy's frontmatter name
+ipcMain.handle('duplicate-skill', async (event, data) => {
+  try {
+    const validated = duplicateSkillSchema.parse(data);
+    const skillsDir = getSkillsDir();
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const sourceName = path.basename(skillDir);
+
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
+    }
+
+    let requestedName;
+    try {
+      requestedName = sanitizeSkillName(validated.newName || `${sourceName}-copy`);
+    } catch (nameError) {
+      return { success: false, error: nameError.message };
+    }
+
+    const { skillName, skillDir: targetDir } = resolveImportSkillDir(skillsDir, requestedName);
+
+    await discardStaleHistory(targetDir);
+    await runOwnSkillOperation([skillName], async () => {
+      // Symlinks are copied as links, so links within the skill keep pointing inside the copy
+      await fs.cp(skillDir, targetDir, { recursive: true, verbatimSymlinks: true, errorOnExist: true });
+      await rewriteFrontmatterName(targetDir);
+    });
+    await recordSkillSnapshot(targetDir, `Duplicated from ${sourceName}`);
+
+    return { success: true, skill: await readSkillListEntry(skillName) };
+  } catch (error) {
+    console.error('Error duplicating skill:', error);
+    return { success: false, error: 'Failed to duplicate skill' };
+  }
+});
+
+// List files in a skill directory with tree structure
+ipcMain.handle('list-skill-files', async (event, skillPath) => {
+  try {
+    // Validate the skill path first
+    const validatedPath = validateSkillPath(skillPath);
+    const skillDir = path.dirname(validatedPath);
+
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
+    }
+
+    const fileTree = await buildFileTree(skillDir, skillDir);
+    markExcludedNodes(fileTree, await loadSkillIgnore(skillDir));
+    return { success: true, files: fileTree };
+  } catch (error) {
+    console.error('Error listing skill files:', error);
+    return { success: false, error: 'Failed to list skill files' };
+  }
+});
+
+// Create a new file in a skill
+ipcMain.handle('create-file', async (event, data) => {
+  try {
+    // Validate input
+    const validated = createFileSchema.parse(data);
+
+    // Validate skill path
+    const skillDirPath = validateSkillPath(validated.skillPath);
+    const skillDir = path.dirname(skillDirPath);
+
+    // Build the full file path
+    const sanitizedFileName = sanitizeFileName(path.basename(validated.filePath));
+    const fileDir = path.dirname(validated.filePath);
+    const fullPath = path.join(skillDir, fileDir, sanitizedFileName);
+
+    // Validate the resulting path is within skill directory
+    const validatedFilePath = validateSkillPath(fullPath, skillDir);
+
+    // Ensure parent directory exists, then write the file
+    await runOwnSkillOperation([path.basename(skillDir)], async () => {
+      await fs.mkdir(path.dirname(validatedFilePath), { recursive: true });
+      await fs.writeFile(validatedFilePath, validated.content, 'utf-8');
+    });
+    await recordSkillSnapshot(skillDir, `Created ${validated.filePath}`);
+
+    return { success: true, path: validated.filePath };
+  } catch (error) {
+    console.error('Error creating file:', error);
+    return { success: false, error: 'Failed to create file' };
+  }
+});
+
+// Create a new folder in a skill
+ipcMain.handle('create-folder', async (event, data) => {
+  try {
+    // Validate input
+    const validated = createFolderSchema.parse(data);
+
+    // Validate skill path
+    const skillDirPath = validateSkillPath(validated.skillPath);
+    const skillDir = path.dirname(skillDirPath);
+
+    // Build the full folder path
+    const sanitizedFolderName = sanitizeFileName(path.basename(validated.folderPath));
+    const folderDir = path.dirname(validated.folderPath);
+    const fullPath = path.join(skillDir, folderDir, sanitizedFolderName);
+
+    // Validate the resulting path is within skill directory
+    const validatedFolderPath = validateSkillPath(fullPath, skillDir);
+
+    // Create the folder
+    await runOwnSkillOperation([path.basename(skillDir)], () => fs.mkdir(validatedFolderPath, { recursive: true }));
+
+    return { success: true, path: validated.folderPath };
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    return { success: false, error: 'Failed to create folder' };
+  }
+});
+
+// Full-text search over the editable files of every skill. Results stop after
+// MAX_SEARCH_MATCHES; long lines are cut down to a window around the match.
+const MAX_SEARCH_MATCHES = 2000;
+const SEARCH_PREVIEW_LENGTH = 240;
+
+function buildSearchPattern({ query, regex, caseSensitive, wholeWord }) {
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+function findLineMatches(line, pattern) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    if (match[0].length === 0) {
+      // Empty matches (e.g. ^ or \b) have nothing to show; step past them
+      pattern.lastIndex++;
+      continue;
+    }
+    matches.push(match);
+  }
+  return matches;
+}
+
+// A user's regular expression can backtrack for minutes on one line, which would freeze
+// the main process. Each file's lines are matched under a time limit instead; the file
+// reads between them let other IPC through.
+const SEARCH_FILE_TIMEOUT_MS = 2000;
+const searchMatchContext = vm.createContext({ findLineMatches });
+
+function findFileMatches(lines, pattern, filePath) {
+  Object.assign(searchMatchContext, { lines, pattern });
+  try {
+    return vm.runInContext('lines.map(line => findLineMatches(line, pattern))', searchMatchContext, {
+      timeout: SEARCH_FILE_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw Object.assign(new Error(`Search took too long in ${filePath}; simplify the regular expression`), {
+        code: error.code
+      });
+    }
+    throw error;
+  } finally {
+    Object.assign(searchMatchContext, { lines: null, pattern: null });
+  }
+}
+
+// The text a match is replaced with. Regex replacements understand the same $&, $1 and
+// $<name> references as String.prototype.replace; plain replacements are literal.
+function expandReplacement(match, replacement, regex) {
+  if (!regex) {
+    return replacement;
+  }
+  return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (ref === '`') return match.input.substring(0, match.index);
+    if (ref === "'") return match.input.substring(match.index + match[0].length);
+    if (name !== undefined) {
+      return match.groups ? (match.groups[name] || '') : token;
+    }
+    // $12 means group 12 when there is one, otherwise group 1 followed by "2"
+    if (ref.length === 2 && Number(ref) >= match.length) {
+      const group = Number(ref[0]);
+      return group > 0 && group < match.length ? (match[group] || '') + ref[1] : token;
+    }
+    const group = Number(ref);
+    return group > 0 && group < match.length ? (match[group] || '') : token;
+  });
+}
+
+function buildSearchPreview(line, index) {
+  if (line.length <= SEARCH_PREVIEW_LENGTH) {
+    return { text: line, offset: 0 };
+  }
+  const offset = Math.max(0, Math.min(index - 40, line.length - SEARCH_PREVIEW_LENGTH));
+  return { text: line.substring(offset, offset + SEARCH_PREVIEW_LENGTH), offset };
+}
+
+// Skills a search covers: one skill when skillPath is given, otherwise the whole library
+async function resolveSearchSkillDirs(validated) {
+  return validated.skillPath
+    ? [path.dirname(validateSkillPath(validated.skillPath))]
+    : listLibrarySkillDirs();
+}
+
+// Editable text files of a skill that search and replace may read and write
+async function listSearchableFiles(skillDir) {
+  return flattenFileTree(withoutLinkedFolderContents(await buildFileTree(skillDir, skillDir)))
+    .filter(node => node.editable && node.size <= getMaxFileSize() && !isUnusableSymlink(node))
+    .map(node => toPosixPath(node.path));
+}
+
+// With a replacement, every match also carries the text it would become
+async function searchSkills(skillDirs, pattern, { replacement = null, regex = false } = {}) {
+  const skills = [];
+  let matchCount = 0;
+  let truncated = false;
+
+  for (const skillDir of skillDirs) {
+    const files = [];
+
+    for (const filePath of await listSearchableFiles(skillDir)) {
+      if (truncated) {
+        break;
+      }
+
+      const content = await fs.readFile(path.join(skillDir, filePath), 'utf-8');
+      const lines = content.split(/\r?\n/);
+      const lineMatches = findFileMatches(lines, pattern, `${path.basename(skillDir)}/${filePath}`);
+      const matches = [];
+
+      lines.forEach((line, lineIndex) => {
+        for (const match of lineMatches[lineIndex]) {
+          if (matchCount >= MAX_SEARCH_MATCHES) {
+            truncated = true;
+            return;
+          }
+          const preview = buildSearchPreview(line, match.index);
+          matches.push({
+            line: lineIndex + 1,
+            column: match.index + 1,
+            length: match[0].length,
+            preview: preview.text,
+            previewOffset: preview.offset,
+            ...(replacement !== null ? { replacement: expandReplacement(match, replacement, regex) } : {})
+          });
+          matchCount++;
+        }
+      });
+
+      if (matches.length > 0) {
+        files.push({ path: filePath, matches });
+      }
+    }
+
+    if (files.length > 0) {
+      skills.push({ name: path.basename(skillDir), skillPath: path.join(skillDir, 'SKILL.md'), files });
+    }
+    if (truncated) {
+      break;
+    }
+  }
+
+  return { skills, matchCount, truncated };
+}
+
+// Replace the accepted matches ("line:column") in one file's content. Matches that are no
+// longer where the preview found them are left alone and counted as skipped.
+function replaceAcceptedMatches(content, pattern, replacement, regex, accepted, filePath) {
+  let replaced = 0;
+  const lines = content.split(/(\r?\n)/);
+  const lineMatches = findFileMatches(lines.filter((line, index) => index % 2 === 0), pattern, filePath);
+
+  for (let index = 0; index < lines.length; index += 2) {
+    const lineNumber = index / 2 + 1;
+    let result = '';
+    let lastEnd = 0;
+
+    for (const match of lineMatches[index / 2]) {
+      const key = `${lineNumber}:${match.index + 1}`;
+      if (!accepted.has(key)) {
+        continue;
+      }
+      result += lines[index].substring(lastEnd, match.index) + expandReplacement(match, replacement, regex);
+      lastEnd = match.index + match[0].length;
+      accepted.delete(key);
+      replaced++;
+    }
+
+    if (lastEnd > 0) {
+      lines[index] = result + lines[index].substring(lastEnd);
+    }
+  }
+
+  return { content: lines.join(''), replaced, skipped: accepted.size };
+}
+
+// The last replace across files, kept so it can be undone as one operation:
+// userData/history/last-replace.json
+function getReplaceOperationFile() {
+  return path.join(app.getPath('userData'), 'history', 'last-replace.json');
+}
 
+async function readReplaceOperation() {
+  try {
+    return JSON.parse(await fs.readFile(getReplaceOperationFile(), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Record a snapshot and return the id of the skill's latest one (the new snapshot,
+// or the previous one when nothing changed since)
+async function recordSnapshotId(skillDir, reason) {
+  await recordSkillSnapshot(skillDir, reason);
+  const [latest] = await readSnapshotManifests(getHistoryDir(skillDir));
+  return latest ? latest.id : null;
+}
+
+function describeReplaceOperation(operation) {
+  const fileCount = operation.skills.reduce((count, skill) => count + skill.files.length, 0);
+  return {
+    id: operation.id,
+    label: `Replace "${operation.query}" with "${operation.replacement}" in ${fileCount} file(s)`
+  };
+}
+
+ipcMain.handle('search-library', async (event, data) => {
+  try {
+    const validated = searchLibrarySchema.parse(data);
+
+    let pattern;
     try {
-      const validatedPath = validateSkillPath(skillPath, skillsDir);
-      if (!fsSync.existsSync(validatedPath)) {
-        throw new Error('Skill file does not exist');
+      pattern = buildSearchPattern(validated);
+    } catch (error) {
+      // SyntaxError messages already read "Invalid regular expression: /…/: …"
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, ...await searchSkills(await resolveSearchSkillDirs(validated), pattern) };
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { success: false, error: error.message };
+    }
+    console.error('Error searching library:', error);
+    return { success: false, error: 'Failed to search skills' };
+  }
+});
+
+// Search, with the replacement each match would get
+ipcMain.handle('preview-replace', async (event, data) => {
+  try {
+    const validated = previewReplaceSchema.parse(data);
+
+    let pattern;
+    try {
+      pattern = buildSearchPattern(validated);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const result = await searchSkills(await resolveSearchSkillDirs(validated), pattern, {
+      replacement: validated.replacement,
+      regex: validated.regex
+    });
+    return { success: true, ...result };
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { success: false, error: error.message };
+    }
+    console.error('Error previewing replace:', error);
+    return { success: false, error: 'Failed to preview replace' };
+  }
+});
+
+// Apply the accepted matches of a replace preview. Each skill gets a snapshot before and
+// after, and the whole replace is recorded so undo-replace can revert it in one step.
+ipcMain.handle('apply-replace', async (event, data) => {
+  try {
+    const validated = applyReplaceSchema.parse(data);
+    const pattern = buildSearchPattern(validated);
+    const label = `Replaced "${validated.query}" with "${validated.replacement}"`;
+    const operation = { id: String(Date.now()), query: validated.query, replacement: validated.replacement, skills: [] };
+    const changes = [];
+    let replacedCount = 0;
+    let skippedCount = 0;
+
+    for (const acceptedSkill of validated.accepted) {
+      const skillDir = path.dirname(validateSkillPath(acceptedSkill.skillPath));
+      const searchable = new Set(await listSearchableFiles(skillDir));
+      const edits = [];
+
+      for (const file of acceptedSkill.files) {
+        if (!searchable.has(file.path)) {
+          skippedCount += file.matches.length;
+          continue;
+        }
+
+        const fullPath = validateSkillPath(path.join(skillDir, file.path), skillDir);
+        const accepted = new Set(file.matches.map(match => `${match.line}:${match.column}`));
+        const result = replaceAcceptedMatches(await fs.readFile(fullPath, 'utf-8'), pattern,
+          validated.replacement, validated.regex, accepted, `${path.basename(skillDir)}/${file.path}`);
+
+        skippedCount += result.skipped;
+        if (result.replaced > 0) {
+          edits.push({ path: file.path, fullPath, content: result.content });
+          replacedCount += result.replaced;
+        }
       }
 
-      const content = await fs.readFile(validatedPath, 'utf-8');
-      return { success: true, content, path: validatedPath };
-    } catch (validationError) {
-      if (!validationError || validationError.message !== 'Invalid path - access denied') {
-        throw validationError;
+      if (edits.length === 0) {
+        continue;
       }
-      // Allow importing external SKILL.md files
-      const resolvedPath = path.resolve(skillPath);
-      if (!fsSync.existsSync(resolvedPath)) {
-        throw new Error('Skill file does not exist');
+
+      const beforeSnapshotId = await recordSnapshotId(skillDir, `Before replacing "${validated.query}"`);
+      for (const edit of edits) {
+        await writeSkillFile(edit.fullPath, edit.content);
+        changes.push({ skill: path.basename(skillDir), path: edit.path });
       }
+      const afterSnapshotId = await recordSnapshotId(skillDir, label);
 
-      if (path.basename(resolvedPath).toLowerCase() !== 'skill.md') {
-        throw new Error('Only SKILL.md files can be imported');
+      operation.skills.push({
+        name: path.basename(skillDir),
+        beforeSnapshotId,
+        afterSnapshotId,
+        files: edits.map(edit => edit.path)
+      });
+    }
+
+    if (operation.skills.length > 0) {
+      await fs.mkdir(path.dirname(getReplaceOperationFile()), { recursive: true });
+      await fs.writeFile(getReplaceOperationFile(), JSON.stringify(operation), 'utf-8');
+    }
+
+    return {
+      success: true,
+      replacedCount,
+      skippedCount,
+      changes,
+      operation: operation.skills.length > 0 ? describeReplaceOperation(operation) : null
+    };
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      return { success: false, error: error.message };
+    }
+    console.error('Error applying replace:', error);
+    return { success: false, error: 'Failed to replace' };
+  }
+});
+
+// The last replace, if it can still be undone
+ipcMain.handle('get-last-replace', async () => {
+  const operation = await readReplaceOperation();
+  return { success: true, operation: operation ? describeReplaceOperation(operation) : null };
+});
+
+// Put back every file the last replace changed. Files edited since are left as they are
+// and reported, so undo never throws away later work.
+ipcMain.handle('undo-replace', async (event, data) => {
+  try {
+    const validated = undoReplaceSchema.parse(data);
+    const operation = await readReplaceOperation();
+    if (!operation || operation.id !== validated.operationId) {
+      return { success: false, error: 'This replace can no longer be undone' };
+    }
+
+    const changes = [];
+    const conflicts = [];
+
+    for (const skill of operation.skills) {
+      const skillDir = validateSkillPath(path.join(getSkillsDir(), skill.name));
+      if (!fsSync.existsSync(skillDir) || !skill.beforeSnapshotId || !skill.afterSnapshotId) {
+        conflicts.push(...skill.files.map(file => `${skill.name}/${file}`));
+        continue;
       }
 
-      const content = await fs.readFile(resolvedPath, 'utf-8');
+      const historyDir = getHistoryDir(skillDir);
+      const before = await readSnapshotManifest(historyDir, skill.beforeSnapshotId);
+      const after = await readSnapshotManifest(historyDir, skill.afterSnapshotId);
+      const current = await hashSkillFiles(skillDir);
+      const restorable = skill.files.filter(file => current[file] && current[file] === after.files[file] && before.files[file]);
+      conflicts.push(...skill.files.filter(file => !restorable.includes(file)).map(file => `${skill.name}/${file}`));
 
-      let sanitizedName;
-      try {
-        sanitizedName = sanitizeSkillName(path.basename(path.dirname(resolvedPath)));
-      } catch (nameError) {
-        sanitizedName = sanitizeSkillName(`imported-skill-${Date.now()}`);
+      if (restorable.length === 0) {
+        continue;
       }
 
-      let candidateName = sanitizedName;
-      let targetDir = path.join(skillsDir, candidateName);
-      let suffix = 1;
-      while (fsSync.existsSync(path.join(targetDir, 'SKILL.md'))) {
-        candidateName = `${sanitizedName}-${suffix}`;
-        targetDir = path.join(skillsDir, candidateName);
-        suffix += 1;
+      await recordSkillSnapshot(skillDir, `Before undoing replace of "${operation.query}"`);
+      for (const file of restorable) {
+        const content = await fs.readFile(path.join(historyDir, 'objects', before.files[file]), 'utf-8');
+        await writeSkillFile(path.join(skillDir, file), content);
+        changes.push({ skill: skill.name, path: file });
       }
+      await recordSkillSnapshot(skillDir, `Undid replace of "${operation.query}"`);
+    }
 
-      const targetPath = path.join(targetDir, 'SKILL.md');
-      await fs.mkdir(targetDir, { recursive: true });
-      await fs.writeFile(targetPath, content, 'utf-8');
+    await fs.rm(getReplaceOperationFile(), { force: true });
+    return { success: true, restoredCount: changes.length, changes, conflicts };
+  } catch (error) {
+    console.error('Error undoing replace:', error);
+    return { success: false, error: 'Failed to undo replace' };
+  }
+});
 
-      return {
-        success: true,
-        content,
-        path: targetPath,
-        imported: true,
-        skillName: candidateName
-      };
+// Lint a skill folder: SKILL.md presence, frontmatter, folder name and relative links
+ipcMain.handle('lint-skill', async (event, data) => {
+  try {
+    const validated = lintSkillSchema.parse(data);
+    const validatedPath = validateSkillPath(validated.skillPath);
+    const skillDir = path.dirname(validatedPath);
+
+    if (!fsSync.existsSync(skillDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
     }
+
+    return { success: true, ...summarizeDiagnostics(await lintSkill(skillDir)) };
   } catch (error) {
-    console.error('Error loading skill:', error);
-    return { success: false, error: error.message || 'Failed to load skill' };
+    console.error('Error linting skill:', error);
+    return { success: false, error: 'Failed to lint skill' };
+  }
+});
+
+// Resolve the skill folder and normalized relative paths for a link rewrite request
+function resolveLinkRewriteRequest(data) {
+  const validated = linkRewriteSchema.parse(data);
+  const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+  const oldPath = toPosixPath(path.relative(skillDir, validateSkillPath(path.join(skillDir, validated.oldPath), skillDir)));
+  const newPath = toPosixPath(path.relative(skillDir, validateSkillPath(path.join(skillDir, validated.newPath), skillDir)));
+  return { skillDir, oldPath, newPath };
+}
+
+// List links that would change after a rename or move, without touching any files
+ipcMain.handle('find-link-rewrites', async (event, data) => {
+  try {
+    const { skillDir, oldPath, newPath } = resolveLinkRewriteRequest(data);
+    const index = await buildReferenceIndex(skillDir);
+    return { success: true, edits: planLinkRewrites(skillDir, index, oldPath, newPath) };
+  } catch (error) {
+    console.error('Error finding link rewrites:', error);
+    return { success: false, error: 'Failed to check links' };
+  }
+});
+
+// Rewrite links after a rename or move; the plan is recomputed here rather than trusted from the renderer
+ipcMain.handle('apply-link-rewrites', async (event, data) => {
+  try {
+    const { skillDir, oldPath, newPath } = resolveLinkRewriteRequest(data);
+    const index = await buildReferenceIndex(skillDir);
+    const edits = planLinkRewrites(skillDir, index, oldPath, newPath);
+    const updatedFiles = await applyLinkRewrites(skillDir, edits);
+    await recordSkillSnapshot(skillDir, `Updated links to ${newPath}`);
+    return { success: true, updatedFiles, count: edits.length };
+  } catch (error) {
+    console.error('Error rewriting links:', error);
+    return { success: false, error: 'Failed to update links' };
+  }
+});
+
+// Version history: list snapshots newest first
+ipcMain.handle('list-snapshots', async (event, data) => {
+  try {
+    const validated = listSnapshotsSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const historyDir = getHistoryDir(skillDir);
+    const manifests = await readSnapshotManifests(historyDir);
+
+    return {
+      success: true,
+      snapshots: manifests.map(manifest => ({
+        id: manifest.id,
+        timestamp: manifest.timestamp,
+        reason: manifest.reason,
+        fileCount: Object.keys(manifest.files).length
+      })),
+      packagedSnapshotId: await readPackagedSnapshotId(historyDir)
+    };
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    return { success: false, error: 'Failed to list history' };
+  }
+});
+
+// Files in a snapshot with their status against what is on disk now
+ipcMain.handle('get-snapshot', async (event, data) => {
+  try {
+    const validated = getSnapshotSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const manifest = await readSnapshotManifest(getHistoryDir(skillDir), validated.snapshotId);
+    const current = fsSync.existsSync(skillDir) ? await hashSkillFiles(skillDir) : {};
+
+    const paths = new Set([...Object.keys(manifest.files), ...Object.keys(current)]);
+    const files = Array.from(paths).sort().map(filePath => {
+      let status = 'unchanged';
+      if (!(filePath in current)) {
+        status = 'deleted';
+      } else if (!(filePath in manifest.files)) {
+        status = 'added';
+      } else if (current[filePath] !== manifest.files[filePath]) {
+        status = 'modified';
+      }
+      return { path: filePath, status, editable: isEditableFile(filePath) };
+    });
+
+    return { success: true, snapshot: { id: manifest.id, timestamp: manifest.timestamp, reason: manifest.reason }, files };
+  } catch (error) {
+    console.error('Error reading snapshot:', error);
+    return { success: false, error: 'Failed to read snapshot' };
+  }
+});
+
+// Text of one file as it was in a snapshot
+ipcMain.handle('get-snapshot-file', async (event, data) => {
+  try {
+    const validated = getSnapshotFileSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const historyDir = getHistoryDir(skillDir);
+    const manifest = await readSnapshotManifest(historyDir, validated.snapshotId);
+    const hash = Object.prototype.hasOwnProperty.call(manifest.files, validated.filePath)
+      ? manifest.files[validated.filePath]
+      : null;
+
+    if (!hash) {
+      return { success: true, exists: false, content: '' };
+    }
+
+    if (!isEditableFile(validated.filePath)) {
+      return { success: true, exists: true, editable: false, content: '' };
+    }
+
+    const content = await fs.readFile(path.join(historyDir, 'objects', hash), 'utf-8');
+    return { success: true, exists: true, editable: true, content };
+  } catch (error) {
+    console.error('Error reading snapshot file:', error);
+    return { success: false, error: 'Failed to read file from history' };
+  }
+});
+
+// Restore one file, or the whole skill, from a snapshot. The current state is recorded first.
+ipcMain.handle('restore-snapshot', async (event, data) => {
+  try {
+    const validated = restoreSnapshotSchema.parse(data);
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const historyDir = getHistoryDir(skillDir);
+    const manifest = await readSnapshotManifest(historyDir, validated.snapshotId);
+    const label = new Date(manifest.timestamp).toLocaleString();
+
+    await fs.mkdir(skillDir, { recursive: true });
+    await recordSkillSnapshot(skillDir, 'Before restore');
+
+    const restoreFile = async (relativePath) => {
+      const destination = validateSkillPath(path.join(skillDir, relativePath), skillDir);
+      const hash = Object.prototype.hasOwnProperty.call(manifest.files, relativePath)
+        ? manifest.files[relativePath]
+        : null;
+      if (hash) {
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        await fs.copyFile(path.join(historyDir, 'objects', hash), destination);
+      } else {
+        await fs.rm(destination, { force: true });
+      }
+    };
+
+    if (validated.filePath) {
+      await runOwnSkillOperation([path.basename(skillDir)], () => restoreFile(validated.filePath));
+      await recordSkillSnapshot(skillDir, `Restored ${validated.filePath} from ${label}`);
+      return { success: true, restoredFiles: [validated.filePath] };
+    }
+
+    // Whole skill: remove files the snapshot doesn't have, then write every snapshot file
+    const current = await hashSkillFiles(skillDir);
+    const restoredFiles = Array.from(new Set([...Object.keys(current), ...Object.keys(manifest.files)]));
+    await runOwnSkillOperation([path.basename(skillDir)], async () => {
+      for (const relativePath of restoredFiles) {
+        await restoreFile(relativePath);
+      }
+    });
+
+    await recordSkillSnapshot(skillDir, `Restored skill from ${label}`);
+    return { success: true, restoredFiles };
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    return { success: false, error: 'Failed to restore from history' };
+  }
+});
+
+// Trash
+ipcMain.handle('list-trash', async () => {
+  try {
+    await purgeExpiredTrash();
+    return { success: true, entries: await readTrashEntries() };
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    return { success: false, error: 'Failed to list trash' };
+  }
+});
+
+// Put a trashed item back where it was. A skill whose name has been taken since comes back
+// as name-1; a file or folder whose path has been taken comes back next to it.
+ipcMain.handle('restore-from-trash', async (event, data) => {
+  try {
+    const validated = restoreFromTrashSchema.parse(data);
+    const entryDir = getTrashEntryDir(validated.id);
+    const entry = await readTrashEntry(validated.id);
+    const itemPath = path.join(entryDir, 'item');
+    const skillsDir = getSkillsDir();
+
+    if (entry.type === 'skill') {
+      const { skillName, skillDir } = resolveImportSkillDir(skillsDir, entry.skill);
+
+      await runOwnSkillOperation([skillName], async () => {
+        await movePath(itemPath, skillDir);
+        await moveHistoryDir(path.join(entryDir, 'history'), skillDir);
+        await fs.rm(entryDir, { recursive: true, force: true });
+        if (skillName !== entry.skill) {
+          await rewriteFrontmatterName(skillDir);
+        }
+      });
+      await recordSkillSnapshot(skillDir, 'Restored from trash');
+
+      return { success: true, entry, skill: await readSkillListEntry(skillName) };
+    }
+
+    const skillDir = validateSkillPath(path.join(skillsDir, entry.skill), skillsDir);
+    if (!fsSync.existsSync(path.join(skillDir, 'SKILL.md'))) {
+      return { success: false, error: `The skill "${entry.skill}" no longer exists. Restore it first.` };
+    }
+
+    const targetPath = findFreePath(validateSkillPath(path.join(skillDir, entry.path), skillDir, { symlinks: 'entry' }));
+    const restoredPath = toPosixPath(path.relative(skillDir, targetPath));
+
+    await recordSkillSnapshot(skillDir, `Before restoring ${restoredPath}`);
+    await runOwnSkillOperation([entry.skill], async () => {
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await movePath(itemPath, targetPath);
+    });
+    await fs.rm(entryDir, { recursive: true, force: true });
+    await recordSkillSnapshot(skillDir, `Restored ${restoredPath} from trash`);
+
+    return { success: true, entry, path: restoredPath };
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    return { success: false, error: 'Failed to restore from trash' };
+  }
+});
+
+// Permanently delete one trashed item, or everything in the trash when no id is given
+ipcMain.handle('purge-trash', async (event, data) => {
+  try {
+    const validated = purgeTrashSchema.parse(data || {});
+    const ids = validated.id ? [validated.id] : (await readTrashEntries()).map(entry => entry.id);
+
+    for (const id of ids) {
+      await purgeTrashEntry(id);
+    }
+
+    return { success: true, purgedCount: ids.length };
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    return { success: false, error: 'Failed to empty trash' };
+  }
+});
+
+// Preferences
+ipcMain.handle('get-settings', async () => {
+  return { success: true, settings: appSettings, defaults: settingsSchema.parse({}) };
+});
+
+ipcMain.handle('save-settings', async (event, data) => {
+  try {
+    const validated = settingsSchema.parse(data);
+    validated.files.editableExtensions = Array.from(new Set(validated.files.editableExtensions));
+    await writeSettings(validated);
+    const purgeDaysChanged = validated.trash.autoPurgeDays !== appSettings.trash.autoPurgeDays;
+    appSettings = validated;
+    if (purgeDaysChanged) {
+      // Items older than the new limit go right away
+      await purgeExpiredTrash();
+    }
+    return { success: true, settings: appSettings };
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return { success: false, error: 'Failed to save settings' };
+  }
+});
+
+// With autosave off, actions that read a skill from disk (packaging, install, commit) ask
+// before saving the open files' unsaved edits
+ipcMain.handle('confirm-save-before', async (event, data) => {
+  try {
+    const validated = confirmSaveBeforeSchema.parse(data);
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      buttons: ['Save and Continue', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      message: `${validated.fileCount} file(s) have unsaved changes.`,
+      detail: `Autosave is off. ${validated.action} uses the files on disk, so they have to be saved first.`
+    });
+    return { success: true, confirmed: response === 0 };
+  } catch (error) {
+    console.error('Error asking to save:', error);
+    return { success: false, error: 'Failed to ask to save' };
+  }
+});
+
+// Closing a tab with unsaved edits while autosave is off: save, discard or keep it open
+ipcMain.handle('confirm-close-tab', async (event, data) => {
+  try {
+    const validated = confirmCloseTabSchema.parse(data);
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      buttons: ['Save', "Don't Save", 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      message: `Save the changes to ${validated.fileName}?`,
+      detail: 'Autosave is off. The changes are lost if you close the tab without saving.'
+    });
+    return { success: true, choice: ['save', 'discard', 'cancel'][response] };
+  } catch (error) {
+    console.error('Error asking to save:', error);
+    return { success: false, error: 'Failed to ask to save' };
   }
 });
 
-ipcMain.handle('save-skill', async (event, data) => {
+// Workspace state
+ipcMain.handle('get-workspace-state', async () => {
   try {
-    // Validate input
-    const validated = saveSkillSchema.parse(data);
-
-    // Validate path is within skills directory
-    const validatedPath = validateSkillPath(validated.skillPath);
+    return { success: true, state: getRestorableWorkspace() };
+  } catch (error) {
+    console.error('Error reading workspace state:', error);
+    return { success: false, error: 'Failed to read workspace state' };
+  }
+});
 
-    await fs.writeFile(validatedPath, validated.content, 'utf-8');
+ipcMain.handle('save-workspace-state', async (event, data) => {
+  try {
+    applyWorkspaceState(data);
+    await writeWorkspaceState();
     return { success: true };
   } catch (error) {
-    console.error('Error saving skill:', error);
-    return { success: false, error: 'Failed to save skill' };
+    console.error('Error saving workspace state:', error);
+    return { success: false, error: 'Failed to save workspace state' };
   }
 });
 
-ipcMain.handle('create-zip', async (event, data) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Validate input
-      const validated = createZipSchema.parse(data);
-
-      // Validate path is within skills directory
-      const validatedPath = validateSkillPath(validated.skillPath);
-      const skillDir = path.dirname(validatedPath);
-
-      // Ensure skill directory exists and is readable
-      if (!fsSync.existsSync(skillDir)) {
-        throw new Error('Skill directory does not exist');
-      }
+// Sent synchronously from beforeunload, after the window's close handler has already
+// written the file, so the renderer's final state is written here before replying
+ipcMain.on('save-workspace-state-sync', (event, data) => {
+  try {
+    applyWorkspaceState(data);
+    writeWorkspaceStateSync();
+    event.returnValue = { success: true };
+  } catch (error) {
+    console.error('Error saving workspace state:', error);
+    event.returnValue = { success: false, error: 'Failed to save workspace state' };
+  }
+});
 
-      // Sanitize filename for ZIP
-      const sanitizedName = validated.skillName.replace(/[^a-zA-Z0-9\-_.]/g, '');
-      const zipPath = path.join(app.getPath('temp'), `skill-${sanitizedName}-${Date.now()}.zip`);
+// Claude Code install targets
+ipcMain.handle('list-install-targets', async () => {
+  try {
+    return { success: true, targets: await listInstallTargets() };
+  } catch (error) {
+    console.error('Error listing install targets:', error);
+    return { success: false, error: 'Failed to list install targets' };
+  }
+});
 
-      // Track temp file for cleanup
-      trackedTempFiles.add(zipPath);
+ipcMain.handle('add-install-target', async (event, data) => {
+  try {
+    const validated = addInstallTargetSchema.parse(data);
+    const projectPath = path.resolve(validated.projectPath);
 
-      const output = fsSync.createWriteStream(zipPath);
-      const archive = archiver('zip', { zlib: { level: 9 } });
+    const stats = await fs.stat(projectPath);
+    if (!stats.isDirectory()) {
+      return { success: false, error: 'Project path is not a folder' };
+    }
 
-      output.on('close', () => {
-        resolve({ success: true, zipPath });
-      });
+    const projects = await readProjectTargets();
+    if (!projects.includes(projectPath)) {
+      await writeProjectTargets([...projects, projectPath]);
+    }
 
-      output.on('error', (err) => {
-        trackedTempFiles.delete(zipPath);
-        reject({ success: false, error: 'Failed to create ZIP' });
-      });
+    return { success: true, target: projectPath, targets: await listInstallTargets() };
+  } catch (error) {
+    console.error('Error adding install target:', error);
+    return { success: false, error: 'Failed to add project' };
+  }
+});
 
-      archive.on('error', (err) => {
-        trackedTempFiles.delete(zipPath);
-        reject({ success: false, error: 'Failed to create ZIP' });
-      });
+ipcMain.handle('remove-install-target', async (event, data) => {
+  try {
+    const validated = installTargetSchema.parse(data);
+    const projects = await readProjectTargets();
+    await writeProjectTargets(projects.filter(projectPath => projectPath !== validated.target));
 
-      archive.pipe(output);
-      // Include folder structure in ZIP so Claude Desktop recognizes it as a skill
-      archive.directory(skillDir, validated.skillName);
-      archive.finalize();
-    } catch (error) {
-      console.error('Error creating ZIP:', error);
-      reject({ success: false, error: 'Failed to create ZIP' });
-    }
-  });
+    return { success: true, targets: await listInstallTargets() };
+  } catch (error) {
+    console.error('Error removing install target:', error);
+    return { success: false, error: 'Failed to remove project' };
+  }
 });
 
-// Handle native file drag operation
-ipcMain.on('start-drag', (event, zipPath, skillName) => {
+// Copy or symlink a library skill into an install target
+ipcMain.handle('install-skill', async (event, data) => {
   try {
-    // Verify the file exists
-    if (!fsSync.existsSync(zipPath)) {
-      console.error('ZIP file does not exist:', zipPath);
-      event.sender.send('drag-error', 'ZIP file not found');
-      return;
-    }
-
-    // Resolve an icon for the drag payload
-    const candidateIconPaths = [
-      path.join(process.resourcesPath, 'drag-icon.png'), // Packaged builds (extraResources)
-      path.join(app.getAppPath(), 'icon.png'),
-      path.join(app.getAppPath(), 'build', 'icons', '64x64.png'),
-      path.join(__dirname, 'icon.png'),
-      path.join(__dirname, 'build', 'icons', '64x64.png'),
-      path.join(__dirname, 'node_modules/app-builder-lib/templates/icons/electron-linux/64x64.png')
-    ];
+    const validated = installSkillSchema.parse(data);
+    const libraryDir = path.dirname(validateSkillPath(validated.skillPath));
+    const target = await resolveInstallTarget(validated.target);
+    const skillName = path.basename(libraryDir);
+    const installedDir = validateSkillPath(path.join(target.dir, skillName), target.dir, { symlinks: 'ignore' });
 
-    let dragIcon = null;
-    for (const iconPath of candidateIconPaths) {
-      if (!iconPath || !fsSync.existsSync(iconPath)) {
-        continue;
-      }
-      const image = nativeImage.createFromPath(iconPath);
-      if (image && !image.isEmpty()) {
-        dragIcon = image;
-        break;
-      }
+    if (!fsSync.existsSync(libraryDir)) {
+      return { success: false, error: 'Skill directory does not exist' };
     }
 
-    if (!dragIcon) {
-      // Fallback to a 1x1 transparent pixel so Linux has a valid icon
-      const transparentPixel = Buffer.from(
-        'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQImWNgYGD4DwABBAEA6drdzQAAAABJRU5ErkJggg==',
-        'base64'
-      );
-      dragIcon = nativeImage.createFromBuffer(transparentPixel);
-    } else {
-      const { width, height } = dragIcon.getSize();
-      const MAX_DRAG_ICON_DIM = 48;
-      if (width > MAX_DRAG_ICON_DIM || height > MAX_DRAG_ICON_DIM) {
-        dragIcon = dragIcon.resize({ width: MAX_DRAG_ICON_DIM, height: MAX_DRAG_ICON_DIM, quality: 'best' });
-      }
+    const existing = await fs.lstat(installedDir).catch(() => null);
+    if (existing) {
+      return { success: false, error: `"${skillName}" is already installed in ${target.label}` };
     }
 
-    if (!dragIcon || dragIcon.isEmpty()) {
-      console.error('Failed to create drag icon');
-      event.sender.send('drag-error', 'Failed to start drag operation');
-      return;
+    await fs.mkdir(target.dir, { recursive: true });
+
+    if (validated.mode === 'symlink') {
+      // Junctions need no elevation on Windows; the type is ignored elsewhere
+      await fs.symlink(libraryDir, installedDir, 'junction');
+      return { success: true, path: installedDir, skipped: [] };
     }
 
-    // Start the native drag operation
-    event.sender.startDrag({
-      file: zipPath,
-      icon: dragIcon
-    });
+    await fs.mkdir(installedDir);
+    const report = await copySkillTree(libraryDir, installedDir);
+    return { success: true, path: installedDir, skipped: report.skipped };
   } catch (error) {
-    console.error('Error starting drag:', error);
-    event.sender.send('drag-error', 'Failed to start drag operation');
+    console.error('Error installing skill:', error);
+    return { success: false, error: error.message || 'Failed to install skill' };
   }
 });
 
-ipcMain.handle('open-file-dialog', async () => {
-  const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile'],
-    filters: [
-      { name: 'Skill Files', extensions: ['md'] }
-    ]
-  });
-  
-  if (!result.canceled && result.filePaths.length > 0) {
-    return { success: true, filePath: result.filePaths[0] };
+ipcMain.handle('list-installed-skills', async () => {
+  try {
+    return { success: true, installed: await listInstalledSkills() };
+  } catch (error) {
+    console.error('Error listing installed skills:', error);
+    return { success: false, error: 'Failed to list installed skills' };
   }
-  
-  return { success: false };
 });
 
-ipcMain.handle('list-skills', async () => {
-  const skillsDir = getSkillsDir();
-
+// Push: overwrite an installed copy with the library version
+ipcMain.handle('push-installed-skill', async (event, data) => {
   try {
-    await fs.mkdir(skillsDir, { recursive: true });
-    const entries = await fs.readdir(skillsDir, { withFileTypes: true });
-
-    const skillList = await Promise.all(
-      entries
-        .filter(entry => entry.isDirectory())
-        .map(async (entry) => {
-          const skillName = entry.name;
-          const skillPath = path.join(skillsDir, skillName, 'SKILL.md');
-
-          try {
-            // Validate skill name
-            sanitizeSkillName(skillName);
+    const { installedDir, libraryDir } = await resolveInstalledSkill(data);
 
-            // Validate path is within skills directory
-            validateSkillPath(skillPath, skillsDir);
+    if (!fsSync.existsSync(path.join(libraryDir, 'SKILL.md'))) {
+      return { success: false, error: 'This skill is not in the library' };
+    }
 
-            const content = await fs.readFile(skillPath, 'utf-8');
+    const report = await replaceSkillContents(libraryDir, installedDir);
+    return { success: true, skipped: report.skipped };
+  } catch (error) {
+    console.error('Error pushing skill:', error);
+    return { success: false, error: error.message || 'Failed to push skill' };
+  }
+});
 
-            // Extract description from YAML frontmatter
-            const descMatch = content.match(/^description:\s*(.+?)(?:\n|$)/m);
-            const description = descMatch ? descMatch[1].trim() : 'No description';
+// Pull: bring an installed copy into the library, replacing the library version if there is one
+ipcMain.handle('pull-installed-skill', async (event, data) => {
+  try {
+    const { target, name, installedDir, libraryDir: existingLibraryDir } = await resolveInstalledSkill(data);
+    const libraryDir = fsSync.existsSync(path.join(existingLibraryDir, 'SKILL.md'))
+      ? existingLibraryDir
+      : resolveImportSkillDir(getSkillsDir(), name).skillDir;
+    if (!fsSync.existsSync(libraryDir)) {
+      await discardStaleHistory(libraryDir);
+    }
 
-            return {
-              name: skillName,
-              path: skillPath,
-              description: description.substring(0, 200) // Limit description length
-            };
-          } catch (error) {
-            console.error(`Error loading skill ${skillName}:`, error);
-            return null;
-          }
-        })
-    );
+    await recordSkillSnapshot(libraryDir, 'Before pull');
+    const report = await runOwnSkillOperation([path.basename(libraryDir)], () => replaceSkillContents(installedDir, libraryDir));
+    await recordSkillSnapshot(libraryDir, `Pulled from ${target.label}`);
 
-    return skillList.filter(Boolean);
+    return { success: true, skillPath: path.join(libraryDir, 'SKILL.md'), skipped: report.skipped };
   } catch (error) {
-    console.error('Error listing skills:', error);
-    return [];
+    console.error('Error pulling skill:', error);
+    return { success: false, error: error.message || 'Failed to pull skill' };
   }
 });
 
-ipcMain.handle('delete-skill', async (event, data) => {
+// Git: repository state and per-file status for the file tree
+ipcMain.handle('git-status', async (event, data) => {
   try {
-    // Validate input
-    const validated = deleteSkillSchema.parse(data);
-
-    // Validate path is within skills directory
-    const validatedPath = validateSkillPath(validated.skillPath);
+    const validated = gitSkillSchema.parse(data);
+    const skillDir = resolveGitSkillDir(validated.skillPath, { requireRepo: false });
+    return { success: true, ...(await getGitStatus(skillDir)) };
+  } catch (error) {
+    console.error('Error reading git status:', error);
+    return { success: false, error: error.message || 'Failed to read git status' };
+  }
+});
 
-    // Get the skill directory (parent of SKILL.md file)
-    const skillDir = path.dirname(validatedPath);
+ipcMain.handle('git-init', async (event, data) => {
+  try {
+    const validated = gitSkillSchema.parse(data);
+    const skillDir = resolveGitSkillDir(validated.skillPath, { requireRepo: false });
 
-    // Ensure skill directory exists
-    if (!fsSync.existsSync(skillDir)) {
-      return { success: false, error: 'Skill directory does not exist' };
+    if (isGitRepo(skillDir)) {
+      return { success: false, error: 'This skill is already a git repository' };
     }
 
-    // Delete the entire skill directory
-    await fs.rm(skillDir, { recursive: true, force: true });
-
+    await runGit(skillDir, ['init']);
     return { success: true };
   } catch (error) {
-    console.error('Error deleting skill:', error);
-    return { success: false, error: 'Failed to delete skill' };
+    console.error('Error initializing git repository:', error);
+    return { success: false, error: error.message || 'Failed to initialize repository' };
   }
 });
 
-// List files in a skill directory with tree structure
-ipcMain.handle('list-skill-files', async (event, skillPath) => {
+// Git: file contents at HEAD next to what is on disk
+ipcMain.handle('git-diff-head', async (event, data) => {
   try {
-    // Validate the skill path first
-    const validatedPath = validateSkillPath(skillPath);
-    const skillDir = path.dirname(validatedPath);
+    const validated = gitDiffSchema.parse(data);
+    const skillDir = resolveGitSkillDir(validated.skillPath);
+    const fullPath = validateSkillPath(path.join(skillDir, validated.filePath), skillDir);
+    const relativePath = toPosixPath(path.relative(skillDir, fullPath));
 
-    if (!fsSync.existsSync(skillDir)) {
-      return { success: false, error: 'Skill directory does not exist' };
-    }
+    const original = await runGit(skillDir, ['show', `HEAD:${relativePath}`]).catch(() => '');
+    const modified = fsSync.existsSync(fullPath) ? await fs.readFile(fullPath, 'utf-8') : '';
 
-    const fileTree = await buildFileTree(skillDir, skillDir);
-    return { success: true, files: fileTree };
+    return { success: true, original, modified };
   } catch (error) {
-    console.error('Error listing skill files:', error);
-    return { success: false, error: 'Failed to list skill files' };
+    console.error('Error diffing against HEAD:', error);
+    return { success: false, error: error.message || 'Failed to diff file' };
   }
 });
 
-// Create a new file in a skill
-ipcMain.handle('create-file', async (event, data) => {
+// Git: stage everything and commit
+ipcMain.handle('git-commit', async (event, data) => {
   try {
-    // Validate input
-    const validated = createFileSchema.parse(data);
-
-    // Validate skill path
-    const skillDirPath = validateSkillPath(validated.skillPath);
-    const skillDir = path.dirname(skillDirPath);
-
-    // Build the full file path
-    const sanitizedFileName = sanitizeFileName(path.basename(validated.filePath));
-    const fileDir = path.dirname(validated.filePath);
-    const fullPath = path.join(skillDir, fileDir, sanitizedFileName);
-
-    // Validate the resulting path is within skill directory
-    const validatedFilePath = validateSkillPath(fullPath, skillDir);
+    const validated = gitCommitSchema.parse(data);
+    const skillDir = resolveGitSkillDir(validated.skillPath);
 
-    // Ensure parent directory exists
-    await fs.mkdir(path.dirname(validatedFilePath), { recursive: true });
+    await runGit(skillDir, ['add', '-A']);
+    await runGit(skillDir, ['commit', '-m', validated.message]);
+    const hash = (await runGit(skillDir, ['rev-parse', '--short', 'HEAD'])).trim();
 
-    // Write the file
-    await fs.writeFile(validatedFilePath, validated.content, 'utf-8');
-
-    return { success: true, path: validated.filePath };
+    return { success: true, hash };
   } catch (error) {
-    console.error('Error creating file:', error);
-    return { success: false, error: 'Failed to create file' };
+    console.error('Error committing:', error);
+    return { success: false, error: error.message || 'Failed to commit' };
   }
 });
 
-// Create a new folder in a skill
-ipcMain.handle('create-folder', async (event, data) => {
+ipcMain.handle('git-log', async (event, data) => {
   try {
-    // Validate input
-    const validated = createFolderSchema.parse(data);
-
-    // Validate skill path
-    const skillDirPath = validateSkillPath(validated.skillPath);
-    const skillDir = path.dirname(skillDirPath);
+    const validated = gitSkillSchema.parse(data);
+    const skillDir = resolveGitSkillDir(validated.skillPath);
+
+    const output = await runGit(skillDir, ['log', '-n', '50', '--pretty=format:%h%x1f%an%x1f%at%x1f%s'])
+      .catch(() => '');
+    const commits = output.split('\n').filter(Boolean).map(line => {
+      const [hash, author, timestamp, subject] = line.split('\x1f');
+      return { hash, author, timestamp: Number(timestamp) * 1000, subject };
+    });
 
-    // Build the full folder path
-    const sanitizedFolderName = sanitizeFileName(path.basename(validated.folderPath));
-    const folderDir = path.dirname(validated.folderPath);
-    const fullPath = path.join(skillDir, folderDir, sanitizedFolderName);
+    return { success: true, commits };
+  } catch (error) {
+    console.error('Error reading git log:', error);
+    return { success: false, error: error.message || 'Failed to read git log' };
+  }
+});
 
-    // Validate the resulting path is within skill directory
-    const validatedFolderPath = validateSkillPath(fullPath, skillDir);
+// Parse and validate the YAML frontmatter of a SKILL.md buffer
+ipcMain.handle('parse-frontmatter', async (event, data) => {
+  try {
+    const validated = parseFrontmatterSchema.parse(data);
+    return { success: true, frontmatter: parseFrontmatter(validated.content) };
+  } catch (error) {
+    console.error('Error parsing frontmatter:', error);
+    return { success: false, error: 'Failed to parse frontmatter' };
+  }
+});
 
-    // Create the folder
-    await fs.mkdir(validatedFolderPath, { recursive: true });
+// Render a markdown buffer for the preview pane
+ipcMain.handle('render-markdown', async (event, data) => {
+  try {
+    const validated = renderMarkdownSchema.parse(data);
+    return { success: true, ...renderMarkdownPreview(validated.content) };
+  } catch (error) {
+    console.error('Error rendering markdown:', error);
+    return { success: false, error: 'Failed to render markdown' };
+  }
+});
 
-    return { success: true, path: validated.folderPath };
+// Rewrite the frontmatter block from form values; the renderer applies the edit to its buffer
+ipcMain.handle('update-frontmatter', async (event, data) => {
+  try {
+    const validated = updateFrontmatterSchema.parse(data);
+    return { success: true, ...updateFrontmatter(validated.content, validated.data) };
   } catch (error) {
-    console.error('Error creating folder:', error);
-    return { success: false, error: 'Failed to create folder' };
+    console.error('Error updating frontmatter:', error);
+    return { success: false, error: error.message || 'Failed to update frontmatter' };
   }
 });
 
@@ -699,8 +4521,8 @@ ipcMain.handle('delete-file-or-folder', async (event, data) => {
     // Build the full path
     const fullPath = path.join(skillDir, validated.targetPath);
 
-    // Validate the resulting path is within skill directory
-    const validatedPath = validateSkillPath(fullPath, skillDir);
+    // Validate the resulting path is within skill directory; a symlink is deleted, not its target
+    const validatedPath = validateSkillPath(fullPath, skillDir, { symlinks: 'entry' });
 
     // Prevent deletion of SKILL.md
     if (path.basename(validatedPath) === 'SKILL.md') {
@@ -708,20 +4530,51 @@ ipcMain.handle('delete-file-or-folder', async (event, data) => {
     }
 
     // Check if exists
-    if (!fsSync.existsSync(validatedPath)) {
+    if (!lstatOrNull(validatedPath)) {
       return { success: false, error: 'File or folder does not exist' };
     }
 
-    // Delete
-    await fs.rm(validatedPath, { recursive: true, force: true });
+    // Move to the trash, recording the state on both sides so the item can be restored
+    await recordSkillSnapshot(skillDir, `Before deleting ${validated.targetPath}`);
+    const entry = await runOwnSkillOperation([path.basename(skillDir)], () => moveToTrash(validatedPath, {
+      skill: path.basename(skillDir),
+      itemPath: toPosixPath(path.relative(skillDir, validatedPath))
+    }));
+    await recordSkillSnapshot(skillDir, `Deleted ${validated.targetPath}`);
 
-    return { success: true };
+    return { success: true, trashId: entry.id };
   } catch (error) {
     console.error('Error deleting file or folder:', error);
     return { success: false, error: 'Failed to delete file or folder' };
   }
 });
 
+// Set or clear a file's executable bits
+ipcMain.handle('set-executable', async (event, data) => {
+  try {
+    const validated = setExecutableSchema.parse(data);
+
+    if (process.platform === 'win32') {
+      return { success: false, error: 'Windows does not use executable permissions' };
+    }
+
+    const skillDir = path.dirname(validateSkillPath(validated.skillPath));
+    const validatedPath = validateSkillPath(path.join(skillDir, validated.filePath), skillDir);
+
+    const stats = await fs.stat(validatedPath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      return { success: false, error: 'File does not exist' };
+    }
+
+    await setExecutable(validatedPath, validated.executable);
+    noteOwnWrite(validatedPath);
+    return { success: true, executable: isExecutableMode((await fs.stat(validatedPath)).mode) };
+  } catch (error) {
+    console.error('Error setting executable flag:', error);
+    return { success: false, error: 'Failed to change file permissions' };
+  }
+});
+
 // Rename a file or folder
 ipcMain.handle('rename-file-or-folder', async (event, data) => {
   try {
@@ -734,7 +4587,7 @@ ipcMain.handle('rename-file-or-folder', async (event, data) => {
 
     // Build the full paths
     const oldFullPath = path.join(skillDir, validated.oldPath);
-    const validatedOldPath = validateSkillPath(oldFullPath, skillDir);
+    const validatedOldPath = validateSkillPath(oldFullPath, skillDir, { symlinks: 'entry' });
 
     // Sanitize new name
     const sanitizedNewName = sanitizeFileName(validated.newName);
@@ -749,19 +4602,21 @@ ipcMain.handle('rename-file-or-folder', async (event, data) => {
     const validatedNewPath = validateSkillPath(newFullPath, skillDir);
 
     // Check if old exists
-    if (!fsSync.existsSync(validatedOldPath)) {
+    if (!lstatOrNull(validatedOldPath)) {
       return { success: false, error: 'File or folder does not exist' };
     }
 
     // Check if new path already exists
-    if (fsSync.existsSync(validatedNewPath)) {
+    if (lstatOrNull(validatedNewPath)) {
       return { success: false, error: 'A file or folder with that name already exists' };
     }
 
     // Rename
-    await fs.rename(validatedOldPath, validatedNewPath);
+    await recordSkillSnapshot(skillDir, `Before renaming ${validated.oldPath}`);
+    await runOwnSkillOperation([path.basename(skillDir)], () => fs.rename(validatedOldPath, validatedNewPath));
+    await recordSkillSnapshot(skillDir, `Renamed ${validated.oldPath} to ${sanitizedNewName}`);
 
-    return { success: true };
+    return { success: true, newPath: toPosixPath(path.relative(skillDir, validatedNewPath)) };
   } catch (error) {
     console.error('Error renaming file or folder:', error);
     return { success: false, error: 'Failed to rename file or folder' };
@@ -774,8 +4629,9 @@ ipcMain.handle('load-file', async (event, data) => {
     // Validate input
     const validated = loadFileSchema.parse(data);
 
-    // Validate path is within skills directory
+    // Validate path is within skills directory, and that no symlink leads out of its skill
     const validatedPath = validateSkillPath(validated.filePath);
+    validateSkillPath(validatedPath, getSkillDirFor(validatedPath));
 
     // Check if exists
     if (!fsSync.existsSync(validatedPath)) {
@@ -786,7 +4642,7 @@ ipcMain.handle('load-file', async (event, data) => {
     const stats = await fs.stat(validatedPath);
 
     // Check file size
-    if (stats.size > MAX_FILE_SIZE) {
+    if (stats.size > getMaxFileSize()) {
       return {
         success: true,
         content: '',
@@ -797,7 +4653,27 @@ ipcMain.handle('load-file', async (event, data) => {
           size: stats.size,
           editable: false,
           tooBig: true,
-          error: 'File is too large to edit (max 10MB)'
+          error: `File is too large to edit (max ${appSettings.files.maxFileSizeMb}MB)`
+        }
+      };
+    }
+
+    // Images for the markdown preview
+    if (validated.as === 'dataUrl') {
+      const mimeType = IMAGE_MIME_TYPES[path.extname(validatedPath).toLowerCase()];
+      if (!mimeType) {
+        return { success: false, error: 'Only images can be loaded as data URLs' };
+      }
+      const data = await fs.readFile(validatedPath);
+      return {
+        success: true,
+        content: `data:${mimeType};base64,${data.toString('base64')}`,
+        metadata: {
+          name: path.basename(validatedPath),
+          path: validated.filePath,
+          type: 'image',
+          size: stats.size,
+          editable: false
         }
       };
     }
@@ -850,25 +4726,33 @@ ipcMain.handle('upload-files', async (event, data) => {
     const targetPath = targetFolder ? path.join(skillDir, targetFolder) : skillDir;
     const validatedTargetPath = validateSkillPath(targetPath, skillDir);
 
-    // Ensure target directory exists
-    await fs.mkdir(validatedTargetPath, { recursive: true });
-
     const uploadedFiles = [];
-
-    // Process each file
-    for (const file of files) {
-      try {
-        const sanitizedRelative = sanitizeRelativePath(file.name);
-        const destinationPath = path.join(validatedTargetPath, sanitizedRelative);
-        const validatedDestination = validateSkillPath(destinationPath, skillDir);
-
-        await fs.mkdir(path.dirname(validatedDestination), { recursive: true });
-        await fs.writeFile(validatedDestination, file.data);
-        uploadedFiles.push(sanitizedRelative.split(path.sep).join('/'));
-      } catch (fileError) {
-        console.error(`Error uploading file ${file.name}:`, fileError);
+    await recordSkillSnapshot(skillDir, 'Before upload');
+
+    await runOwnSkillOperation([path.basename(skillDir)], async () => {
+      // Ensure target directory exists
+      await fs.mkdir(validatedTargetPath, { recursive: true });
+
+      // Process each file
+      for (const file of files) {
+        try {
+          const sanitizedRelative = sanitizeRelativePath(file.name);
+          const destinationPath = path.join(validatedTargetPath, sanitizedRelative);
+          const validatedDestination = validateSkillPath(destinationPath, skillDir);
+
+          await fs.mkdir(path.dirname(validatedDestination), { recursive: true });
+          await fs.writeFile(validatedDestination, file.data);
+          if (await isExecutableUpload(file)) {
+            await setExecutable(validatedDestination, true);
+          }
+          uploadedFiles.push(sanitizedRelative.split(path.sep).join('/'));
+        } catch (fileError) {
+          console.error(`Error uploading file ${file.name}:`, fileError);
+        }
       }
-    }
+    });
+
+    await recordSkillSnapshot(skillDir, `Uploaded ${uploadedFiles.length} file(s)`);
 
     return { success: true, uploadedFiles, count: uploadedFiles.length };
   } catch (error) {
@@ -891,8 +4775,8 @@ ipcMain.handle('move-file', async (event, data) => {
     const oldFullPath = path.join(skillDir, validated.oldPath);
     const newFullPath = path.join(skillDir, validated.newPath);
 
-    // Validate both paths are within skill directory
-    const validatedOldPath = validateSkillPath(oldFullPath, skillDir);
+    // Validate both paths are within skill directory; a symlink is moved, not its target
+    const validatedOldPath = validateSkillPath(oldFullPath, skillDir, { symlinks: 'entry' });
     const validatedNewPath = validateSkillPath(newFullPath, skillDir);
 
     // Prevent moving SKILL.md
@@ -901,23 +4785,24 @@ ipcMain.handle('move-file', async (event, data) => {
     }
 
     // Check if old path exists
-    if (!fsSync.existsSync(validatedOldPath)) {
+    if (!lstatOrNull(validatedOldPath)) {
       return { success: false, error: 'Source file does not exist' };
     }
 
     // Check if new path already exists
-    if (fsSync.existsSync(validatedNewPath)) {
+    if (lstatOrNull(validatedNewPath)) {
       return { success: false, error: 'A file with that name already exists in the target folder' };
     }
 
-    // Ensure target directory exists
-    const targetDir = path.dirname(validatedNewPath);
-    await fs.mkdir(targetDir, { recursive: true });
-
-    // Move the file
-    await fs.rename(validatedOldPath, validatedNewPath);
+    // Move the file, creating the target directory if needed
+    await recordSkillSnapshot(skillDir, `Before moving ${validated.oldPath}`);
+    await runOwnSkillOperation([path.basename(skillDir)], async () => {
+      await fs.mkdir(path.dirname(validatedNewPath), { recursive: true });
+      await fs.rename(validatedOldPath, validatedNewPath);
+    });
+    await recordSkillSnapshot(skillDir, `Moved ${validated.oldPath} to ${validated.newPath}`);
 
-    return { success: true };
+    return { success: true, newPath: toPosixPath(path.relative(skillDir, validatedNewPath)) };
   } catch (error) {
     console.error('Error moving file:', error);
     return { success: false, error: 'Failed to move file' };
@@ -1,16 +1,25 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
+  platform: process.platform,
+
   // Original methods
   createSkill: (skillData) => ipcRenderer.invoke('create-skill', skillData),
   loadSkill: (skillPath) => ipcRenderer.invoke('load-skill', skillPath),
+  importSkillZip: (data) => ipcRenderer.invoke('import-skill-zip', data),
   saveSkill: (data) => ipcRenderer.invoke('save-skill', data),
   createZip: (data) => ipcRenderer.invoke('create-zip', data),
   deleteSkill: (data) => ipcRenderer.invoke('delete-skill', data),
+  renameSkill: (data) => ipcRenderer.invoke('rename-skill', data),
+  duplicateSkill: (data) => ipcRenderer.invoke('duplicate-skill', data),
   openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
+  openFolderDialog: () => ipcRenderer.invoke('open-folder-dialog'),
+  importSkillFolder: (data) => ipcRenderer.invoke('import-skill-folder', data),
   listSkills: () => ipcRenderer.invoke('list-skills'),
+  getSkillListEntry: (data) => ipcRenderer.invoke('get-skill-list-entry', data),
   startDrag: (zipPath, skillName) => ipcRenderer.send('start-drag', zipPath, skillName),
   onDragError: (callback) => ipcRenderer.on('drag-error', (event, message) => callback(message)),
+  onSkillsChanged: (callback) => ipcRenderer.on('skills-changed', (event, data) => callback(data)),
 
   // New multi-file methods
   listSkillFiles: (skillPath) => ipcRenderer.invoke('list-skill-files', skillPath),
@@ -19,6 +28,71 @@ contextBridge.exposeInMainWorld('electronAPI', {
   deleteFileOrFolder: (data) => ipcRenderer.invoke('delete-file-or-folder', data),
   renameFileOrFolder: (data) => ipcRenderer.invoke('rename-file-or-folder', data),
   loadFile: (data) => ipcRenderer.invoke('load-file', data),
-  uploadFiles: (data) => ipcRenderer.invoke('upload-files', data),
-  moveFile: (data) => ipcRenderer.invoke('move-file', data)
+  // Each file's source path is looked up here from the File the user dropped or picked, so the
+  // main process never stats a path the page made up
+  uploadFiles: ({ files, ...data }) => ipcRenderer.invoke('upload-files', {
+    ...data,
+    files: files.map(({ file, ...upload }) => ({ ...upload, sourcePath: file ? webUtils.getPathForFile(file) : '' }))
+  }),
+  moveFile: (data) => ipcRenderer.invoke('move-file', data),
+  setExecutable: (data) => ipcRenderer.invoke('set-executable', data),
+
+  // Search
+  searchLibrary: (data) => ipcRenderer.invoke('search-library', data),
+  previewReplace: (data) => ipcRenderer.invoke('preview-replace', data),
+  applyReplace: (data) => ipcRenderer.invoke('apply-replace', data),
+  getLastReplace: () => ipcRenderer.invoke('get-last-replace'),
+  undoReplace: (data) => ipcRenderer.invoke('undo-replace', data),
+
+  // Packaging
+  previewPackage: (data) => ipcRenderer.invoke('preview-package', data),
+  exportPackage: (data) => ipcRenderer.invoke('export-package', data),
+  exportPackages: (data) => ipcRenderer.invoke('export-packages', data),
+  createSkillIgnore: (data) => ipcRenderer.invoke('create-skillignore', data),
+
+  // Version history
+  listSnapshots: (data) => ipcRenderer.invoke('list-snapshots', data),
+  getSnapshot: (data) => ipcRenderer.invoke('get-snapshot', data),
+  getSnapshotFile: (data) => ipcRenderer.invoke('get-snapshot-file', data),
+  restoreSnapshot: (data) => ipcRenderer.invoke('restore-snapshot', data),
+
+  // Trash
+  listTrash: () => ipcRenderer.invoke('list-trash'),
+  restoreFromTrash: (data) => ipcRenderer.invoke('restore-from-trash', data),
+  purgeTrash: (data) => ipcRenderer.invoke('purge-trash', data),
+
+  // Preferences
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  saveSettings: (data) => ipcRenderer.invoke('save-settings', data),
+  confirmSaveBefore: (data) => ipcRenderer.invoke('confirm-save-before', data),
+  confirmCloseTab: (data) => ipcRenderer.invoke('confirm-close-tab', data),
+
+  // Workspace state
+  getWorkspaceState: () => ipcRenderer.invoke('get-workspace-state'),
+  saveWorkspaceState: (data) => ipcRenderer.invoke('save-workspace-state', data),
+  saveWorkspaceStateSync: (data) => ipcRenderer.sendSync('save-workspace-state-sync', data),
+
+  // Claude Code install targets
+  listInstallTargets: () => ipcRenderer.invoke('list-install-targets'),
+  addInstallTarget: (data) => ipcRenderer.invoke('add-install-target', data),
+  removeInstallTarget: (data) => ipcRenderer.invoke('remove-install-target', data),
+  installSkill: (data) => ipcRenderer.invoke('install-skill', data),
+  listInstalledSkills: () => ipcRenderer.invoke('list-installed-skills'),
+  pushInstalledSkill: (data) => ipcRenderer.invoke('push-installed-skill', data),
+  pullInstalledSkill: (data) => ipcRenderer.invoke('pull-installed-skill', data),
+
+  // Git
+  gitStatus: (data) => ipcRenderer.invoke('git-status', data),
+  gitInit: (data) => ipcRenderer.invoke('git-init', data),
+  gitDiffHead: (data) => ipcRenderer.invoke('git-diff-head', data),
+  gitCommit: (data) => ipcRenderer.invoke('git-commit', data),
+  gitLog: (data) => ipcRenderer.invoke('git-log', data),
+
+  // Frontmatter and linting
+  lintSkill: (data) => ipcRenderer.invoke('lint-skill', data),
+  findLinkRewrites: (data) => ipcRenderer.invoke('find-link-rewrites', data),
+  applyLinkRewrites: (data) => ipcRenderer.invoke('apply-link-rewrites', data),
+  parseFrontmatter: (data) => ipcRenderer.invoke('parse-frontmatter', data),
+  renderMarkdown: (data) => ipcRenderer.invoke('render-markdown', data),
+  updateFrontmatter: (data) => ipcRenderer.invoke('update-frontmatter', data)
 });
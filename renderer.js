@@ -1,41 +1,47 @@
 // State
 let currentSkill = null;
 let currentSkillDir = null; // Skill directory path for multi-file operations
-let currentFile = null; // { path, name, type, editable, metadata }
+let currentFile = null; // { path, name, type, editable, metadata } of the active tab
 let editor = null;
 let zipPath = null;
-let hasUnsavedChanges = false;
-let autoSaveDebounceTimer = null;
 let fileTree = null; // Current skill's file tree
 let contextMenuTarget = null; // Target node for context menu operations
 let suppressEditorChange = false;
 let currentSkillItem = null; // Active skill element in the list
 let currentFileTreeContainer = null; // Active skill's file tree wrapper
+let frontmatterSyncTimer = null;
+let frontmatterFormTimer = null;
+let pendingFrontmatterFields = new Set(); // Form fields edited since the last write to YAML
+let frontmatterMetadata = {}; // metadata as parsed from YAML, so non-string values keep their type
+let lintDiagnostics = []; // Latest lint results for the current skill
+let lintRequestId = 0;
+let historyDiffEditor = null; // Monaco diff editor inside the history modal
+let historySnapshotId = null;
+let historyFilePath = null;
+let gitState = null; // Latest git status for the current skill
+const gitOpenedSkills = new Set(); // Skills whose Source Control was opened this session
+let gitDiffEditor = null; // Monaco diff editor inside the source control modal
+let gitSelectedPath = null;
+let compareDiffEditor = null; // Monaco diff editor inside the compare modal
+let compareRequestId = 0;
+let packageManifest = null; // Manifest of the package awaiting confirmation
+let librarySkills = []; // Skills from the last list-skills call, with tags, size and modified time
+let collapsedFolders = {}; // Skill folder name -> folders collapsed in its file tree
+let appSettings = null; // Preferences from the main process settings store
 
 // Monaco Editor Setup
 if (typeof require !== 'undefined' && typeof require.config === 'function') {
   require.config({ paths: { vs: 'node_modules/monaco-editor/min/vs' } });
 
-  require(['vs/editor/editor.main'], function () {
+  require(['vs/editor/editor.main'], async function () {
+    await loadSettings();
     editor = monaco.editor.create(document.getElementById('editor'), {
       value: '',
       language: 'markdown',
       theme: 'vs-dark',
-      fontSize: 14,
-      lineNumbers: 'on',
-      minimap: { enabled: false },
       scrollBeyondLastLine: false,
       automaticLayout: true,
-      wordWrap: 'on',
-      fontFamily: "'Lora', Georgia, serif",
-      lineHeight: 24,
-      suggest: { enabled: false },
-      quickSuggestions: { enabled: false },
-      tabCompletion: 'off',
-      wordBasedSuggestions: 'off',
-      acceptSuggestionOnEnter: 'off',
-      acceptSuggestionOnCommitCharacter: false,
-      parameterHints: { enabled: false }
+      ...getEditorOptions()
     });
 
     // Custom theme matching Claude colors
@@ -59,32 +65,45 @@ if (typeof require !== 'undefined' && typeof require.config === 'function') {
 
     monaco.editor.setTheme('claude-dark');
 
-    // Auto-save on change with debounce
+    editor.onDidScrollChange(syncPreviewToEditor);
+    editor.onDidScrollChange(scheduleWorkspaceSave);
+    editor.onDidChangeCursorPosition(scheduleWorkspaceSave);
+
+    blankModel = editor.getModel();
+
+    // Auto-save on change with debounce, per tab
     editor.onDidChangeModelContent(() => {
-      if (suppressEditorChange) {
+      if (suppressEditorChange || !activeTab || editor.getModel() !== activeTab.model) {
         return;
       }
 
-      hasUnsavedChanges = true;
+      const tab = activeTab;
+      setTabDirty(tab, tab.model.getAlternativeVersionId() !== tab.savedVersionId);
+      scheduleFrontmatterSync();
+      scheduleMarkdownPreview();
 
       // Clear previous debounce timer
-      if (autoSaveDebounceTimer) {
-        clearTimeout(autoSaveDebounceTimer);
+      if (tab.saveTimer) {
+        clearTimeout(tab.saveTimer);
+        tab.saveTimer = null;
       }
 
-      // Set new debounce timer for 2 seconds
-      autoSaveDebounceTimer = setTimeout(() => {
-        autoSave();
-      }, 2000);
+      // Set new debounce timer unless autosave is off (Ctrl+S saves then)
+      if (tab.dirty && appSettings.autosave.enabled) {
+        tab.saveTimer = setTimeout(() => {
+          saveTab(tab);
+        }, appSettings.autosave.debounceMs);
+      }
     });
 
-    loadSkills();
+    loadSkills().then(restoreWorkspace);
   });
 } else {
-  // Fallback: Load skills if Monaco fails to load
-  setTimeout(() => {
+  // Fallback: Load settings and skills if Monaco fails to load; the skill filter comes from settings
+  setTimeout(async () => {
     try {
-      loadSkills();
+      await loadSettings();
+      await loadSkills();
     } catch (e) {
       console.error('Failed to load skills:', e);
     }
@@ -94,9 +113,75 @@ if (typeof require !== 'undefined' && typeof require.config === 'function') {
 // DOM Elements
 const newSkillBtn = document.getElementById('newSkillBtn');
 const openSkillBtn = document.getElementById('openSkillBtn');
+const importFolderBtn = document.getElementById('importFolderBtn');
 const packageBtn = document.getElementById('packageBtn');
 const deleteBtn = document.getElementById('deleteBtn');
+const renameSkillBtn = document.getElementById('renameSkillBtn');
+const duplicateSkillBtn = document.getElementById('duplicateSkillBtn');
+const skillNameModal = document.getElementById('skillNameModal');
+const skillNameModalTitle = document.getElementById('skillNameModalTitle');
+const skillNameInputField = document.getElementById('skillNameModalInput');
+const skillNameCancelBtn = document.getElementById('skillNameCancelBtn');
+const skillNameConfirmBtn = document.getElementById('skillNameConfirmBtn');
+const historyBtn = document.getElementById('historyBtn');
+const problemsBtn = document.getElementById('problemsBtn');
+const gitBtn = document.getElementById('gitBtn');
+const compareBtn = document.getElementById('compareBtn');
+const installBtn = document.getElementById('installBtn');
+const packagePreviewBtn = document.getElementById('packagePreviewBtn');
+const exportBtn = document.getElementById('exportBtn');
+const exportSkillsBtn = document.getElementById('exportSkillsBtn');
+const trashBtn = document.getElementById('trashBtn');
+const trashModal = document.getElementById('trashModal');
+const trashRows = document.getElementById('trashRows');
+const trashPurgeDays = document.getElementById('trashPurgeDays');
+const trashCloseBtn = document.getElementById('trashCloseBtn');
+const trashEmptyBtn = document.getElementById('trashEmptyBtn');
+const preferencesBtn = document.getElementById('preferencesBtn');
+const preferencesModal = document.getElementById('preferencesModal');
+const prefFontFamily = document.getElementById('prefFontFamily');
+const prefFontSize = document.getElementById('prefFontSize');
+const prefLineHeight = document.getElementById('prefLineHeight');
+const prefWordWrap = document.getElementById('prefWordWrap');
+const prefLineNumbers = document.getElementById('prefLineNumbers');
+const prefMinimap = document.getElementById('prefMinimap');
+const prefSuggestions = document.getElementById('prefSuggestions');
+const prefMarkdownPreview = document.getElementById('prefMarkdownPreview');
+const prefAutosave = document.getElementById('prefAutosave');
+const prefAutosaveDelay = document.getElementById('prefAutosaveDelay');
+const prefCompressionLevel = document.getElementById('prefCompressionLevel');
+const prefReproducible = document.getElementById('prefReproducible');
+const prefPackageSizeThreshold = document.getElementById('prefPackageSizeThreshold');
+const prefMaxFileSize = document.getElementById('prefMaxFileSize');
+const prefEditableExtensions = document.getElementById('prefEditableExtensions');
+const prefTrashPurgeDays = document.getElementById('prefTrashPurgeDays');
+const preferencesDefaultsBtn = document.getElementById('preferencesDefaultsBtn');
+const preferencesCancelBtn = document.getElementById('preferencesCancelBtn');
+const preferencesSaveBtn = document.getElementById('preferencesSaveBtn');
+const commandPaletteModal = document.getElementById('commandPaletteModal');
+const commandPaletteInput = document.getElementById('commandPaletteInput');
+const commandPaletteList = document.getElementById('commandPaletteList');
+const problemsPanel = document.getElementById('problemsPanel');
+const problemsTitle = document.getElementById('problemsTitle');
+const problemsList = document.getElementById('problemsList');
+const problemsCloseBtn = document.getElementById('problemsCloseBtn');
+const searchBtn = document.getElementById('searchBtn');
+const searchPanel = document.getElementById('searchPanel');
+const searchTitle = document.getElementById('searchTitle');
+const searchInput = document.getElementById('searchInput');
+const searchCaseSensitive = document.getElementById('searchCaseSensitive');
+const searchWholeWord = document.getElementById('searchWholeWord');
+const searchRegex = document.getElementById('searchRegex');
+const searchResults = document.getElementById('searchResults');
+const searchCloseBtn = document.getElementById('searchCloseBtn');
+const searchScope = document.getElementById('searchScope');
+const replaceToggleBtn = document.getElementById('replaceToggleBtn');
+const replaceRow = document.getElementById('replaceRow');
+const replaceInput = document.getElementById('replaceInput');
+const replaceApplyBtn = document.getElementById('replaceApplyBtn');
+const replaceUndoBtn = document.getElementById('replaceUndoBtn');
 const dragZone = document.getElementById('dragZone');
+const dragZoneHash = document.getElementById('dragZoneHash');
 const emptyState = document.getElementById('emptyState');
 const newSkillModal = document.getElementById('newSkillModal');
 const cancelBtn = document.getElementById('cancelBtn');
@@ -104,6 +189,9 @@ const createBtn = document.getElementById('createBtn');
 const skillNameInput = document.getElementById('skillNameInput');
 const skillDescInput = document.getElementById('skillDescInput');
 const skillsList = document.getElementById('skillsList');
+const skillFilterInput = document.getElementById('skillFilterInput');
+const skillSortSelect = document.getElementById('skillSortSelect');
+const skillTagChips = document.getElementById('skillTagChips');
 const editorTitle = document.getElementById('editorTitle');
 const deleteConfirmModal = document.getElementById('deleteConfirmModal');
 const deleteCancelBtn = document.getElementById('deleteCancelBtn');
@@ -130,7 +218,89 @@ const renameConfirmBtn = document.getElementById('renameConfirmBtn');
 const uploadDropZone = document.getElementById('uploadDropZone');
 const fileNotEditablePlaceholder = document.getElementById('fileNotEditablePlaceholder');
 const fileNotEditableInfo = document.getElementById('fileNotEditableInfo');
+const editorTabs = document.getElementById('editorTabs');
 const fileInfo = document.getElementById('fileInfo');
+const historyModal = document.getElementById('historyModal');
+const historySkillName = document.getElementById('historySkillName');
+const historyTimeline = document.getElementById('historyTimeline');
+const historyFiles = document.getElementById('historyFiles');
+const historyDiff = document.getElementById('historyDiff');
+const historyCloseBtn = document.getElementById('historyCloseBtn');
+const historyRestoreFileBtn = document.getElementById('historyRestoreFileBtn');
+const historyRestoreSkillBtn = document.getElementById('historyRestoreSkillBtn');
+const packagePreviewModal = document.getElementById('packagePreviewModal');
+const packagePreviewSkillName = document.getElementById('packagePreviewSkillName');
+const packagePreviewSummary = document.getElementById('packagePreviewSummary');
+const packagePreviewList = document.getElementById('packagePreviewList');
+const packagePreviewCloseBtn = document.getElementById('packagePreviewCloseBtn');
+const packagePreviewIgnoreBtn = document.getElementById('packagePreviewIgnoreBtn');
+const packagePreviewConfirmBtn = document.getElementById('packagePreviewConfirmBtn');
+const exportSkillsModal = document.getElementById('exportSkillsModal');
+const exportSkillsList = document.getElementById('exportSkillsList');
+const exportSkillsCancelBtn = document.getElementById('exportSkillsCancelBtn');
+const exportSkillsConfirmBtn = document.getElementById('exportSkillsConfirmBtn');
+const packageReportModal = document.getElementById('packageReportModal');
+const packageReportSkillName = document.getElementById('packageReportSkillName');
+const packageReportSummary = document.getElementById('packageReportSummary');
+const packageReportHash = document.getElementById('packageReportHash');
+const packageReportThreshold = document.getElementById('packageReportThreshold');
+const packageReportRows = document.getElementById('packageReportRows');
+const packageReportCancelBtn = document.getElementById('packageReportCancelBtn');
+const packageReportConfirmBtn = document.getElementById('packageReportConfirmBtn');
+const installModal = document.getElementById('installModal');
+const installSkillName = document.getElementById('installSkillName');
+const installTargetSelect = document.getElementById('installTargetSelect');
+const installAddProjectBtn = document.getElementById('installAddProjectBtn');
+const installRemoveProjectBtn = document.getElementById('installRemoveProjectBtn');
+const installModeSelect = document.getElementById('installModeSelect');
+const installStatusList = document.getElementById('installStatusList');
+const installCloseBtn = document.getElementById('installCloseBtn');
+const installConfirmBtn = document.getElementById('installConfirmBtn');
+const conflictModal = document.getElementById('conflictModal');
+const conflictMessage = document.getElementById('conflictMessage');
+const conflictDiffBtn = document.getElementById('conflictDiffBtn');
+const conflictKeepBtn = document.getElementById('conflictKeepBtn');
+const conflictReloadBtn = document.getElementById('conflictReloadBtn');
+const compareModal = document.getElementById('compareModal');
+const compareModeSelect = document.getElementById('compareModeSelect');
+const compareLeftSide = document.getElementById('compareLeftSide');
+const compareLeftSkill = document.getElementById('compareLeftSkill');
+const compareLeftFile = document.getElementById('compareLeftFile');
+const compareRightSkill = document.getElementById('compareRightSkill');
+const compareRightFile = document.getElementById('compareRightFile');
+const compareDiff = document.getElementById('compareDiff');
+const compareCloseBtn = document.getElementById('compareCloseBtn');
+const gitModal = document.getElementById('gitModal');
+const gitSkillName = document.getElementById('gitSkillName');
+const gitBranch = document.getElementById('gitBranch');
+const gitChanges = document.getElementById('gitChanges');
+const gitLog = document.getElementById('gitLog');
+const gitDiff = document.getElementById('gitDiff');
+const gitCommitMessage = document.getElementById('gitCommitMessage');
+const gitCloseBtn = document.getElementById('gitCloseBtn');
+const gitInitBtn = document.getElementById('gitInitBtn');
+const gitCommitBtn = document.getElementById('gitCommitBtn');
+const linkRewriteModal = document.getElementById('linkRewriteModal');
+const linkRewriteMessage = document.getElementById('linkRewriteMessage');
+const linkRewriteList = document.getElementById('linkRewriteList');
+const linkRewriteCancelBtn = document.getElementById('linkRewriteCancelBtn');
+const linkRewriteConfirmBtn = document.getElementById('linkRewriteConfirmBtn');
+
+// Frontmatter form elements
+const frontmatterPanel = document.getElementById('frontmatterPanel');
+const markdownPreviewBtn = document.getElementById('markdownPreviewBtn');
+const markdownPreview = document.getElementById('markdownPreview');
+const markdownPreviewTemplate = document.getElementById('markdownPreviewTemplate');
+const frontmatterHeader = document.getElementById('frontmatterHeader');
+const frontmatterToggle = document.getElementById('frontmatterToggle');
+const frontmatterStatus = document.getElementById('frontmatterStatus');
+const fmNameInput = document.getElementById('fmNameInput');
+const fmDescriptionInput = document.getElementById('fmDescriptionInput');
+const fmDescriptionCount = document.getElementById('fmDescriptionCount');
+const fmLicenseInput = document.getElementById('fmLicenseInput');
+const fmToolsInput = document.getElementById('fmToolsInput');
+const fmMetadataInput = document.getElementById('fmMetadataInput');
+const frontmatterInputs = [fmNameInput, fmDescriptionInput, fmLicenseInput, fmToolsInput, fmMetadataInput];
 
 function deactivateDragZone() {
   if (!dragZone) {
@@ -145,11 +315,28 @@ const modalConfirmPairs = [
   { modal: deleteConfirmModal, confirmButton: deleteConfirmBtn },
   { modal: createItemModal, confirmButton: createItemConfirmBtn },
   { modal: deleteItemModal, confirmButton: deleteItemConfirmBtn },
-  { modal: renameModal, confirmButton: renameConfirmBtn }
+  { modal: renameModal, confirmButton: renameConfirmBtn },
+  { modal: skillNameModal, confirmButton: skillNameConfirmBtn },
+  { modal: linkRewriteModal, confirmButton: linkRewriteConfirmBtn },
+  { modal: installModal, confirmButton: installConfirmBtn },
+  { modal: packagePreviewModal, confirmButton: packagePreviewConfirmBtn },
+  { modal: packageReportModal, confirmButton: packageReportConfirmBtn },
+  { modal: exportSkillsModal, confirmButton: exportSkillsConfirmBtn },
+  { modal: preferencesModal, confirmButton: preferencesSaveBtn }
 ];
 
 // Test listener for input debugging
 // Utility functions
+// File names come from disk and may contain quotes or angle brackets
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function normalizePath(pathString) {
   return typeof pathString === 'string' ? pathString.replace(/\\/g, '/') : pathString;
 }
@@ -211,25 +398,33 @@ function getActiveModalConfirmButton() {
   return null;
 }
 
+// Replace the active tab's buffer, e.g. with a version reloaded from disk
 function setEditorContent(value, options = {}) {
-  if (!editor) return;
+  if (!editor || !activeTab || !activeTab.model) return;
 
   const { markClean = true } = options;
 
+  // Form edits from the previous buffer must not land in the new one
+  if (frontmatterFormTimer) {
+    clearTimeout(frontmatterFormTimer);
+    frontmatterFormTimer = null;
+  }
+  pendingFrontmatterFields = new Set();
+
   suppressEditorChange = true;
   try {
-    editor.setValue(value);
+    activeTab.model.setValue(value);
   } finally {
     suppressEditorChange = false;
   }
 
   if (markClean) {
-    hasUnsavedChanges = false;
-    if (autoSaveDebounceTimer) {
-      clearTimeout(autoSaveDebounceTimer);
-      autoSaveDebounceTimer = null;
-    }
+    markTabClean(activeTab, value);
   }
+
+  scheduleFrontmatterSync();
+  scheduleMarkdownPreview();
+  applyLintMarkers();
 }
 
 function refreshActiveFileHighlight() {
@@ -254,34 +449,82 @@ function renderFileTree(nodes) {
   let html = '';
   for (const node of nodes) {
     // node.path already contains the complete relative path from backend
-    const nodeId = `file-node-${node.path.replace(/\//g, '-')}`;
+    const nodeId = escapeHtml(`file-node-${node.path.replace(/\//g, '-')}`);
+    const nodePath = escapeHtml(node.path);
+    const excludedClass = node.excluded ? ' excluded' : '';
+    const excludedTitle = node.excluded ? ' title="Excluded from packages by .skillignore"' : '';
 
     if (node.type === 'folder') {
       const hasChildren = node.children && node.children.length > 0;
-      html += `<div class="file-tree-node folder" data-node-id="${nodeId}" data-node-path="${node.path}" data-node-type="folder" data-expanded="true">`;
+      const expanded = !isFolderCollapsed(node.path);
+      const state = expanded ? 'expanded' : 'collapsed';
+      html += `<div class="file-tree-node folder${excludedClass}"${excludedTitle} data-node-id="${nodeId}" data-node-path="${nodePath}" data-node-type="folder" data-expanded="${expanded}">`;
       // Always show toggle (even for empty folders - they can have items added to them)
-      html += `<div class="file-tree-toggle expanded" data-toggle="${nodeId}"></div>`;
-      html += `<span class="file-tree-icon folder-icon">${hasChildren ? '📂' : '📁'}</span>`;
-      html += `<span class="folder-name">${node.name}</span>`;
+      html += `<div class="file-tree-toggle ${state}" data-toggle="${nodeId}"></div>`;
+      html += `<span class="file-tree-icon folder-icon">${hasChildren && expanded ? '📂' : '📁'}</span>`;
+      html += `<span class="folder-name">${escapeHtml(node.name)}</span>`;
       html += `</div>`;
       // Always create children container (even if empty, for future items)
-      html += `<div class="file-tree-children expanded" id="${nodeId}">`;
+      html += `<div class="file-tree-children ${state}" id="${nodeId}">`;
       if (hasChildren) {
         html += renderFileTree(node.children);
       }
       html += `</div>`;
     } else {
       const editable = node.editable ? 'editable' : 'not-editable';
-      html += `<div class="file-tree-node file ${editable}" data-node-id="${nodeId}" data-node-path="${node.path}" data-node-type="file" data-editable="${node.editable ? 'true' : 'false'}">`;
+      html += `<div class="file-tree-node file ${editable}${excludedClass}"${excludedTitle} data-node-id="${nodeId}" data-node-path="${nodePath}" data-node-type="file" data-editable="${node.editable ? 'true' : 'false'}">`;
       html += `<div class="file-tree-toggle" style="visibility: hidden;"></div>`;
       html += `<span class="file-tree-icon">${getFileIcon(node)}</span>`;
-      html += `<span>${node.name}</span>`;
+      html += `<span>${escapeHtml(node.name)}</span>`;
       html += `</div>`;
     }
   }
   return html;
 }
 
+// Mark executable files and symlinks; links that leave the skill are flagged
+function applyFileModeDecorations() {
+  if (!currentFileTreeContainer) return;
+
+  const nodesByPath = new Map();
+  const collect = (nodes) => nodes.forEach(node => {
+    nodesByPath.set(node.path, node);
+    if (node.children) collect(node.children);
+  });
+  collect(fileTree);
+
+  currentFileTreeContainer.querySelectorAll('.file-tree-node').forEach(element => {
+    element.querySelectorAll('.mode-badge').forEach(badge => badge.remove());
+    const node = nodesByPath.get(element.getAttribute('data-node-path'));
+    if (!node) return;
+
+    element.setAttribute('data-executable', node.executable ? 'true' : 'false');
+    element.classList.toggle('unusable-symlink', Boolean(node.symlink) && node.symlink.status !== 'inside');
+
+    if (node.symlink) {
+      const badge = document.createElement('span');
+      badge.className = `mode-badge symlink ${node.symlink.status}`;
+      badge.textContent = '↪';
+      if (node.symlink.status === 'outside') {
+        badge.title = `Symbolic link to ${node.symlink.target}, outside the skill. It can't be opened or packaged.`;
+      } else if (node.symlink.status === 'broken') {
+        badge.title = `Broken symbolic link to ${node.symlink.target}`;
+      } else {
+        badge.title = `Symbolic link to ${node.symlink.target}`;
+      }
+      element.appendChild(badge);
+    }
+
+    if (node.executable) {
+      const badge = document.createElement('span');
+      badge.className = 'mode-badge executable';
+      badge.textContent = 'x';
+      badge.title = 'Executable';
+      element.appendChild(badge);
+    }
+  });
+}
+
 async function loadFileTree() {
   if (!currentSkill || !currentFileTreeContainer) {
     return;
@@ -292,11 +535,15 @@ async function loadFileTree() {
 
     if (result.success) {
       fileTree = result.files;
+      paletteFileCache.set(normalizePath(currentSkill.path), flattenFileTree(fileTree));
       const html = renderFileTree(fileTree);
       currentFileTreeContainer.innerHTML = html;
       attachRootDropHandlers(currentFileTreeContainer);
       attachFileTreeEventListeners(currentFileTreeContainer);
+      applyFileModeDecorations();
       refreshActiveFileHighlight();
+      runSkillLint();
+      refreshGitBadges();
     } else {
       showNotification('Failed to load files: ' + (result.error || 'Unknown error'), 'error');
     }
@@ -314,9 +561,8 @@ function attachFileTreeEventListeners(root) {
     // Make files draggable
     node.setAttribute('draggable', 'true');
 
-    node.addEventListener('click', async (e) => {
+    node.addEventListener('click', (e) => {
       e.stopPropagation();
-      await autoSave();
       const nodePath = node.getAttribute('data-node-path');
       loadFileFromTree(nodePath);
     });
@@ -427,7 +673,8 @@ function attachFileTreeEventListeners(root) {
           const data = await file.arrayBuffer();
           filesToUpload.push({
             name: path ? `${path}/${file.name}` : file.name,
-            data: new Uint8Array(data)
+            data: new Uint8Array(data),
+            file
           });
         } else if (entry.isDirectory) {
           const reader = entry.createReader();
@@ -448,7 +695,8 @@ function attachFileTreeEventListeners(root) {
         await uploadFiles(filesToUpload.map(f => ({
           arrayBuffer: () => Promise.resolve(f.data),
           webkitRelativePath: f.name,
-          name: f.name.split('/').pop()
+          name: f.name.split('/').pop(),
+          file: f.file
         })), targetFolder, true);
       }
     });
@@ -490,57 +738,18 @@ function toggleFolder(folderNode) {
   // Update children visibility
   childrenContainer.classList.toggle('expanded');
   childrenContainer.classList.toggle('collapsed');
+
+  setFolderCollapsed(folderNode.getAttribute('data-node-path'), isExpanded);
 }
 
 async function loadFileFromTree(filePath) {
   if (!currentSkill || !currentSkillDir) return;
 
-  deactivateDragZone();
-
-  // Auto-save before switching files
-  await autoSave();
-
   // Ensure filePath is relative
   const relativeFilePath = getRelativePath(filePath, currentSkillDir);
-  const fullPath = `${currentSkillDir}/${relativeFilePath}`;
 
   try {
-    const result = await window.electronAPI.loadFile({ filePath: fullPath });
-    if (result.success) {
-      currentFile = {
-        ...result.metadata,
-        path: relativeFilePath  // Always store relative path (override metadata's full path)
-      };
-
-      // Update active highlighting
-      refreshActiveFileHighlight();
-
-      // Update editor based on editability
-      if (result.metadata.editable) {
-        setEditorContent(result.content);
-        editor.getModel().setLanguage(getLanguageMode(filePath));
-        fileNotEditablePlaceholder.style.display = 'none';
-        emptyState.style.display = 'none';
-        document.getElementById('editor').style.display = 'flex';
-        // Force focus on the Monaco editor
-        setTimeout(() => {
-          editor.focus();
-        }, 50);
-      } else {
-        document.getElementById('editor').style.display = 'none';
-        emptyState.style.display = 'none';
-        fileNotEditablePlaceholder.style.display = 'flex';
-        const typeInfo = `Type: ${result.metadata.type} | Size: ${formatFileSize(result.metadata.size)}`;
-        fileNotEditableInfo.textContent = typeInfo;
-      }
-
-      // Update toolbar
-      editorTitle.textContent = `${currentSkill.name} / ${currentFile.name}`;
-      fileInfo.textContent = result.metadata.editable ? '' : '(Not editable)';
-      packageBtn.disabled = false;
-    } else {
-      showNotification('Failed to load file: ' + (result.error || 'Unknown error'), 'error');
-    }
+    await openTab(currentSkill, relativeFilePath);
   } catch (error) {
     console.error('Error loading file:', error);
     showNotification('Error loading file', 'error');
@@ -573,13 +782,24 @@ function showContextMenu(x, y, type) {
       const action = item.getAttribute('data-action');
       if (action === 'new-file' || action === 'new-folder' || action === 'upload-files' || action === 'upload-folder') {
         item.style.display = 'none';
+      } else if (action === 'git-diff') {
+        item.style.display = gitState && gitState.isRepo ? 'block' : 'none';
+      } else if (action === 'compare') {
+        item.style.display = contextMenuTarget && contextMenuTarget.getAttribute('data-editable') === 'true' ? 'block' : 'none';
+      } else if (action === 'toggle-executable') {
+        const executable = contextMenuTarget && contextMenuTarget.getAttribute('data-executable') === 'true';
+        item.querySelector('span').textContent = executable ? '⚙️ Remove Executable' : '⚙️ Make Executable';
+        item.style.display = window.electronAPI.platform === 'win32' ? 'none' : 'block';
       } else {
         item.style.display = 'block';
       }
     });
   } else {
-    // Show all items for folder
-    contextMenuItems.forEach(item => item.style.display = 'block');
+    // Show all items for folder except file-only ones
+    contextMenuItems.forEach(item => {
+      const action = item.getAttribute('data-action');
+      item.style.display = action === 'git-diff' || action === 'compare' || action === 'toggle-executable' ? 'none' : 'block';
+    });
   }
 
   contextMenu.style.display = 'block';
@@ -587,6 +807,28 @@ function showContextMenu(x, y, type) {
   contextMenu.style.top = y + 'px';
 }
 
+async function toggleExecutable(filePath, executable) {
+  if (!currentSkill) return;
+
+  try {
+    const result = await window.electronAPI.setExecutable({
+      skillPath: currentSkill.path,
+      filePath,
+      executable
+    });
+
+    if (result.success) {
+      showNotification(result.executable ? 'File is now executable' : 'File is no longer executable', 'success');
+      loadFileTree();
+    } else {
+      showNotification(`Failed to change permissions: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error changing permissions:', error);
+    showNotification('Error changing permissions', 'error');
+  }
+}
+
 function hideContextMenu() {
   contextMenu.style.display = 'none';
   // Don't clear contextMenuTarget here - it's needed for modal operations
@@ -670,39 +912,16 @@ openSkillBtn.addEventListener('click', async () => {
 
   const result = await window.electronAPI.openFileDialog();
   if (result.success) {
-    const loadResult = await window.electronAPI.loadSkill(result.filePath);
-    if (loadResult.success) {
-      const importedPath = normalizePath(loadResult.path || result.filePath);
-      const skills = await loadSkills();
-      const importedSkill = skills.find(s => s.path === importedPath);
+    const isZip = result.filePath.toLowerCase().endsWith('.zip');
+    const loadResult = isZip
+      ? await window.electronAPI.importSkillZip({ zipPath: result.filePath })
+      : await window.electronAPI.loadSkill(result.filePath);
 
-      if (importedSkill) {
-        await loadSkill(importedSkill);
-      } else {
-        deactivateDragZone();
-        currentSkill = {
-          path: importedPath,
-          name: extractSkillName(importedPath),
-          description: ''
-        };
-        currentSkillDir = getParentDirectory(importedPath);
-        currentFile = null;
-        setEditorContent(loadResult.content);
-        const editorElement = document.getElementById('editor');
-        if (editorElement) {
-          editorElement.style.display = 'flex';
-        }
-        fileNotEditablePlaceholder.style.display = 'none';
-        emptyState.style.display = 'none';
-        editorTitle.textContent = currentSkill.name;
-        fileInfo.textContent = '';
-        packageBtn.disabled = false;
-        deleteBtn.disabled = false;
-        await loadFileTree();
-      }
+    if (loadResult.success) {
+      await openLoadedSkill(loadResult, result.filePath);
 
       if (loadResult.imported) {
-        showNotification(`Imported "${extractSkillName(importedPath)}" into your library`, 'success');
+        showImportNotification(loadResult);
       }
     } else {
       showNotification('Failed to load skill: ' + (loadResult.error || 'Unknown error'), 'error');
@@ -710,26 +929,361 @@ openSkillBtn.addEventListener('click', async () => {
   }
 });
 
+importFolderBtn.addEventListener('click', async () => {
+  await autoSave();
+
+  const result = await window.electronAPI.openFolderDialog();
+  if (!result.success) {
+    return;
+  }
+
+  const importResult = await window.electronAPI.importSkillFolder({ folderPath: result.folderPath });
+  if (importResult.success) {
+    await openLoadedSkill(importResult, importResult.path);
+    showImportNotification(importResult);
+  } else {
+    showNotification('Failed to import folder: ' + (importResult.error || 'Unknown error'), 'error');
+  }
+});
+
+function showImportNotification(importResult) {
+  const importedName = importResult.skillName || extractSkillName(importResult.path);
+  const skipped = importResult.skipped || [];
+  let message = `Imported "${importedName}" into your library`;
+
+  if (skipped.length > 0) {
+    const preview = skipped.slice(0, 3).map(item => `${item.path}: ${item.reason}`).join(', ');
+    const more = skipped.length > 3 ? `, +${skipped.length - 3} more` : '';
+    message += ` (skipped ${preview}${more})`;
+  }
+
+  showNotification(message, 'success');
+}
+
+// Show a skill returned by loadSkill/importSkillZip, selecting it in the sidebar when listed
+async function openLoadedSkill(loadResult, fallbackPath) {
+  const importedPath = normalizePath(loadResult.path || fallbackPath);
+  const skills = await loadSkills();
+  const importedSkill = skills.find(s => s.path === importedPath);
+
+  if (importedSkill) {
+    await loadSkill(importedSkill);
+    return;
+  }
+
+  deactivateDragZone();
+  await showSkill({
+    path: importedPath,
+    name: extractSkillName(importedPath),
+    description: ''
+  });
+  await openTab(currentSkill, 'SKILL.md', loadResult.content);
+}
 
 packageBtn.addEventListener('click', async () => {
   if (!currentSkill) return;
 
-  // Auto-save before packaging
-  await autoSave();
+  if (!await saveBeforeDiskAction('Packaging', currentSkillDir)) return;
 
-  // Create ZIP
+  // Create ZIP (the main process refuses skills with lint errors)
   const result = await window.electronAPI.createZip({
     skillPath: currentSkill.path,
-    skillName: currentSkill.name
+    skillName: currentSkill.name,
+    reproducible: isReproducibleBuild()
   });
 
   if (result.success) {
     zipPath = result.zipPath;
-    dragZone.classList.add('active');
-    showNotification('Package created! Drag to Claude Desktop to install', 'success');
+    dragZoneHash.textContent = `SHA-256 ${result.sha256.substring(0, 12)}…`;
+    dragZoneHash.title = result.sha256;
+    if (result.manifest) {
+      showPackageReport(result.manifest, result.sha256, result.reproducible);
+    } else {
+      activatePackageDragZone();
+    }
+  } else if (result.diagnostics) {
+    showPackagingProblems(result);
+  } else {
+    showNotification(result.error || 'Failed to create package', 'error');
+  }
+});
+
+// Reproducible builds are on unless turned off in Preferences, the package preview or the
+// export dialog
+function isReproducibleBuild() {
+  return appSettings.packaging.reproducible;
+}
+
+function showReproducibleSetting() {
+  document.querySelectorAll('.reproducible-toggle').forEach(toggle => { toggle.checked = isReproducibleBuild(); });
+}
+
+document.querySelectorAll('.reproducible-toggle').forEach(toggle => {
+  toggle.addEventListener('change', async () => {
+    await updateSettings('packaging', { reproducible: toggle.checked });
+    showReproducibleSetting();
+  });
+});
+
+function showPackagingProblems(result) {
+  lintDiagnostics = result.diagnostics;
+  updateProblemsView();
+  problemsPanel.style.display = 'flex';
+  showNotification(`Fix ${result.errorCount} problem(s) before packaging`, 'error');
+}
+
+// Export: save packages somewhere permanent instead of the temp folder
+exportBtn.addEventListener('click', async () => {
+  if (!currentSkill) return;
+
+  if (!await saveBeforeDiskAction('Exporting', currentSkillDir)) return;
+  const result = await window.electronAPI.exportPackage({
+    skillPath: currentSkill.path,
+    reproducible: isReproducibleBuild()
+  });
+
+  if (result.success) {
+    showNotification(`Exported to ${result.filePath} (SHA-256 ${result.sha256.substring(0, 12)}…)`, 'success');
+  } else if (result.diagnostics) {
+    showPackagingProblems(result);
+  } else if (!result.canceled) {
+    showNotification(result.error || 'Failed to export package', 'error');
+  }
+});
+
+exportSkillsBtn.addEventListener('click', async () => {
+  if (!await saveBeforeDiskAction('Exporting')) return;
+
+  const skills = await window.electronAPI.listSkills();
+  if (skills.length === 0) {
+    showNotification('No skills to export', 'error');
+    return;
+  }
+
+  exportSkillsList.innerHTML = '';
+  const addOption = (labelText, className) => {
+    const label = document.createElement('label');
+    label.className = className;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    const text = document.createElement('span');
+    text.textContent = labelText;
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    exportSkillsList.appendChild(label);
+    return checkbox;
+  };
+
+  const selectAll = addOption('Whole library', 'export-skill-item select-all');
+  const skillBoxes = skills.map(skill => {
+    const checkbox = addOption(skill.name, 'export-skill-item');
+    checkbox.dataset.skillPath = skill.path;
+    checkbox.addEventListener('change', () => {
+      selectAll.checked = skillBoxes.every(box => box.checked);
+    });
+    return checkbox;
+  });
+  selectAll.addEventListener('change', () => {
+    skillBoxes.forEach(box => { box.checked = selectAll.checked; });
+  });
+
+  exportSkillsModal.classList.add('active');
+});
+
+exportSkillsCancelBtn.addEventListener('click', () => {
+  exportSkillsModal.classList.remove('active');
+});
+
+exportSkillsConfirmBtn.addEventListener('click', async () => {
+  const boxes = Array.from(exportSkillsList.querySelectorAll('input[data-skill-path]'));
+  const selected = boxes.filter(box => box.checked).map(box => box.dataset.skillPath);
+  if (selected.length === 0) {
+    showNotification('Select at least one skill', 'error');
+    return;
+  }
+
+  exportSkillsModal.classList.remove('active');
+  // Everything selected means the whole library
+  const result = await window.electronAPI.exportPackages({
+    ...(selected.length === boxes.length ? {} : { skillPaths: selected }),
+    reproducible: isReproducibleBuild()
+  });
+
+  if (!result.success) {
+    if (!result.canceled) {
+      showNotification(result.error || 'Failed to export packages', 'error');
+    }
+    return;
+  }
+
+  if (result.failed.length > 0) {
+    const names = result.failed.map(failure => `${failure.name} (${failure.error})`).join(', ');
+    showNotification(`Exported ${result.exported.length} skill(s); skipped ${names}`, 'error');
   } else {
-    showNotification('Failed to create package', 'error');
+    const renamed = result.exported.filter(entry => entry.fileName !== `${entry.name}.zip`);
+    const renamedNote = renamed.length > 0
+      ? ` (kept existing packages; saved ${renamed.map(entry => entry.fileName).join(', ')})`
+      : '';
+    showNotification(`Exported ${result.exported.length} skill(s) to ${result.folderPath}${renamedNote}`, 'success');
+  }
+});
+
+function activatePackageDragZone() {
+  dragZone.classList.add('active');
+  showNotification('Package created! Drag to Claude Desktop to install', 'success');
+}
+
+// Package report: what went into the ZIP, shown before the drag zone turns on. The size
+// threshold follows the report's input as it is typed and is saved to preferences on change.
+const PACKAGE_REPORT_LARGEST_COUNT = 3;
+
+function getPackageSizeThreshold() {
+  const value = parseFloat(packageReportThreshold.value);
+  return Number.isFinite(value) && value >= 0 ? value : appSettings.packaging.sizeThresholdMb;
+}
+
+function showPackageReport(manifest, sha256, reproducible) {
+  packageManifest = manifest;
+  packageReportSkillName.textContent = currentSkill.name;
+  packageReportHash.textContent = `SHA-256 ${sha256}${reproducible ? ' (reproducible build)' : ''}`;
+  packageReportThreshold.value = appSettings.packaging.sizeThresholdMb;
+  renderPackageReport();
+  packageReportModal.classList.add('active');
+}
+
+function closePackageReport() {
+  packageReportModal.classList.remove('active');
+  packageManifest = null;
+}
+
+function renderPackageReport() {
+  if (!packageManifest) return;
+
+  const thresholdBytes = getPackageSizeThreshold() * 1024 * 1024;
+  const entries = [...packageManifest.entries].sort((a, b) => b.size - a.size);
+  const largest = new Set(entries.slice(0, PACKAGE_REPORT_LARGEST_COUNT).filter(entry => entry.size > 0));
+
+  packageReportSummary.textContent = `${entries.length} file(s): ${formatFileSize(packageManifest.totalSize)} uncompressed, ` +
+    `${formatFileSize(packageManifest.totalCompressedSize)} compressed (${formatFileSize(packageManifest.zipSize)} ZIP)`;
+  packageReportRows.innerHTML = '';
+
+  entries.forEach(entry => {
+    const flags = [];
+    if (largest.has(entry)) flags.push('largest');
+    if (entry.fileType === 'binary') flags.push('unrecognised binary');
+    if (entry.size > thresholdBytes) flags.push('over threshold');
+
+    const row = document.createElement('tr');
+    if (flags.length > 1 || (flags.length === 1 && flags[0] !== 'largest')) {
+      row.className = 'flagged';
+    }
+
+    const cells = [
+      { text: entry.path },
+      { text: entry.fileType },
+      { text: formatFileSize(entry.size), numeric: true },
+      { text: formatFileSize(entry.compressedSize), numeric: true }
+    ];
+    cells.forEach(cell => {
+      const td = document.createElement('td');
+      td.textContent = cell.text;
+      if (cell.numeric) td.className = 'numeric';
+      row.appendChild(td);
+    });
+
+    const flagCell = document.createElement('td');
+    flags.forEach(flag => {
+      const badge = document.createElement('span');
+      badge.className = 'package-flag';
+      badge.textContent = flag;
+      flagCell.appendChild(badge);
+    });
+    row.appendChild(flagCell);
+
+    packageReportRows.appendChild(row);
+  });
+}
+
+packageReportThreshold.addEventListener('input', renderPackageReport);
+packageReportThreshold.addEventListener('change', () => {
+  const value = parseFloat(packageReportThreshold.value);
+  if (Number.isFinite(value) && value >= 0) {
+    updateSettings('packaging', { sizeThresholdMb: Math.min(value, Number(packageReportThreshold.max)) });
+  }
+});
+
+packageReportCancelBtn.addEventListener('click', () => {
+  closePackageReport();
+});
+
+packageReportConfirmBtn.addEventListener('click', () => {
+  closePackageReport();
+  activatePackageDragZone();
+});
+
+// Package preview: exactly what Package & Install would ship
+async function openPackagePreview() {
+  if (!currentSkill) return;
+
+  await autoSave();
+  const result = await window.electronAPI.previewPackage({ skillPath: currentSkill.path });
+  if (!result.success) {
+    showNotification(result.error, 'error');
+    return;
+  }
+
+  packagePreviewSkillName.textContent = currentSkill.name;
+  packagePreviewSummary.textContent = `${result.included.length} file(s), ${formatFileSize(result.totalSize)}` +
+    (result.excluded.length > 0 ? `; ${result.excluded.length} item(s) left out by .skillignore` : '');
+  packagePreviewIgnoreBtn.textContent = result.hasIgnoreFile ? 'Edit .skillignore' : 'Create .skillignore';
+  packagePreviewList.innerHTML = '';
+
+  const addRow = (text, detail, excluded) => {
+    const row = document.createElement('div');
+    row.className = excluded ? 'package-preview-item excluded' : 'package-preview-item';
+
+    const name = document.createElement('span');
+    name.textContent = text;
+
+    const size = document.createElement('span');
+    size.className = 'package-preview-size';
+    size.textContent = detail;
+
+    row.appendChild(name);
+    row.appendChild(size);
+    packagePreviewList.appendChild(row);
+  };
+
+  result.included.forEach(file => addRow(file.path, formatFileSize(file.size), false));
+  result.excluded.forEach(entry => addRow(entry.type === 'folder' ? `${entry.path}/` : entry.path, 'excluded', true));
+
+  packagePreviewModal.classList.add('active');
+}
+
+packagePreviewBtn.addEventListener('click', () => {
+  openPackagePreview();
+});
+
+packagePreviewCloseBtn.addEventListener('click', () => {
+  packagePreviewModal.classList.remove('active');
+});
+
+packagePreviewIgnoreBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.createSkillIgnore({ skillPath: currentSkill.path });
+  if (!result.success) {
+    showNotification(result.error, 'error');
+    return;
   }
+
+  packagePreviewModal.classList.remove('active');
+  await loadFileTree();
+  await loadFileFromTree(result.path);
+});
+
+packagePreviewConfirmBtn.addEventListener('click', () => {
+  packagePreviewModal.classList.remove('active');
+  packageBtn.click();
 });
 
 deleteBtn.addEventListener('click', async () => {
@@ -757,10 +1311,11 @@ deleteConfirmBtn.addEventListener('click', async () => {
 
   if (result.success) {
     // Clear editor state
+    const deletedSkillDir = currentSkillDir;
+    await closeTabs(tab => tab.skillDir === deletedSkillDir, { save: false, activateNext: false });
     currentSkill = null;
     currentSkillItem = null;
     currentFileTreeContainer = null;
-    setEditorContent('');
     document.getElementById('editor').style.display = 'none';
     fileNotEditablePlaceholder.style.display = 'none';
     emptyState.style.display = 'flex';
@@ -768,167 +1323,642 @@ deleteConfirmBtn.addEventListener('click', async () => {
     packageBtn.disabled = true;
     deleteBtn.disabled = true;
     deactivateDragZone();
+    runSkillLint();
+    scheduleWorkspaceSave();
 
     // Reload skills list
     await loadSkills();
 
     // Show success notification
-    showNotification(`Skill deleted successfully`, 'success');
+    showNotification('Skill moved to the Trash', 'success');
   } else {
     showNotification(`Failed to delete skill: ${result.error || 'Unknown error'}`, 'error');
   }
 });
 
-// Native file drag functionality using Electron API
-dragZone.addEventListener('dragstart', (e) => {
-  if (!zipPath) {
-    e.preventDefault();
+// Trash
+let trashEntries = [];
+
+async function openTrashModal() {
+  const result = await window.electronAPI.listTrash();
+  if (!result.success) {
+    showNotification(`Failed to open the Trash: ${result.error || 'Unknown error'}`, 'error');
     return;
   }
 
-  e.preventDefault();
+  trashEntries = result.entries;
+  trashPurgeDays.value = String(appSettings.trash.autoPurgeDays);
+  renderTrash();
+  trashModal.classList.add('active');
+}
 
-  if (e.dataTransfer) {
-    e.dataTransfer.effectAllowed = 'copy';
-    e.dataTransfer.setData('text/plain', currentSkill ? currentSkill.name : 'skill-package');
+function closeTrashModal() {
+  trashModal.classList.remove('active');
+}
+
+function renderTrash() {
+  trashRows.innerHTML = '';
+  trashEmptyBtn.disabled = trashEntries.length === 0;
+  disarmEmptyTrash();
+
+  if (trashEntries.length === 0) {
+    const row = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 5;
+    td.textContent = 'The Trash is empty';
+    row.appendChild(td);
+    trashRows.appendChild(row);
+    return;
   }
 
-  // Initiate native file drag operation through Electron
-  // Browser's drag gesture continues while IPC message triggers native drag
-  window.electronAPI.startDrag(zipPath, currentSkill ? currentSkill.name : 'skill');
-});
+  trashEntries.forEach(entry => {
+    const row = document.createElement('tr');
+
+    const itemCell = document.createElement('td');
+    itemCell.textContent = entry.type === 'skill' ? entry.skill : entry.path;
+    const type = document.createElement('span');
+    type.className = 'trash-type';
+    type.textContent = entry.type;
+    itemCell.appendChild(type);
+    row.appendChild(itemCell);
+
+    const cells = [
+      { text: entry.type === 'skill' ? '' : entry.skill },
+      { text: new Date(entry.deletedAt).toLocaleString() },
+      { text: formatFileSize(entry.size), numeric: true }
+    ];
+    cells.forEach(cell => {
+      const td = document.createElement('td');
+      td.textContent = cell.text;
+      if (cell.numeric) td.className = 'numeric';
+      row.appendChild(td);
+    });
 
-dragZone.addEventListener('dragend', (e) => {
-  setTimeout(() => {
-    deactivateDragZone();
-    showNotification('Skill package ready to install in Claude Desktop', 'success');
-  }, 100);
-});
+    const actionsCell = document.createElement('td');
+    const actions = document.createElement('div');
+    actions.className = 'trash-actions';
 
-// Listen for drag errors from main process
-window.electronAPI.onDragError((message) => {
-  showNotification(`Drag failed: ${message}`, 'error');
-});
+    const restoreButton = document.createElement('button');
+    restoreButton.className = 'btn-small btn-toolbar';
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', () => restoreTrashEntry(entry));
 
-// Functions
-async function loadSkills() {
-  const rawSkills = await window.electronAPI.listSkills();
-  const skills = rawSkills.map(skill => ({
-    ...skill,
-    path: normalizePath(skill.path)
-  }));
-  const activeSkillPath = currentSkill ? normalizePath(currentSkill.path) : null;
+    const purgeButton = document.createElement('button');
+    purgeButton.className = 'btn-small btn-delete';
+    purgeButton.textContent = 'Delete Forever';
+    purgeButton.addEventListener('click', () => purgeTrash(entry));
 
-  skillsList.innerHTML = '';
+    actions.append(restoreButton, purgeButton);
+    actionsCell.appendChild(actions);
+    row.appendChild(actionsCell);
 
-  skills.forEach(skill => {
-    const item = document.createElement('div');
-    item.className = 'skill-item';
-    item.dataset.skillPath = skill.path;
+    trashRows.appendChild(row);
+  });
+}
 
-    const header = document.createElement('div');
-    header.className = 'skill-header';
+async function restoreTrashEntry(entry) {
+  const result = await window.electronAPI.restoreFromTrash({ id: entry.id });
+  if (!result.success) {
+    showNotification(`Failed to restore: ${result.error || 'Unknown error'}`, 'error');
+    return;
+  }
 
-    const headerText = document.createElement('div');
-    headerText.className = 'skill-header-text';
+  trashEntries = trashEntries.filter(other => other.id !== entry.id);
+  renderTrash();
 
-    const nameDiv = document.createElement('div');
-    nameDiv.className = 'skill-name';
-    nameDiv.textContent = skill.name;
+  if (result.skill) {
+    await loadSkills();
+    showNotification(`Restored skill ${result.skill.name}`, 'success');
+    return;
+  }
 
-    const descDiv = document.createElement('div');
-    descDiv.className = 'skill-desc';
-    descDiv.textContent = skill.description || '';
+  if (currentSkill && currentSkill.name === entry.skill) {
+    await loadFileTree();
+  }
+  showNotification(`Restored ${result.path} in ${entry.skill}`, 'success');
+}
 
-    headerText.appendChild(nameDiv);
-    headerText.appendChild(descDiv);
+// Permanently delete one entry, or everything when no entry is given
+async function purgeTrash(entry = null) {
+  const result = await window.electronAPI.purgeTrash(entry ? { id: entry.id } : {});
+  if (!result.success) {
+    showNotification(`Failed to empty the Trash: ${result.error || 'Unknown error'}`, 'error');
+    return;
+  }
 
-    const toggle = document.createElement('span');
-    toggle.className = 'skill-toggle';
-    toggle.textContent = '▸';
+  trashEntries = entry ? trashEntries.filter(other => other.id !== entry.id) : [];
+  renderTrash();
+}
 
-    header.appendChild(headerText);
-    header.appendChild(toggle);
+trashPurgeDays.addEventListener('change', async () => {
+  const days = parseInt(trashPurgeDays.value, 10);
+  if (!Number.isInteger(days) || days < 0) {
+    showNotification('Enter a number of days, or 0 to keep items until you empty the Trash', 'error');
+    return;
+  }
 
-    const details = document.createElement('div');
-    details.className = 'skill-details';
+  if (!await updateSettings('trash', { autoPurgeDays: Math.min(days, Number(trashPurgeDays.max)) })) {
+    return;
+  }
 
-    const actions = document.createElement('div');
-    actions.className = 'file-tree-actions';
+  // Items older than the new limit are purged right away
+  const listed = await window.electronAPI.listTrash();
+  if (listed.success) {
+    trashEntries = listed.entries;
+    renderTrash();
+  }
+});
 
-    const newFileButton = document.createElement('button');
-    newFileButton.className = 'btn-small btn-icon';
-    newFileButton.title = 'Create new file';
-    newFileButton.textContent = '📄 New File';
-    newFileButton.addEventListener('click', (event) => {
-      event.stopPropagation();
-      if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
-        return;
-      }
-      contextMenuTarget = null;
-      openCreateItemModal('file');
-    });
+trashBtn.addEventListener('click', openTrashModal);
+trashCloseBtn.addEventListener('click', closeTrashModal);
+// Emptying the Trash can't be undone, so the button asks for a second click
+function disarmEmptyTrash() {
+  delete trashEmptyBtn.dataset.armed;
+  trashEmptyBtn.textContent = 'Empty Trash';
+}
 
-    const newFolderButton = document.createElement('button');
-    newFolderButton.className = 'btn-small btn-icon';
-    newFolderButton.title = 'Create new folder';
-    newFolderButton.textContent = '📁 New Folder';
-    newFolderButton.addEventListener('click', (event) => {
-      event.stopPropagation();
-      if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
-        return;
-      }
-      contextMenuTarget = null;
-      openCreateItemModal('folder');
-    });
+trashEmptyBtn.addEventListener('click', () => {
+  if (!trashEmptyBtn.dataset.armed) {
+    trashEmptyBtn.dataset.armed = 'true';
+    trashEmptyBtn.textContent = `Delete ${trashEntries.length} Item(s) Forever`;
+    return;
+  }
+  purgeTrash();
+});
 
-    const uploadButton = document.createElement('button');
-    uploadButton.className = 'btn-small btn-icon';
-    uploadButton.title = 'Upload files';
-    uploadButton.textContent = '📤 Upload';
-    uploadButton.addEventListener('click', (event) => {
-      event.stopPropagation();
-      if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
-        return;
+// Preferences: stored by the main process in settings.json. Editor options and autosave
+// apply as soon as they are saved; file settings refresh the open file tree.
+let settingsDefaults = null;
+
+async function loadSettings() {
+  const result = await window.electronAPI.getSettings();
+  appSettings = result.settings;
+  settingsDefaults = result.defaults;
+  skillFilter = { ...appSettings.library };
+  showReproducibleSetting();
+}
+
+// Settings changed from their own controls (preview button, package options, Trash) are
+// saved to the same store as the Preferences window
+async function updateSettings(section, values) {
+  const result = await window.electronAPI.saveSettings({ ...appSettings, [section]: { ...appSettings[section], ...values } });
+  if (!result.success) {
+    showNotification(`Failed to save preferences: ${result.error}`, 'error');
+    return false;
+  }
+  appSettings = result.settings;
+  return true;
+}
+
+function getEditorFontOptions() {
+  const options = appSettings.editor;
+  return {
+    fontFamily: options.fontFamily,
+    fontSize: options.fontSize,
+    lineHeight: options.lineHeight,
+    wordWrap: options.wordWrap ? 'on' : 'off'
+  };
+}
+
+function getEditorOptions() {
+  const options = appSettings.editor;
+  const suggestions = options.suggestions;
+  return {
+    ...getEditorFontOptions(),
+    lineNumbers: options.lineNumbers ? 'on' : 'off',
+    minimap: { enabled: options.minimap },
+    suggest: { enabled: suggestions },
+    quickSuggestions: suggestions,
+    tabCompletion: suggestions ? 'on' : 'off',
+    wordBasedSuggestions: suggestions ? 'currentDocument' : 'off',
+    acceptSuggestionOnEnter: suggestions ? 'on' : 'off',
+    acceptSuggestionOnCommitCharacter: suggestions,
+    parameterHints: { enabled: suggestions }
+  };
+}
+
+function fillPreferencesForm(settings) {
+  prefFontFamily.value = settings.editor.fontFamily;
+  prefFontSize.value = settings.editor.fontSize;
+  prefLineHeight.value = settings.editor.lineHeight;
+  prefWordWrap.checked = settings.editor.wordWrap;
+  prefLineNumbers.checked = settings.editor.lineNumbers;
+  prefMinimap.checked = settings.editor.minimap;
+  prefSuggestions.checked = settings.editor.suggestions;
+  prefMarkdownPreview.checked = settings.editor.markdownPreview;
+  prefAutosave.checked = settings.autosave.enabled;
+  prefAutosaveDelay.value = settings.autosave.debounceMs;
+  prefAutosaveDelay.disabled = !settings.autosave.enabled;
+  prefCompressionLevel.value = settings.packaging.compressionLevel;
+  prefReproducible.checked = settings.packaging.reproducible;
+  prefPackageSizeThreshold.value = settings.packaging.sizeThresholdMb;
+  prefMaxFileSize.value = settings.files.maxFileSizeMb;
+  prefEditableExtensions.value = settings.files.editableExtensions.join(' ');
+  prefTrashPurgeDays.value = settings.trash.autoPurgeDays;
+}
+
+// Out-of-range numbers are clamped to what the settings store accepts. Inputs with a whole
+// step are rounded.
+function readNumberInput(input, fallback) {
+  const value = Number.isInteger(Number(input.step)) ? Math.round(Number(input.value)) : Number(input.value);
+  if (input.value.trim() === '' || !Number.isFinite(value)) return fallback;
+  return Math.min(Math.max(value, Number(input.min)), Number(input.max));
+}
+
+function readPreferencesForm() {
+  const extensions = prefEditableExtensions.value
+    .split(/[\s,]+/)
+    .map(extension => extension.trim().toLowerCase())
+    .filter(Boolean)
+    .map(extension => (extension.startsWith('.') ? extension : `.${extension}`))
+    .filter(extension => /^\.[a-z0-9_+-]+$/.test(extension));
+
+  return {
+    editor: {
+      fontFamily: prefFontFamily.value.trim() || settingsDefaults.editor.fontFamily,
+      fontSize: readNumberInput(prefFontSize, settingsDefaults.editor.fontSize),
+      lineHeight: readNumberInput(prefLineHeight, settingsDefaults.editor.lineHeight),
+      wordWrap: prefWordWrap.checked,
+      lineNumbers: prefLineNumbers.checked,
+      minimap: prefMinimap.checked,
+      suggestions: prefSuggestions.checked,
+      markdownPreview: prefMarkdownPreview.checked
+    },
+    autosave: {
+      enabled: prefAutosave.checked,
+      debounceMs: readNumberInput(prefAutosaveDelay, settingsDefaults.autosave.debounceMs)
+    },
+    packaging: {
+      compressionLevel: readNumberInput(prefCompressionLevel, settingsDefaults.packaging.compressionLevel),
+      reproducible: prefReproducible.checked,
+      sizeThresholdMb: readNumberInput(prefPackageSizeThreshold, settingsDefaults.packaging.sizeThresholdMb)
+    },
+    files: {
+      maxFileSizeMb: readNumberInput(prefMaxFileSize, settingsDefaults.files.maxFileSizeMb),
+      editableExtensions: extensions
+    },
+    trash: {
+      autoPurgeDays: readNumberInput(prefTrashPurgeDays, settingsDefaults.trash.autoPurgeDays)
+    },
+    library: appSettings.library
+  };
+}
+
+function openPreferencesModal() {
+  if (!appSettings) return;
+  fillPreferencesForm(appSettings);
+  preferencesModal.classList.add('active');
+  prefFontFamily.focus();
+}
+
+function closePreferencesModal() {
+  preferencesModal.classList.remove('active');
+}
+
+async function savePreferences() {
+  const previous = appSettings;
+  const result = await window.electronAPI.saveSettings(readPreferencesForm());
+  if (!result.success) {
+    showNotification(`Failed to save preferences: ${result.error}`, 'error');
+    return;
+  }
+
+  appSettings = result.settings;
+  closePreferencesModal();
+
+  if (editor) {
+    editor.updateOptions(getEditorOptions());
+  }
+  showReproducibleSetting();
+  refreshMarkdownPreview();
+
+  if (appSettings.autosave.enabled && !previous.autosave.enabled) {
+    // Edits made while autosave was off are saved now
+    await autoSave();
+  } else if (!appSettings.autosave.enabled) {
+    openTabs.forEach(tab => {
+      if (tab.saveTimer) {
+        clearTimeout(tab.saveTimer);
+        tab.saveTimer = null;
       }
-      contextMenuTarget = null;
-      triggerFileUpload();
     });
+  }
 
-    actions.appendChild(newFileButton);
-    actions.appendChild(newFolderButton);
-    actions.appendChild(uploadButton);
+  if (JSON.stringify(appSettings.files) !== JSON.stringify(previous.files) && currentSkill) {
+    await loadFileTree();
+  }
 
-    const treeContainer = document.createElement('div');
-    treeContainer.className = 'file-tree';
-    treeContainer.setAttribute('data-skill-path', skill.path);
+  showNotification('Preferences saved', 'success');
+}
 
-    details.appendChild(treeContainer);
-    details.appendChild(actions);
+// Ctrl+S: save the file in the active tab now, whether or not autosave is on
+async function saveActiveTab() {
+  if (!activeTab) return;
 
-    item.appendChild(header);
-    item.appendChild(details);
+  await flushFrontmatterForm();
+  await saveTab(activeTab);
+}
 
-    const selectSkill = async () => {
-      if (currentSkill && normalizePath(currentSkill.path) === skill.path && item.classList.contains('expanded')) {
-        return;
-      }
-      await loadSkill(skill, item);
-    };
+preferencesBtn.addEventListener('click', openPreferencesModal);
+preferencesCancelBtn.addEventListener('click', closePreferencesModal);
+preferencesSaveBtn.addEventListener('click', savePreferences);
+preferencesDefaultsBtn.addEventListener('click', () => {
+  fillPreferencesForm(settingsDefaults);
+});
+prefAutosave.addEventListener('change', () => {
+  prefAutosaveDelay.disabled = !prefAutosave.checked;
+});
 
-    header.addEventListener('click', async (event) => {
-      event.stopPropagation();
-      await selectSkill();
-    });
+// With autosave off, closing the window with unsaved edits asks first (see main.js)
+window.addEventListener('beforeunload', (event) => {
+  if (appSettings && !appSettings.autosave.enabled && openTabs.some(tab => tab.dirty)) {
+    event.preventDefault();
+    event.returnValue = '';
+  }
+});
 
-    toggle.addEventListener('click', async (event) => {
-      event.stopPropagation();
-      await selectSkill();
-    });
+// Rename and duplicate skills. The sidebar entry is replaced or added in place.
+let skillNameMode = 'rename';
+
+function openSkillNameModal(mode) {
+  if (!currentSkill) return;
+
+  skillNameMode = mode;
+  skillNameModalTitle.textContent = mode === 'rename' ? 'Rename Skill' : 'Duplicate Skill';
+  skillNameConfirmBtn.textContent = mode === 'rename' ? 'Rename' : 'Duplicate';
+  skillNameInputField.value = mode === 'rename' ? currentSkill.name : `${currentSkill.name}-copy`;
+  skillNameModal.classList.add('active');
+  skillNameInputField.focus();
+  skillNameInputField.select();
+}
 
+function closeSkillNameModal() {
+  skillNameModal.classList.remove('active');
+  skillNameInputField.value = '';
+}
+
+async function renameCurrentSkill(newName) {
+  const result = await window.electronAPI.renameSkill({ skillPath: currentSkill.path, newName });
+  if (!result.success) {
+    showNotification(`Failed to rename skill: ${result.error || 'Unknown error'}`, 'error');
+    return;
+  }
+
+  const oldPath = normalizePath(currentSkill.path);
+  const skill = { ...result.skill, path: normalizePath(result.skill.path) };
+  librarySkills = librarySkills.filter(entry => entry.path !== oldPath).concat(skill);
+
+  const item = createSkillItem(skill);
+  const oldItem = findSkillItemElement(oldPath);
+  if (oldItem) {
+    oldItem.replaceWith(item);
+  } else {
     skillsList.appendChild(item);
+  }
+
+  const oldSkillName = getCurrentSkillName();
+  currentSkill = { ...skill };
+  currentSkillDir = getParentDirectory(skill.path);
+  currentSkillItem = null;
+  retargetSkillTabs(oldPath, skill);
+  if (collapsedFolders[oldSkillName]) {
+    collapsedFolders[getCurrentSkillName()] = collapsedFolders[oldSkillName];
+    delete collapsedFolders[oldSkillName];
+  }
+  scheduleWorkspaceSave();
+  editorTitle.textContent = currentFile ? `${skill.name} / ${currentFile.name}` : skill.name;
+  expandSkillItem(item);
+  applySkillFilter();
+  refreshInstalledSkills();
+  await loadFileTree();
+  await reloadOpenFileIfChanged(['SKILL.md']);
+
+  const suffixed = skill.name !== newName.trim() ? ` (${newName.trim()} was taken or not a valid name)` : '';
+  if (result.unlinked.length > 0) {
+    showNotification(`Skill renamed to ${skill.name}${suffixed}, but its symlink in ${result.unlinked.join(', ')} still uses the old name; install it there again`, 'error');
+    return;
+  }
+  const relinked = result.relinked.length > 0 ? `; symlink installs updated in ${result.relinked.join(', ')}` : '';
+  showNotification(`Skill renamed to ${skill.name}${suffixed}${relinked}`, 'success');
+}
+
+async function duplicateCurrentSkill(newName) {
+  const result = await window.electronAPI.duplicateSkill({ skillPath: currentSkill.path, newName });
+  if (!result.success) {
+    showNotification(`Failed to duplicate skill: ${result.error || 'Unknown error'}`, 'error');
+    return;
+  }
+
+  const sourceName = currentSkill.name;
+  const skill = { ...result.skill, path: normalizePath(result.skill.path) };
+  librarySkills = librarySkills.concat(skill);
+
+  const item = createSkillItem(skill);
+  skillsList.appendChild(item);
+  applySkillFilter();
+  await loadSkill(skill, item);
+
+  showNotification(`Created ${skill.name} from ${sourceName}`, 'success');
+}
+
+skillNameConfirmBtn.addEventListener('click', async () => {
+  const newName = skillNameInputField.value.trim();
+  if (!currentSkill || !newName) {
+    showNotification('Please enter a skill name', 'error');
+    return;
+  }
+
+  closeSkillNameModal();
+  await autoSave();
+
+  if (skillNameMode === 'rename') {
+    await renameCurrentSkill(newName);
+  } else {
+    await duplicateCurrentSkill(newName);
+  }
+});
+
+skillNameCancelBtn.addEventListener('click', closeSkillNameModal);
+renameSkillBtn.addEventListener('click', () => openSkillNameModal('rename'));
+duplicateSkillBtn.addEventListener('click', () => openSkillNameModal('duplicate'));
+
+// Native file drag functionality using Electron API
+dragZone.addEventListener('dragstart', (e) => {
+  if (!zipPath) {
+    e.preventDefault();
+    return;
+  }
+
+  e.preventDefault();
+
+  if (e.dataTransfer) {
+    e.dataTransfer.effectAllowed = 'copy';
+    e.dataTransfer.setData('text/plain', currentSkill ? currentSkill.name : 'skill-package');
+  }
+
+  // Initiate native file drag operation through Electron
+  // Browser's drag gesture continues while IPC message triggers native drag
+  window.electronAPI.startDrag(zipPath, currentSkill ? currentSkill.name : 'skill');
+});
+
+dragZone.addEventListener('dragend', (e) => {
+  setTimeout(() => {
+    deactivateDragZone();
+    showNotification('Skill package ready to install in Claude Desktop', 'success');
+  }, 100);
+});
+
+// Listen for drag errors from main process
+window.electronAPI.onDragError((message) => {
+  showNotification(`Drag failed: ${message}`, 'error');
+});
+
+// External changes to the skills directory
+window.electronAPI.onSkillsChanged(({ changes }) => {
+  handleSkillsChanged(changes);
+});
+
+// Functions
+// Sidebar element for one skill: header with name, description and tags, plus the
+// file tree and actions shown while it is open
+function createSkillItem(skill) {
+  const item = document.createElement('div');
+  item.className = 'skill-item';
+  item.dataset.skillPath = skill.path;
+
+  const header = document.createElement('div');
+  header.className = 'skill-header';
+
+  const headerText = document.createElement('div');
+  headerText.className = 'skill-header-text';
+
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'skill-name';
+  nameDiv.textContent = skill.name;
+
+  const descDiv = document.createElement('div');
+  descDiv.className = 'skill-desc';
+  descDiv.textContent = skill.description || '';
+
+  headerText.appendChild(nameDiv);
+  headerText.appendChild(descDiv);
+  renderSkillTags(headerText, skill.tags);
+
+  const toggle = document.createElement('span');
+  toggle.className = 'skill-toggle';
+  toggle.textContent = '▸';
+
+  header.appendChild(headerText);
+  header.appendChild(toggle);
+
+  const details = document.createElement('div');
+  details.className = 'skill-details';
+
+  const actions = document.createElement('div');
+  actions.className = 'file-tree-actions';
+
+  const newFileButton = document.createElement('button');
+  newFileButton.className = 'btn-small btn-icon';
+  newFileButton.title = 'Create new file';
+  newFileButton.textContent = '📄 New File';
+  newFileButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
+      return;
+    }
+    contextMenuTarget = null;
+    runCommand('new-file');
+  });
+
+  const newFolderButton = document.createElement('button');
+  newFolderButton.className = 'btn-small btn-icon';
+  newFolderButton.title = 'Create new folder';
+  newFolderButton.textContent = '📁 New Folder';
+  newFolderButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
+      return;
+    }
+    contextMenuTarget = null;
+    runCommand('new-folder');
+  });
+
+  const uploadButton = document.createElement('button');
+  uploadButton.className = 'btn-small btn-icon';
+  uploadButton.title = 'Upload files';
+  uploadButton.textContent = '📤 Upload';
+  uploadButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    if (!currentSkill || normalizePath(currentSkill.path) !== skill.path) {
+      return;
+    }
+    contextMenuTarget = null;
+    runCommand('upload-files');
+  });
+
+  actions.appendChild(newFileButton);
+  actions.appendChild(newFolderButton);
+  actions.appendChild(uploadButton);
+
+  const treeContainer = document.createElement('div');
+  treeContainer.className = 'file-tree';
+  treeContainer.setAttribute('data-skill-path', skill.path);
+
+  details.appendChild(treeContainer);
+  details.appendChild(actions);
+
+  item.appendChild(header);
+  item.appendChild(details);
+
+  const selectSkill = async () => {
+    if (currentSkill && normalizePath(currentSkill.path) === skill.path && item.classList.contains('expanded')) {
+      return;
+    }
+    await loadSkill(skill, item);
+  };
+
+  header.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    await selectSkill();
+  });
+
+  toggle.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    await selectSkill();
+  });
+
+  return item;
+}
+
+async function loadSkills() {
+  const rawSkills = await window.electronAPI.listSkills();
+  const skills = rawSkills.map(skill => ({
+    ...skill,
+    path: normalizePath(skill.path)
+  }));
+  const activeSkillPath = currentSkill ? normalizePath(currentSkill.path) : null;
+  // Install states only need hashing again when skills were added, removed or renamed
+  const skillsAddedOrRemoved = skills.map(skill => skill.path).sort().join('\n') !==
+    librarySkills.map(skill => skill.path).sort().join('\n');
+  librarySkills = skills;
+  // Forget removed skills, so one created again under the same name is listed afresh
+  [...paletteFileCache.keys()].forEach(skillPath => {
+    if (!skills.some(skill => skill.path === skillPath)) paletteFileCache.delete(skillPath);
+  });
+
+  skillsList.innerHTML = '';
+
+  [...skills].sort(compareSkills).forEach(skill => {
+    skillsList.appendChild(createSkillItem(skill));
   });
 
+  applySkillFilter();
+  if (skillsAddedOrRemoved) {
+    refreshInstalledSkills();
+  } else {
+    decorateInstalledSkills();
+  }
+
   if (activeSkillPath) {
     const activeItem = findSkillItemElement(activeSkillPath);
     if (activeItem) {
@@ -943,6 +1973,148 @@ async function loadSkills() {
   return skills;
 }
 
+// Sidebar filter: text matched against name and description, a sort order and selected
+// tags. Saved in the settings store (library) so it survives restarts.
+const SKILL_FILTER_SAVE_DEBOUNCE_MS = 500;
+let skillFilter = { text: '', sort: 'name', tags: [] }; // Replaced by the saved filter in loadSettings
+let skillFilterSaveTimer = null;
+
+function updateSkillFilter(changes) {
+  skillFilter = { ...skillFilter, ...changes };
+  applySkillFilter();
+
+  // Typing in the filter box would otherwise write settings.json on every key
+  if (skillFilterSaveTimer) {
+    clearTimeout(skillFilterSaveTimer);
+  }
+  skillFilterSaveTimer = setTimeout(() => {
+    skillFilterSaveTimer = null;
+    updateSettings('library', skillFilter);
+  }, SKILL_FILTER_SAVE_DEBOUNCE_MS);
+}
+
+// Newest and biggest first; ties fall back to the name
+function compareSkills(a, b) {
+  if (skillFilter.sort === 'modified' && a.modified !== b.modified) {
+    return (b.modified || 0) - (a.modified || 0);
+  }
+  if (skillFilter.sort === 'size' && a.size !== b.size) {
+    return (b.size || 0) - (a.size || 0);
+  }
+  return a.name.localeCompare(b.name);
+}
+
+function skillMatchesFilter(skill) {
+  const text = skillFilter.text.trim().toLowerCase();
+  if (text && !skill.name.toLowerCase().includes(text) &&
+    !(skill.description || '').toLowerCase().includes(text)) {
+    return false;
+  }
+  return skillFilter.tags.every(tag => (skill.tags || []).includes(tag));
+}
+
+function toggleTagFilter(tag) {
+  const tags = skillFilter.tags.includes(tag)
+    ? skillFilter.tags.filter(selected => selected !== tag)
+    : [...skillFilter.tags, tag];
+  updateSkillFilter({ tags });
+}
+
+function createTagChip(tag, count = null) {
+  const chip = document.createElement('span');
+  chip.className = 'skill-tag';
+  chip.classList.toggle('selected', skillFilter.tags.includes(tag));
+  chip.dataset.tag = tag;
+  chip.textContent = count === null ? tag : `${tag} ${count}`;
+  chip.title = skillFilter.tags.includes(tag) ? 'Stop filtering by this tag' : 'Show only skills with this tag';
+  chip.addEventListener('click', (event) => {
+    event.stopPropagation();
+    toggleTagFilter(tag);
+  });
+  return chip;
+}
+
+// Tag chips under a skill's description in the sidebar
+function renderSkillTags(headerText, tags) {
+  const existing = headerText.querySelector('.skill-tags');
+  if (existing) existing.remove();
+  if (!tags || tags.length === 0) return;
+
+  const tagsDiv = document.createElement('div');
+  tagsDiv.className = 'skill-tags';
+  tags.forEach(tag => tagsDiv.appendChild(createTagChip(tag)));
+  headerText.querySelector('.skill-desc').after(tagsDiv);
+}
+
+// Keep the sidebar's description, tags and sort data in step with edits to SKILL.md
+async function refreshSkillListEntry(skillPath = currentSkill ? currentSkill.path : null) {
+  if (!skillPath) return;
+
+  const result = await window.electronAPI.getSkillListEntry({ skillPath });
+  if (!result.success) return;
+
+  const skill = { ...result.skill, path: normalizePath(result.skill.path) };
+  const index = librarySkills.findIndex(entry => entry.path === skill.path);
+  if (index === -1) return;
+  librarySkills[index] = skill;
+
+  const item = findSkillItemElement(skill.path);
+  if (item) {
+    item.querySelector('.skill-desc').textContent = skill.description || '';
+    renderSkillTags(item.querySelector('.skill-header-text'), skill.tags);
+  }
+  applySkillFilter();
+}
+
+function renderTagChips() {
+  const counts = new Map();
+  librarySkills.forEach(skill => (skill.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  // Keep selected tags visible even when no skill has them any more, so they can be cleared
+  skillFilter.tags.forEach(tag => counts.set(tag, counts.get(tag) || 0));
+
+  skillTagChips.innerHTML = '';
+  Array.from(counts.keys()).sort().forEach(tag => {
+    skillTagChips.appendChild(createTagChip(tag, counts.get(tag)));
+  });
+  skillTagChips.style.display = counts.size > 0 ? 'flex' : 'none';
+}
+
+// Show, hide and order the library's skill items; installed-elsewhere entries stay last
+function applySkillFilter() {
+  skillFilterInput.value = skillFilter.text;
+  skillSortSelect.value = skillFilter.sort;
+  renderTagChips();
+
+  const firstOther = skillsList.querySelector('.installed-elsewhere, .skills-filter-empty');
+  let visibleCount = 0;
+  [...librarySkills].sort(compareSkills).forEach(skill => {
+    const item = findSkillItemElement(skill.path);
+    if (!item) return;
+    const visible = skillMatchesFilter(skill);
+    item.style.display = visible ? '' : 'none';
+    if (visible) visibleCount++;
+    item.querySelectorAll('.skill-tag').forEach(chip => {
+      chip.classList.toggle('selected', skillFilter.tags.includes(chip.dataset.tag));
+    });
+    skillsList.insertBefore(item, firstOther);
+  });
+
+  let emptyMessage = skillsList.querySelector('.skills-filter-empty');
+  if (visibleCount === 0 && librarySkills.length > 0) {
+    if (!emptyMessage) {
+      emptyMessage = document.createElement('div');
+      emptyMessage.className = 'skills-filter-empty';
+      emptyMessage.textContent = 'No skills match the filter';
+      skillsList.insertBefore(emptyMessage, skillsList.querySelector('.installed-elsewhere'));
+    }
+  } else if (emptyMessage) {
+    emptyMessage.remove();
+  }
+}
+
+skillFilterInput.addEventListener('input', () => updateSkillFilter({ text: skillFilterInput.value }));
+skillSortSelect.addEventListener('change', () => updateSkillFilter({ sort: skillSortSelect.value }));
+
 function findSkillItemElement(skillPath) {
   const normalized = normalizePath(skillPath);
   if (!normalized) return null;
@@ -1031,45 +2203,44 @@ function expandSkillItem(skillItem) {
   }
 }
 
+// Make a skill the current one: select it in the sidebar and show its file tree
+async function showSkill(skill, skillItem = null) {
+  const skillPath = normalizePath(skill.path);
+  currentSkill = { ...skill, path: skillPath };
+  currentSkillDir = getParentDirectory(skillPath);
+  gitState = null;
+  packageBtn.disabled = false;
+  deleteBtn.disabled = false;
+
+  const resolvedItem = skillItem || findSkillItemElement(skillPath);
+  if (resolvedItem) {
+    document.querySelectorAll('.skill-item').forEach(item => {
+      if (item !== resolvedItem) {
+        collapseSkillItem(item);
+      }
+    });
+
+    expandSkillItem(resolvedItem);
+  } else {
+    currentSkillItem = null;
+    currentFileTreeContainer = null;
+  }
+
+  await loadFileTree();
+  contextMenuTarget = null;
+  scheduleWorkspaceSave();
+}
+
 async function loadSkill(skill, skillItem = null) {
-  await autoSave();
   deactivateDragZone();
 
   const requestPath = normalizePath(skill.path);
   const result = await window.electronAPI.loadSkill(requestPath);
   if (result.success) {
     const resolvedPath = normalizePath(result.path || requestPath);
-    currentSkill = { ...skill, path: resolvedPath };
-    currentSkillDir = getParentDirectory(resolvedPath);
-    currentFile = null;
-    setEditorContent(result.content);
-    const editorElement = document.getElementById('editor');
-    if (editorElement) {
-      editorElement.style.display = 'flex';
-    }
-    fileNotEditablePlaceholder.style.display = 'none';
-    emptyState.style.display = 'none';
-    editorTitle.textContent = currentSkill.name;
-    fileInfo.textContent = '';
-    packageBtn.disabled = false;
-    deleteBtn.disabled = false;
-
-    const resolvedItem = skillItem || findSkillItemElement(resolvedPath);
-    if (resolvedItem) {
-      document.querySelectorAll('.skill-item').forEach(item => {
-        if (item !== resolvedItem) {
-          collapseSkillItem(item);
-        }
-      });
-
-      expandSkillItem(resolvedItem);
-    } else {
-      currentSkillItem = null;
-      currentFileTreeContainer = null;
-    }
-
-    await loadFileTree();
-    contextMenuTarget = null;
+    await showSkill({ ...skill, path: resolvedPath }, skillItem);
+    // An already open SKILL.md tab keeps its buffer and undo history
+    await openTab(currentSkill, 'SKILL.md', result.content);
   } else {
     showNotification('Failed to load skill: ' + (result.error || 'Unknown error'), 'error');
   }
@@ -1136,350 +2307,2948 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
-// Auto-save function
-async function autoSave() {
-  if (!hasUnsavedChanges) {
-    return;
-  }
+// Editor tabs
+// Every open file gets a tab with its own Monaco model, so undo history, cursor and scroll
+// position survive switching. Tabs can belong to different skills; showing one selects its
+// skill in the sidebar. Each tab autosaves on its own timer. Pinned tabs are kept in the
+// workspace state and reopened (unloaded until clicked) on the next start.
+let openTabs = [];
+let activeTab = null;
+let blankModel = null; // shown while no tab is active
+
+function getTabFullPath(tab) {
+  return `${tab.skillDir}/${tab.path}`;
+}
 
-  // Clear any pending debounce timer
-  if (autoSaveDebounceTimer) {
-    clearTimeout(autoSaveDebounceTimer);
-    autoSaveDebounceTimer = null;
-  }
+function findTab(skillDir, filePath) {
+  return openTabs.find(tab => tab.skillDir === skillDir && tab.path === filePath) || null;
+}
 
-  const content = editor.getValue();
+function createTab(skill, filePath, { pinned = false } = {}) {
+  const skillPath = normalizePath(skill.path);
+  const tab = {
+    skill: { name: skill.name, path: skillPath },
+    skillDir: getParentDirectory(skillPath),
+    path: filePath,
+    file: null,
+    model: null,
+    loaded: false,
+    viewState: null,
+    savedContent: null, // what the file held on disk when last loaded or saved
+    savedVersionId: null, // model version matching savedContent
+    dirty: false,
+    externalConflict: false, // changed on disk while it had unsaved edits
+    changedOnDisk: false, // changed on disk while in the background; checked when shown
+    saveTimer: null,
+    pinned,
+    element: null
+  };
 
-  // Determine what to save
-  let savePath;
-  if (currentFile && currentFile.editable && currentSkillDir) {
-    // currentFile.path should always be relative due to getRelativePath() call
-    savePath = `${currentSkillDir}/${currentFile.path}`;
-  } else if (currentSkill) {
-    // Save SKILL.md if no file selected or file not editable
-    savePath = currentSkill.path;
+  // Pinned tabs stay at the front
+  const firstUnpinned = openTabs.findIndex(other => !other.pinned);
+  if (pinned && firstUnpinned !== -1) {
+    openTabs.splice(firstUnpinned, 0, tab);
   } else {
-    return;
+    openTabs.push(tab);
   }
+  return tab;
+}
 
-  const result = await window.electronAPI.saveSkill({
-    skillPath: savePath,
-    content
-  });
-
-  if (result.success) {
-    hasUnsavedChanges = false;
-    deactivateDragZone();
+function fillTab(tab, result) {
+  tab.file = { ...result.metadata, path: tab.path };
+  if (result.metadata.editable) {
+    tab.model = monaco.editor.createModel(result.content, getLanguageMode(tab.path));
+    markTabClean(tab, result.content);
   }
+  tab.loaded = true;
 }
 
-// Context menu handlers
-contextMenu.addEventListener('click', async (e) => {
-  e.preventDefault();
-  e.stopPropagation();  // Prevent bubbling to document click listener
-
-  const item = e.target.closest('.context-menu-item');
-  if (!item || !contextMenuTarget) return;
+function markTabClean(tab, content) {
+  tab.savedContent = content;
+  tab.savedVersionId = tab.model.getAlternativeVersionId();
+  tab.externalConflict = false;
+  if (tab.saveTimer) {
+    clearTimeout(tab.saveTimer);
+    tab.saveTimer = null;
+  }
+  setTabDirty(tab, false);
+}
 
-  const action = item.getAttribute('data-action');
-  const nodePath = contextMenuTarget.getAttribute('data-node-path');
-  const nodeType = contextMenuTarget.getAttribute('data-node-type');
+function setTabDirty(tab, dirty) {
+  tab.dirty = dirty;
+  if (tab.element) {
+    tab.element.classList.toggle('dirty', dirty);
+  }
+}
+
+// Open a file of a skill in a tab, or bring its tab forward. `content` saves reading the file.
+async function openTab(skill, filePath, content = null) {
+  let tab = findTab(getParentDirectory(normalizePath(skill.path)), filePath);
+  if (!tab) {
+    tab = createTab(skill, filePath);
+    if (content !== null) {
+      fillTab(tab, {
+        content,
+        metadata: { name: filePath.split('/').pop(), path: filePath, type: 'text', editable: true }
+      });
+    }
+  }
+  return activateTab(tab);
+}
+
+async function activateTab(tab) {
+  // Form edits belong to the buffer they were typed against
+  await flushFrontmatterForm();
+  deactivateDragZone();
+
+  if (!tab.loaded) {
+    const result = await window.electronAPI.loadFile({ filePath: getTabFullPath(tab) });
+    if (!result.success) {
+      showNotification('Failed to load file: ' + (result.error || 'Unknown error'), 'error');
+      await closeTab(tab, { save: false, activateNext: false });
+      return false;
+    }
+    fillTab(tab, result);
+  }
+
+  if (activeTab && activeTab !== tab && activeTab.model) {
+    activeTab.viewState = editor.saveViewState();
+  }
+  activeTab = tab;
+  currentFile = tab.file;
+  pendingFrontmatterFields = new Set();
+
+  const editorElement = document.getElementById('editor');
+  if (tab.model) {
+    editor.setModel(tab.model);
+    if (tab.viewState) {
+      editor.restoreViewState(tab.viewState);
+    }
+    editorElement.style.display = 'flex';
+    fileNotEditablePlaceholder.style.display = 'none';
+  } else {
+    editor.setModel(blankModel);
+    editorElement.style.display = 'none';
+    fileNotEditablePlaceholder.style.display = 'flex';
+    fileNotEditableInfo.textContent = `Type: ${tab.file.type} | Size: ${formatFileSize(tab.file.size)}`;
+  }
+  emptyState.style.display = 'none';
+
+  if (tab.skillDir !== currentSkillDir) {
+    await showSkill(librarySkills.find(skill => skill.path === tab.skill.path) || tab.skill);
+  } else {
+    refreshActiveFileHighlight();
+  }
+
+  editorTitle.textContent = `${currentSkill.name} / ${tab.file.name}`;
+  fileInfo.textContent = tab.model ? '' : '(Not editable)';
+  renderTabs();
+  scheduleFrontmatterSync();
+  scheduleMarkdownPreview();
+  applyLintMarkers();
+
+  if (tab.model) {
+    setTimeout(() => {
+      editor.focus();
+    }, 50);
+  }
+
+  scheduleWorkspaceSave();
+
+  if (tab.externalConflict) {
+    showExternalConflict();
+  } else if (tab.changedOnDisk) {
+    tab.changedOnDisk = false;
+    await checkOpenFileOnDisk();
+  }
+  return true;
+}
+
+// The skill stays selected but no file is shown
+function showNoFileOpen() {
+  activeTab = null;
+  currentFile = null;
+  editor.setModel(blankModel);
+  document.getElementById('editor').style.display = 'none';
+  fileNotEditablePlaceholder.style.display = 'none';
+  emptyState.style.display = 'flex';
+  editorTitle.textContent = currentSkill ? currentSkill.name : 'No skill loaded';
+  fileInfo.textContent = '';
+  refreshActiveFileHighlight();
+  scheduleFrontmatterSync();
+  scheduleMarkdownPreview();
+  scheduleWorkspaceSave();
+}
+
+// Close a tab, saving it first unless the file is gone; with autosave off, unsaved edits
+// are only saved if the user says so. Returns false when the tab stays open: the user
+// cancelled, or its file changed on disk and the conflict has to be resolved first.
+async function closeTab(tab, { save = true, activateNext = true } = {}) {
+  if (save && tab.dirty && !appSettings.autosave.enabled) {
+    const result = await window.electronAPI.confirmCloseTab({ fileName: tab.path });
+    if (!result.success || result.choice === 'cancel') return false;
+    save = result.choice === 'save';
+  }
+
+  if (save) {
+    await saveTab(tab);
+    if (tab.externalConflict) {
+      await activateTab(tab);
+      return false;
+    }
+  }
+
+  const index = openTabs.indexOf(tab);
+  if (index === -1) return true;
+
+  if (tab.saveTimer) {
+    clearTimeout(tab.saveTimer);
+    tab.saveTimer = null;
+  }
+  openTabs.splice(index, 1);
+
+  if (tab === activeTab) {
+    const sameSkill = openTabs.filter(other => other.skillDir === tab.skillDir);
+    const next = sameSkill.find(other => openTabs.indexOf(other) >= index) || sameSkill[sameSkill.length - 1] ||
+      openTabs[index] || openTabs[index - 1];
+    showNoFileOpen();
+    if (next && activateNext) {
+      await activateTab(next);
+    }
+  }
+
+  if (tab.model) {
+    tab.model.dispose();
+  }
+  if (tab.pinned) {
+    scheduleWorkspaceSave();
+  }
+  renderTabs();
+  return true;
+}
+
+async function closeTabs(predicate, options) {
+  for (const tab of openTabs.filter(predicate)) {
+    await closeTab(tab, options);
+  }
+}
+
+// Follow a renamed or moved file or folder in the tabs showing it or anything under it
+function retargetTabs(skillDir, oldPath, newPath) {
+  openTabs.forEach(tab => {
+    if (tab.skillDir !== skillDir || (tab.path !== oldPath && !tab.path.startsWith(`${oldPath}/`))) {
+      return;
+    }
+
+    tab.path = newPath + tab.path.slice(oldPath.length);
+    if (tab.file) {
+      tab.file = { ...tab.file, path: tab.path, name: tab.path.split('/').pop() };
+    }
+    if (tab.model) {
+      monaco.editor.setModelLanguage(tab.model, getLanguageMode(tab.path));
+    }
+    if (tab === activeTab) {
+      currentFile = tab.file;
+      editorTitle.textContent = `${currentSkill.name} / ${currentFile.name}`;
+      refreshActiveFileHighlight();
+    }
+  });
+
+  scheduleWorkspaceSave();
+  renderTabs();
+}
+
+// Follow a renamed skill in every tab of that skill
+function retargetSkillTabs(oldSkillPath, skill) {
+  const skillPath = normalizePath(skill.path);
+  openTabs.forEach(tab => {
+    if (tab.skill.path === oldSkillPath) {
+      tab.skill = { name: skill.name, path: skillPath };
+      tab.skillDir = getParentDirectory(skillPath);
+    }
+  });
+
+  scheduleWorkspaceSave();
+  renderTabs();
+}
+
+async function togglePinTab(tab) {
+  tab.pinned = !tab.pinned;
+  openTabs.splice(openTabs.indexOf(tab), 1);
+
+  // Pinning moves the tab to the end of the pinned group, unpinning to the start of the rest
+  const firstUnpinned = openTabs.findIndex(other => !other.pinned);
+  openTabs.splice(firstUnpinned === -1 ? openTabs.length : firstUnpinned, 0, tab);
+
+  scheduleWorkspaceSave();
+  renderTabs();
+}
+
+function restorePinnedTabs(pinnedTabs) {
+  pinnedTabs.forEach(entry => {
+    const skill = librarySkills.find(candidate => candidate.path === normalizePath(entry.skillPath));
+    if (skill && !findTab(getParentDirectory(skill.path), entry.filePath)) {
+      createTab(skill, entry.filePath, { pinned: true });
+    }
+  });
+  renderTabs();
+}
+
+function renderTabs() {
+  editorTabs.innerHTML = '';
+  editorTabs.style.display = openTabs.length > 0 ? 'flex' : 'none';
+
+  // Name the skill on each tab once tabs from more than one skill are open
+  const showSkillNames = new Set(openTabs.map(tab => tab.skillDir)).size > 1;
+
+  openTabs.forEach(tab => {
+    const element = document.createElement('div');
+    element.className = 'editor-tab';
+    element.classList.toggle('active', tab === activeTab);
+    element.classList.toggle('dirty', tab.dirty);
+    element.classList.toggle('pinned', tab.pinned);
+    element.title = `${tab.skill.name} / ${tab.path}`;
+
+    const name = document.createElement('span');
+    name.className = 'editor-tab-name';
+    name.textContent = tab.path.split('/').pop();
+    element.appendChild(name);
+
+    if (showSkillNames) {
+      const skillName = document.createElement('span');
+      skillName.className = 'editor-tab-skill';
+      skillName.textContent = tab.skill.name;
+      element.appendChild(skillName);
+    }
+
+    const dirtyMarker = document.createElement('span');
+    dirtyMarker.className = 'editor-tab-dirty';
+    dirtyMarker.textContent = '●';
+    dirtyMarker.title = 'Unsaved changes';
+    element.appendChild(dirtyMarker);
+
+    const pinButton = document.createElement('button');
+    pinButton.className = 'editor-tab-pin';
+    pinButton.textContent = '📌';
+    pinButton.title = tab.pinned ? 'Unpin tab' : 'Pin tab (stays open after a restart)';
+    pinButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      togglePinTab(tab);
+    });
+    element.appendChild(pinButton);
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'editor-tab-close';
+    closeButton.textContent = '×';
+    closeButton.title = 'Close';
+    closeButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      closeTab(tab);
+    });
+    element.appendChild(closeButton);
+
+    element.addEventListener('click', () => {
+      if (tab !== activeTab) {
+        activateTab(tab);
+      }
+    });
+
+    // Middle click closes, except pinned tabs
+    element.addEventListener('auxclick', (event) => {
+      if (event.button === 1 && !tab.pinned) {
+        event.preventDefault();
+        closeTab(tab);
+      }
+    });
+
+    tab.element = element;
+    editorTabs.appendChild(element);
+  });
+
+  if (activeTab && activeTab.element) {
+    activeTab.element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }
+}
+
+// Save one tab. A file changed outside the editor since it was loaded is never overwritten.
+async function saveTab(tab) {
+  if (!tab.model || !tab.dirty || tab.externalConflict) {
+    return;
+  }
+
+  // Clear any pending debounce timer
+  if (tab.saveTimer) {
+    clearTimeout(tab.saveTimer);
+    tab.saveTimer = null;
+  }
+
+  const content = tab.model.getValue();
+  const versionId = tab.model.getAlternativeVersionId();
+  const savePath = getTabFullPath(tab);
+
+  // Never overwrite a change made outside the editor without asking
+  const diskContent = await readDiskContent(savePath);
+  if (diskContent !== null && tab.savedContent !== null && diskContent !== tab.savedContent) {
+    tab.externalConflict = true;
+    if (tab === activeTab) {
+      showExternalConflict();
+    }
+    return;
+  }
+
+  const result = await window.electronAPI.saveSkill({
+    skillPath: savePath,
+    content
+  });
+
+  if (result.success && !tab.model.isDisposed()) {
+    tab.savedContent = content;
+    tab.savedVersionId = versionId;
+    setTabDirty(tab, tab.model.getAlternativeVersionId() !== versionId);
+    deactivateDragZone();
+    if (tab.skillDir === currentSkillDir) {
+      if (tab.path === '.skillignore') {
+        // Greyed-out entries in the tree follow the new rules
+        await loadFileTree();
+      } else {
+        runSkillLint();
+        refreshGitBadges();
+      }
+    }
+    if (tab.path === 'SKILL.md') {
+      refreshSkillListEntry(tab.skill.path);
+    }
+  }
+}
+
+// Save the tabs with unsaved edits (those of one skill when skillDir is given), pushing
+// pending frontmatter form edits into the buffer first
+async function saveDirtyTabs(skillDir = null) {
+  await flushFrontmatterForm();
+  for (const tab of openTabs.filter(other => other.dirty && (!skillDir || other.skillDir === skillDir))) {
+    await saveTab(tab);
+  }
+}
+
+// Before actions that read skills from disk: save what autosave would have saved anyway.
+// With autosave off nothing is written without an explicit save.
+async function autoSave() {
+  if (appSettings.autosave.enabled) {
+    await saveDirtyTabs();
+  }
+}
+
+// Packaging, installing and committing need the edits on disk. With autosave off they ask
+// first; false means the user cancelled and the action should not go ahead.
+async function saveBeforeDiskAction(action, skillDir = null) {
+  if (appSettings.autosave.enabled) {
+    await saveDirtyTabs();
+    return true;
+  }
+
+  await flushFrontmatterForm();
+  const dirtyCount = openTabs.filter(tab => tab.dirty && (!skillDir || tab.skillDir === skillDir)).length;
+  if (dirtyCount === 0) return true;
+
+  const result = await window.electronAPI.confirmSaveBefore({ action, fileCount: dirtyCount });
+  if (!result.success || !result.confirmed) return false;
+
+  await saveDirtyTabs(skillDir);
+  return true;
+}
+
+// Workspace state: the open skill and file, cursor, scroll, collapsed folders and pinned tabs
+// are saved under userData and restored on the next start. Nothing is saved until the restore is done,
+// so quitting during startup keeps the previous state.
+const WORKSPACE_SAVE_DEBOUNCE_MS = 1000;
+let workspaceSaveTimer = null;
+let workspaceRestored = false;
+
+function getCurrentSkillName() {
+  return currentSkillDir ? currentSkillDir.split('/').pop() : null;
+}
+
+function isFolderCollapsed(folderPath) {
+  const collapsed = collapsedFolders[getCurrentSkillName()];
+  return Boolean(collapsed) && collapsed.includes(folderPath);
+}
+
+function setFolderCollapsed(folderPath, collapsed) {
+  const skillName = getCurrentSkillName();
+  if (!skillName) return;
+
+  const folders = (collapsedFolders[skillName] || []).filter(other => other !== folderPath);
+  if (collapsed) {
+    folders.push(folderPath);
+  }
+  if (folders.length > 0) {
+    collapsedFolders[skillName] = folders;
+  } else {
+    delete collapsedFolders[skillName];
+  }
+  scheduleWorkspaceSave();
+}
+
+function scheduleWorkspaceSave() {
+  if (!workspaceRestored) return;
+  if (workspaceSaveTimer) {
+    clearTimeout(workspaceSaveTimer);
+  }
+  workspaceSaveTimer = setTimeout(saveWorkspaceState, WORKSPACE_SAVE_DEBOUNCE_MS);
+}
+
+function collectWorkspaceState() {
+  const hasPosition = Boolean(activeTab && activeTab.model && editor && editor.getModel() === activeTab.model);
+  return {
+    skillPath: currentSkill ? currentSkill.path : null,
+    filePath: activeTab ? activeTab.path : null,
+    cursor: hasPosition ? editor.getPosition() : null,
+    scrollTop: hasPosition ? editor.getScrollTop() : 0,
+    scrollLeft: hasPosition ? editor.getScrollLeft() : 0,
+    collapsedFolders,
+    pinnedTabs: openTabs.filter(tab => tab.pinned).map(tab => ({ skillPath: tab.skill.path, filePath: tab.path }))
+  };
+}
+
+function saveWorkspaceState() {
+  if (!workspaceRestored) return;
+  if (workspaceSaveTimer) {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+  }
+  window.electronAPI.saveWorkspaceState(collectWorkspaceState());
+}
+
+async function restoreWorkspace() {
+  try {
+    const result = await window.electronAPI.getWorkspaceState();
+    if (!result.success) return;
+
+    const state = result.state;
+    collapsedFolders = state.collapsedFolders;
+    restorePinnedTabs(state.pinnedTabs);
+
+    const skill = state.skillPath && librarySkills.find(entry => entry.path === normalizePath(state.skillPath));
+    if (!skill) return;
+
+    if (!state.filePath) {
+      await showSkill(skill);
+      showNoFileOpen();
+      return;
+    }
+
+    if (await openTab(skill, state.filePath) && activeTab.model) {
+      if (state.cursor) {
+        editor.setPosition(state.cursor);
+      }
+      editor.setScrollTop(state.scrollTop);
+      editor.setScrollLeft(state.scrollLeft);
+    }
+  } catch (error) {
+    console.error('Error restoring workspace:', error);
+  } finally {
+    workspaceRestored = true;
+  }
+}
+
+// Sent synchronously: an invoke would still be in flight when the window is gone
+window.addEventListener('beforeunload', () => {
+  if (!workspaceRestored) return;
+  if (workspaceSaveTimer) {
+    clearTimeout(workspaceSaveTimer);
+    workspaceSaveTimer = null;
+  }
+  window.electronAPI.saveWorkspaceStateSync(collectWorkspaceState());
+});
+
+// Skill lint results: problems panel and Monaco markers
+async function runSkillLint() {
+  const requestId = ++lintRequestId;
+
+  if (!currentSkill) {
+    lintDiagnostics = [];
+    updateProblemsView();
+    return lintDiagnostics;
+  }
+
+  const result = await window.electronAPI.lintSkill({ skillPath: currentSkill.path });
+  // A newer lint (or a skill switch) superseded this one
+  if (requestId !== lintRequestId) {
+    return lintDiagnostics;
+  }
+
+  lintDiagnostics = result.success ? result.diagnostics : [];
+  updateProblemsView();
+  return lintDiagnostics;
+}
+
+function getOpenFilePath() {
+  return currentFile ? currentFile.path : null;
+}
+
+function applyLintMarkers() {
+  if (!editor || typeof monaco === 'undefined') return;
+
+  const model = editor.getModel();
+  // Diagnostics use posix paths; the open file uses the OS separator
+  const openPath = normalizePath(getOpenFilePath());
+  const lineCount = model.getLineCount();
+
+  const markers = lintDiagnostics
+    .filter(diagnostic => diagnostic.file === openPath)
+    .map(diagnostic => {
+      const line = Math.min(Math.max(diagnostic.line, 1), lineCount);
+      return {
+        severity: diagnostic.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+        message: diagnostic.message,
+        startLineNumber: line,
+        startColumn: diagnostic.column || 1,
+        endLineNumber: line,
+        endColumn: model.getLineMaxColumn(line)
+      };
+    });
+
+  monaco.editor.setModelMarkers(model, 'skill-lint', markers);
+}
+
+function updateProblemsView() {
+  const errorCount = lintDiagnostics.filter(d => d.severity === 'error').length;
+  const warningCount = lintDiagnostics.length - errorCount;
+
+  problemsBtn.disabled = !currentSkill;
+  historyBtn.disabled = !currentSkill;
+  renameSkillBtn.disabled = !currentSkill;
+  duplicateSkillBtn.disabled = !currentSkill;
+  gitBtn.disabled = !currentSkill;
+  compareBtn.disabled = !currentSkill;
+  installBtn.disabled = !currentSkill;
+  packagePreviewBtn.disabled = !currentSkill;
+  exportBtn.disabled = !currentSkill;
+  problemsBtn.textContent = lintDiagnostics.length > 0 ? `Problems (${lintDiagnostics.length})` : 'Problems';
+  problemsBtn.classList.toggle('has-errors', errorCount > 0);
+  problemsTitle.textContent = `Problems — ${errorCount} error(s), ${warningCount} warning(s)`;
+
+  problemsList.innerHTML = '';
+  if (lintDiagnostics.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'problems-empty';
+    empty.textContent = currentSkill ? 'No problems found' : 'No skill loaded';
+    problemsList.appendChild(empty);
+  }
+
+  lintDiagnostics.forEach(diagnostic => {
+    const item = document.createElement('div');
+    item.className = 'problem-item';
+
+    const severity = document.createElement('span');
+    severity.className = `problem-severity ${diagnostic.severity}`;
+    severity.textContent = diagnostic.severity === 'error' ? '✖' : '⚠';
+
+    const location = document.createElement('span');
+    location.className = 'problem-location';
+    location.textContent = `${diagnostic.file}:${diagnostic.line}`;
+
+    const message = document.createElement('span');
+    message.textContent = diagnostic.message;
+
+    item.appendChild(severity);
+    item.appendChild(location);
+    item.appendChild(message);
+    item.addEventListener('click', () => openDiagnostic(diagnostic));
+    problemsList.appendChild(item);
+  });
+
+  if (!currentSkill) {
+    problemsPanel.style.display = 'none';
+  }
+
+  applyLintMarkers();
+  markOrphanedFiles();
+}
+
+function markOrphanedFiles() {
+  if (!currentFileTreeContainer) return;
+
+  const orphanedPaths = new Set(
+    lintDiagnostics.filter(d => d.code === 'orphaned-file').map(d => d.file)
+  );
+
+  currentFileTreeContainer.querySelectorAll('.file-tree-node.file').forEach(node => {
+    const isOrphaned = orphanedPaths.has(normalizePath(node.getAttribute('data-node-path')));
+    node.classList.toggle('orphaned', isOrphaned);
+    if (isOrphaned) {
+      node.title = 'Nothing in the skill links to this file';
+    } else if (!node.classList.contains('excluded')) {
+      node.removeAttribute('title');
+    }
+  });
+}
+
+async function openDiagnostic(diagnostic) {
+  if (!currentSkill) return;
+
+  await revealFileLocation(diagnostic.file, diagnostic.line, diagnostic.column || 1);
+}
+
+// Open a file of the current skill and put the cursor at line/column, selecting `length` characters
+async function revealFileLocation(filePath, line, column = 1, length = 0) {
+  if (normalizePath(filePath) !== normalizePath(getOpenFilePath())) {
+    await loadFileFromTree(filePath);
+  }
+
+  if (!editor || normalizePath(getOpenFilePath()) !== normalizePath(filePath)) return;
+
+  editor.revealLineInCenter(line);
+  if (length > 0) {
+    editor.setSelection(new monaco.Range(line, column, line, column + length));
+  } else {
+    editor.setPosition({ lineNumber: line, column });
+  }
+  editor.focus();
+}
+
+problemsBtn.addEventListener('click', () => {
+  problemsPanel.style.display = problemsPanel.style.display === 'none' ? 'flex' : 'none';
+});
+
+problemsCloseBtn.addEventListener('click', () => {
+  problemsPanel.style.display = 'none';
+});
+
+// Library search and replace
+const SEARCH_DEBOUNCE_MS = 300;
+let searchTimer = null;
+let searchRequestId = 0;
+let searchResult = null; // last search or replace preview, with the request that produced it
+let lastReplaceOperation = null;
+
+async function openSearchPanel() {
+  searchPanel.style.display = 'flex';
+  searchInput.focus();
+  searchInput.select();
+
+  const result = await window.electronAPI.getLastReplace();
+  lastReplaceOperation = result.success ? result.operation : null;
+  updateReplaceControls();
+}
+
+function closeSearchPanel() {
+  searchPanel.style.display = 'none';
+  clearTimeout(searchTimer);
+}
+
+function isReplaceMode() {
+  return replaceRow.style.display !== 'none';
+}
+
+function toggleReplaceMode() {
+  replaceRow.style.display = isReplaceMode() ? 'none' : 'flex';
+  replaceToggleBtn.classList.toggle('active', isReplaceMode());
+  if (isReplaceMode()) {
+    replaceInput.focus();
+  }
+  runLibrarySearch();
+}
+
+function scheduleLibrarySearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runLibrarySearch, SEARCH_DEBOUNCE_MS);
+}
+
+function buildSearchRequest() {
+  const request = {
+    query: searchInput.value,
+    regex: searchRegex.checked,
+    caseSensitive: searchCaseSensitive.checked,
+    wholeWord: searchWholeWord.checked
+  };
+  if (searchScope.value === 'skill') {
+    request.skillPath = currentSkill.path;
+  }
+  if (isReplaceMode()) {
+    request.replacement = replaceInput.value;
+  }
+  return request;
+}
+
+async function runLibrarySearch() {
+  clearTimeout(searchTimer);
+  const requestId = ++searchRequestId;
+  searchResult = null;
+
+  if (!searchInput.value) {
+    searchTitle.textContent = 'Search';
+    searchResults.innerHTML = '';
+    updateReplaceControls();
+    return;
+  }
+
+  if (searchScope.value === 'skill' && !currentSkill) {
+    searchResults.innerHTML = '';
+    showSearchMessage('Open a skill to search it, or search all skills');
+    updateReplaceControls();
+    return;
+  }
+
+  // Search what's on disk, including edits waiting for autosave
+  await autoSave();
+
+  try {
+    const request = buildSearchRequest();
+    const result = request.replacement !== undefined
+      ? await window.electronAPI.previewReplace(request)
+      : await window.electronAPI.searchLibrary(request);
+
+    if (requestId === searchRequestId) {
+      searchResult = result.success ? { request, ...result } : null;
+      renderSearchResults(result);
+    }
+  } catch (error) {
+    console.error('Error searching skills:', error);
+    showNotification('Error searching skills', 'error');
+  }
+}
+
+function renderSearchResults(result) {
+  searchResults.innerHTML = '';
+
+  if (!result.success) {
+    searchTitle.textContent = 'Search';
+    showSearchMessage(result.error || 'Search failed');
+    updateReplaceControls();
+    return;
+  }
+
+  const fileCount = result.skills.reduce((count, skill) => count + skill.files.length, 0);
+  searchTitle.textContent = result.matchCount === 0
+    ? 'Search — no results'
+    : `Search — ${result.matchCount}${result.truncated ? '+' : ''} result(s) in ${fileCount} file(s)`;
+
+  if (result.matchCount === 0) {
+    showSearchMessage(searchScope.value === 'skill' ? 'No matches in this skill' : 'No matches in any skill');
+    updateReplaceControls();
+    return;
+  }
+
+  result.skills.forEach(skill => {
+    const skillHeader = document.createElement('div');
+    skillHeader.className = 'search-skill';
+    skillHeader.textContent = skill.name;
+    searchResults.appendChild(skillHeader);
+
+    skill.files.forEach(file => {
+      const fileHeader = document.createElement('div');
+      fileHeader.className = 'search-file';
+      fileHeader.textContent = `${file.path} (${file.matches.length})`;
+      searchResults.appendChild(fileHeader);
+
+      file.matches.forEach(match => {
+        const item = document.createElement('div');
+        item.className = 'problem-item search-match';
+
+        // In a replace preview every match is a hunk that can be accepted or rejected
+        if (match.replacement !== undefined) {
+          match.accepted = true;
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = true;
+          checkbox.title = 'Include this change';
+          checkbox.addEventListener('click', (event) => event.stopPropagation());
+          checkbox.addEventListener('change', () => {
+            match.accepted = checkbox.checked;
+            item.classList.toggle('rejected', !checkbox.checked);
+            updateReplaceControls();
+          });
+          item.appendChild(checkbox);
+        }
+
+        const location = document.createElement('span');
+        location.className = 'problem-location';
+        location.textContent = `${match.line}`;
+
+        item.appendChild(location);
+        item.appendChild(renderSearchPreview(match));
+        item.addEventListener('click', () => openSearchResult(skill, file.path, match));
+        searchResults.appendChild(item);
+      });
+    });
+  });
+
+  if (result.truncated) {
+    showSearchMessage('Too many results; only the first ones are shown. Refine your search.');
+  }
+  updateReplaceControls();
+}
+
+function renderSearchPreview(match) {
+  const preview = document.createElement('span');
+  preview.className = 'search-preview';
+
+  const start = match.column - 1 - match.previewOffset;
+  const highlight = document.createElement(match.replacement !== undefined ? 'del' : 'mark');
+  highlight.textContent = match.preview.substring(start, start + match.length);
+
+  preview.appendChild(document.createTextNode(match.preview.substring(0, start).trimStart()));
+  preview.appendChild(highlight);
+  if (match.replacement !== undefined) {
+    const insertion = document.createElement('ins');
+    insertion.textContent = match.replacement;
+    preview.appendChild(insertion);
+  }
+  preview.appendChild(document.createTextNode(match.preview.substring(start + match.length)));
+  return preview;
+}
+
+function showSearchMessage(message) {
+  const empty = document.createElement('div');
+  empty.className = 'problems-empty';
+  empty.textContent = message;
+  searchResults.appendChild(empty);
+}
+
+// Accepted hunks of the current replace preview, grouped the way apply-replace expects
+function collectAcceptedReplacements() {
+  if (!searchResult || searchResult.request.replacement === undefined) {
+    return [];
+  }
+
+  return searchResult.skills
+    .map(skill => ({
+      skillPath: skill.skillPath,
+      files: skill.files
+        .map(file => ({
+          path: file.path,
+          matches: file.matches.filter(match => match.accepted).map(match => ({ line: match.line, column: match.column }))
+        }))
+        .filter(file => file.matches.length > 0)
+    }))
+    .filter(skill => skill.files.length > 0);
+}
+
+function updateReplaceControls() {
+  const acceptedCount = collectAcceptedReplacements()
+    .reduce((count, skill) => count + skill.files.reduce((sum, file) => sum + file.matches.length, 0), 0);
+
+  replaceApplyBtn.disabled = acceptedCount === 0;
+  replaceApplyBtn.textContent = acceptedCount > 0 ? `Replace ${acceptedCount}` : 'Replace';
+  replaceUndoBtn.style.display = lastReplaceOperation ? 'inline-block' : 'none';
+  replaceUndoBtn.title = lastReplaceOperation ? `Undo: ${lastReplaceOperation.label}` : '';
+}
+
+async function applyReplace() {
+  const accepted = collectAcceptedReplacements();
+  if (accepted.length === 0) return;
+
+  await autoSave();
+
+  try {
+    const result = await window.electronAPI.applyReplace({ ...searchResult.request, accepted });
+    if (!result.success) {
+      showNotification(`Replace failed: ${result.error}`, 'error');
+      return;
+    }
+
+    const skipped = result.skippedCount > 0 ? ` (${result.skippedCount} skipped because the file changed)` : '';
+    showNotification(`Replaced ${result.replacedCount} occurrence(s) in ${result.changes.length} file(s)${skipped}`, 'success');
+    lastReplaceOperation = result.operation || lastReplaceOperation;
+    await handleSkillsChanged(result.changes);
+    await runLibrarySearch();
+  } catch (error) {
+    console.error('Error replacing:', error);
+    showNotification('Error replacing', 'error');
+  }
+}
+
+async function undoReplace() {
+  if (!lastReplaceOperation) return;
+
+  await autoSave();
+
+  try {
+    const result = await window.electronAPI.undoReplace({ operationId: lastReplaceOperation.id });
+    lastReplaceOperation = null;
+
+    if (!result.success) {
+      showNotification(result.error, 'error');
+    } else if (result.conflicts.length > 0) {
+      showNotification(`Restored ${result.restoredCount} file(s); ${result.conflicts.length} changed since the replace and were left as they are`, 'error');
+    } else {
+      showNotification(`Undid replace in ${result.restoredCount} file(s)`, 'success');
+    }
+
+    if (result.success) {
+      await handleSkillsChanged(result.changes);
+    }
+    await runLibrarySearch();
+  } catch (error) {
+    console.error('Error undoing replace:', error);
+    showNotification('Error undoing replace', 'error');
+  }
+}
+
+async function openSearchResult(skill, filePath, match) {
+  await openTab({ name: skill.name, path: skill.skillPath }, filePath);
+  await revealFileLocation(filePath, match.line, match.column, match.length);
+}
+
+searchBtn.addEventListener('click', openSearchPanel);
+searchCloseBtn.addEventListener('click', closeSearchPanel);
+searchInput.addEventListener('input', scheduleLibrarySearch);
+replaceInput.addEventListener('input', scheduleLibrarySearch);
+[searchInput, replaceInput].forEach(input => {
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      runLibrarySearch();
+    }
+  });
+});
+[searchCaseSensitive, searchWholeWord, searchRegex, searchScope].forEach(option => {
+  option.addEventListener('change', runLibrarySearch);
+});
+replaceToggleBtn.addEventListener('click', toggleReplaceMode);
+replaceApplyBtn.addEventListener('click', applyReplace);
+replaceUndoBtn.addEventListener('click', undoReplace);
+
+// Markdown preview
+// The main process renders the open markdown file; it is shown in a sandboxed frame that runs
+// no scripts and only loads data: images. Relative images are read through load-file and
+// relative links open in the editor. Each rendered block knows its source line for scroll sync.
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+const PREVIEW_BLOCKED_ELEMENTS = 'script, iframe, frame, object, embed, meta, base, link, form, area';
+let markdownPreviewTimer = null;
+let markdownPreviewRequestId = 0;
+let markdownPreviewPath = null;
+let markdownPreviewBlocks = []; // { line, element } in document order
+let markdownImageCache = new Map(); // skill-relative path -> data URL
+let scrollSyncTarget = null; // pane whose next scroll event was caused by syncing
+
+const markdownPreviewReady = new Promise(resolve => {
+  markdownPreview.addEventListener('load', () => {
+    const doc = markdownPreview.contentDocument;
+    doc.addEventListener('click', handlePreviewClick);
+    doc.addEventListener('auxclick', handlePreviewClick);
+    doc.addEventListener('scroll', syncEditorToPreview);
+    resolve(doc);
+  }, { once: true });
+});
+markdownPreview.srcdoc = `<!DOCTYPE html><html><head>${markdownPreviewTemplate.innerHTML}</head><body></body></html>`;
+
+function getOpenMarkdownPath() {
+  if (!currentSkill || !editor) return null;
+  const editorElement = document.getElementById('editor');
+  if (!editorElement || editorElement.style.display === 'none') return null;
+  const openPath = getOpenFilePath();
+  if (!openPath) return null;
+  return MARKDOWN_EXTENSIONS.includes(openPath.split('.').pop().toLowerCase()) ? openPath : null;
+}
+
+function scheduleMarkdownPreview() {
+  if (markdownPreviewTimer) {
+    clearTimeout(markdownPreviewTimer);
+  }
+  markdownPreviewTimer = setTimeout(() => {
+    markdownPreviewTimer = null;
+    refreshMarkdownPreview();
+  }, 300);
+}
+
+async function refreshMarkdownPreview() {
+  const markdownPath = getOpenMarkdownPath();
+  markdownPreviewBtn.disabled = !markdownPath;
+  markdownPreviewBtn.classList.toggle('active', appSettings.editor.markdownPreview && !!markdownPath);
+
+  if (!markdownPath || !appSettings.editor.markdownPreview) {
+    markdownPreview.style.display = 'none';
+    markdownPreviewPath = null;
+    return;
+  }
+
+  const requestId = ++markdownPreviewRequestId;
+  const result = await window.electronAPI.renderMarkdown({ content: editor.getValue() });
+  if (requestId !== markdownPreviewRequestId || getOpenMarkdownPath() !== markdownPath || !result.success) {
+    return;
+  }
+
+  // Images are read again when another file is opened, so edits to them show up
+  if (markdownPath !== markdownPreviewPath) {
+    markdownImageCache = new Map();
+  }
+
+  const blocks = [];
+  if (result.frontmatter) {
+    blocks.push({ line: 1, fragment: createFrontmatterCard(result.frontmatter) });
+  }
+  for (const block of result.blocks) {
+    const parsed = new DOMParser().parseFromString(block.html, 'text/html');
+    sanitizePreviewContent(parsed.body);
+    await loadPreviewImages(parsed.body, markdownPath);
+    blocks.push({ line: block.line, fragment: parsed.body });
+  }
+
+  const doc = await markdownPreviewReady;
+  if (requestId !== markdownPreviewRequestId) return;
+
+  markdownPreviewBlocks = blocks.map(block => {
+    const element = doc.createElement('div');
+    element.className = 'md-block';
+    element.dataset.line = String(block.line);
+    element.append(...Array.from(block.fragment.childNodes).map(node => doc.importNode(node, true)));
+    return { line: block.line, element };
+  });
+  doc.body.replaceChildren(...markdownPreviewBlocks.map(block => block.element));
+
+  const opened = markdownPreview.style.display === 'none' || markdownPath !== markdownPreviewPath;
+  markdownPreview.style.display = 'block';
+  markdownPreviewPath = markdownPath;
+  if (opened) {
+    syncPreviewToEditor();
+  }
+}
+
+function createFrontmatterCard(frontmatter) {
+  const card = document.createElement('div');
+  const wrapper = document.createElement('div');
+  wrapper.className = 'frontmatter-card';
+
+  if (frontmatter.error) {
+    const error = document.createElement('div');
+    error.className = 'frontmatter-error';
+    error.textContent = `Frontmatter: ${frontmatter.error}`;
+    wrapper.appendChild(error);
+  } else {
+    const list = document.createElement('dl');
+    frontmatter.fields.forEach(field => {
+      const term = document.createElement('dt');
+      term.textContent = field.key;
+      const value = document.createElement('dd');
+      value.textContent = field.value;
+      list.append(term, value);
+    });
+    wrapper.appendChild(list);
+  }
+
+  card.appendChild(wrapper);
+  return card;
+}
+
+// Raw HTML in markdown can't run in the sandbox anyway; drop what could navigate or embed
+function sanitizePreviewContent(root) {
+  root.querySelectorAll(PREVIEW_BLOCKED_ELEMENTS).forEach(element => element.remove());
+  root.querySelectorAll('*').forEach(element => {
+    for (const attribute of Array.from(element.attributes)) {
+      if (attribute.name.startsWith('on') || attribute.name === 'srcset' || attribute.name === 'xlink:href' ||
+          /^\s*javascript:/i.test(attribute.value)) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  });
+}
+
+// Resolve a link or image reference against the markdown file. URLs and paths that leave
+// the skill resolve to null.
+function resolvePreviewPath(markdownPath, reference) {
+  if (!reference || reference.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(reference)) {
+    return null;
+  }
+
+  let target = reference.split(/[?#]/)[0];
+  try {
+    target = decodeURI(target);
+  } catch (error) {
+    // Keep the reference as written
+  }
+  if (!target) return null;
+
+  const segments = target.startsWith('/') ? [] : markdownPath.split('/').slice(0, -1);
+  for (const segment of target.split('/')) {
+    if (!segment || segment === '.') continue;
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.join('/') || null;
+}
+
+function replaceWithBlockedContent(element, text) {
+  const placeholder = element.ownerDocument.createElement('span');
+  placeholder.className = 'blocked-content';
+  placeholder.textContent = text;
+  element.replaceWith(placeholder);
+}
+
+async function loadPreviewImages(root, markdownPath) {
+  for (const image of Array.from(root.querySelectorAll('img'))) {
+    const source = image.getAttribute('src') || '';
+    if (source.startsWith('data:')) continue;
+
+    const imagePath = resolvePreviewPath(markdownPath, source);
+    if (!imagePath) {
+      replaceWithBlockedContent(image, `Remote image not loaded: ${image.getAttribute('alt') || source}`);
+      continue;
+    }
+
+    if (!markdownImageCache.has(imagePath)) {
+      const result = await window.electronAPI.loadFile({ filePath: `${currentSkillDir}/${imagePath}`, as: 'dataUrl' });
+      markdownImageCache.set(imagePath, result.success ? result.content : null);
+    }
+
+    const dataUrl = markdownImageCache.get(imagePath);
+    if (dataUrl) {
+      image.setAttribute('src', dataUrl);
+    } else {
+      replaceWithBlockedContent(image, `Image not found: ${imagePath}`);
+    }
+  }
+}
+
+function handlePreviewClick(event) {
+  // Nothing navigates the frame or opens a window from it, whatever was clicked and with
+  // whichever button; only a plain click on a link is handled here
+  event.preventDefault();
+  if (event.type !== 'click') return;
+
+  const link = event.target.closest ? event.target.closest('a[href]') : null;
+  if (!link) return;
+
+  const href = link.getAttribute('href');
+  if (href.startsWith('#')) {
+    const anchor = markdownPreview.contentDocument.getElementById(decodeURIComponent(href.slice(1)));
+    if (anchor) anchor.scrollIntoView();
+    return;
+  }
+
+  const markdownPath = getOpenMarkdownPath();
+  const linkedPath = markdownPath ? resolvePreviewPath(markdownPath, href) : null;
+  if (!linkedPath) {
+    showNotification(`Links outside the skill are not opened from the preview: ${href}`, 'error');
+    return;
+  }
+  loadFileFromTree(linkedPath);
+}
+
+// Piecewise-linear map between editor lines and preview offsets, anchored on the rendered blocks
+function mapScrollPosition(points, value) {
+  let index = points.findIndex(point => point.from > value);
+  if (index === -1) index = points.length;
+  if (index === 0) return points[0].to;
+  if (index === points.length) return points[points.length - 1].to;
+
+  const before = points[index - 1];
+  const after = points[index];
+  const ratio = after.from === before.from ? 0 : (value - before.from) / (after.from - before.from);
+  return before.to + ratio * (after.to - before.to);
+}
+
+function getScrollAnchors() {
+  const doc = markdownPreview.contentDocument;
+  const model = editor.getModel();
+  return [
+    { line: 1, top: 0 },
+    ...markdownPreviewBlocks.map(block => ({ line: block.line, top: block.element.offsetTop })),
+    { line: model.getLineCount() + 1, top: doc.scrollingElement.scrollHeight }
+  ];
+}
+
+function syncPreviewToEditor() {
+  if (scrollSyncTarget === 'editor') {
+    scrollSyncTarget = null;
+    return;
+  }
+  if (markdownPreview.style.display === 'none' || !markdownPreview.contentDocument) return;
+
+  const [range] = editor.getVisibleRanges();
+  if (!range) return;
+
+  // Fractional top line, so wrapped lines scroll smoothly
+  const start = range.startLineNumber;
+  const startTop = editor.getTopForLineNumber(start);
+  const lineHeight = editor.getTopForLineNumber(start + 1) - startTop || 1;
+  const line = start + Math.max(0, editor.getScrollTop() - startTop) / lineHeight;
+
+  const points = getScrollAnchors().map(anchor => ({ from: anchor.line, to: anchor.top }));
+  const scroller = markdownPreview.contentDocument.scrollingElement;
+  const top = Math.round(mapScrollPosition(points, line));
+  if (Math.abs(scroller.scrollTop - top) > 1) {
+    const previousTop = scroller.scrollTop;
+    scrollSyncTarget = 'preview';
+    scroller.scrollTop = top;
+    if (scroller.scrollTop === previousTop) {
+      scrollSyncTarget = null; // already at the end; no scroll event will follow
+    }
+  }
+}
+
+function syncEditorToPreview() {
+  if (scrollSyncTarget === 'preview') {
+    scrollSyncTarget = null;
+    return;
+  }
+  if (!editor || markdownPreview.style.display === 'none') return;
+
+  const points = getScrollAnchors().map(anchor => ({ from: anchor.top, to: anchor.line }));
+  const line = mapScrollPosition(points, markdownPreview.contentDocument.scrollingElement.scrollTop);
+  const whole = Math.floor(line);
+  const wholeTop = editor.getTopForLineNumber(whole);
+  const top = Math.round(wholeTop + (line - whole) * (editor.getTopForLineNumber(whole + 1) - wholeTop));
+  if (Math.abs(editor.getScrollTop() - top) > 1) {
+    const previousTop = editor.getScrollTop();
+    scrollSyncTarget = 'editor';
+    editor.setScrollTop(top);
+    if (editor.getScrollTop() === previousTop) {
+      scrollSyncTarget = null;
+    }
+  }
+}
+
+markdownPreviewBtn.addEventListener('click', async () => {
+  await updateSettings('editor', { markdownPreview: !appSettings.editor.markdownPreview });
+  refreshMarkdownPreview();
+});
+
+// Frontmatter form
+function isSkillFileOpen() {
+  if (!currentSkill) return false;
+  const editorElement = document.getElementById('editor');
+  if (!editorElement || editorElement.style.display === 'none') return false;
+  return Boolean(currentFile) && currentFile.path === 'SKILL.md';
+}
+
+function scheduleFrontmatterSync() {
+  if (frontmatterSyncTimer) {
+    clearTimeout(frontmatterSyncTimer);
+  }
+  frontmatterSyncTimer = setTimeout(() => {
+    frontmatterSyncTimer = null;
+    refreshFrontmatterPanel();
+  }, 300);
+}
+
+// YAML -> form: re-parse the buffer and refresh every field the user isn't typing in
+async function refreshFrontmatterPanel() {
+  if (!editor || !isSkillFileOpen()) {
+    frontmatterPanel.style.display = 'none';
+    return;
+  }
+
+  const result = await window.electronAPI.parseFrontmatter({ content: editor.getValue() });
+  if (!isSkillFileOpen()) {
+    frontmatterPanel.style.display = 'none';
+    return;
+  }
+
+  frontmatterPanel.style.display = 'block';
+  if (!result.success) {
+    return;
+  }
+
+  populateFrontmatterForm(result.frontmatter.data);
+  showFrontmatterIssues(result.frontmatter.issues);
+}
+
+function populateFrontmatterForm(data) {
+  const tools = data['allowed-tools'];
+  const metadata = data.metadata && typeof data.metadata === 'object' && !Array.isArray(data.metadata)
+    ? data.metadata
+    : {};
+  frontmatterMetadata = metadata;
+
+  const values = {
+    name: data.name === undefined || data.name === null ? '' : String(data.name),
+    description: typeof data.description === 'string' ? data.description : '',
+    license: typeof data.license === 'string' ? data.license : '',
+    'allowed-tools': Array.isArray(tools) ? tools.join(', ') : (typeof tools === 'string' ? tools : ''),
+    metadata: Object.entries(metadata)
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join('\n')
+  };
+
+  for (const input of frontmatterInputs) {
+    // Don't fight the user's cursor in the field they are editing
+    if (input === document.activeElement || pendingFrontmatterFields.has(input.dataset.field)) {
+      continue;
+    }
+    input.value = values[input.dataset.field];
+  }
+
+  fmDescriptionCount.textContent = `${fmDescriptionInput.value.length}/1024 characters`;
+}
+
+function showFrontmatterIssues(issues) {
+  const errorsByField = {};
+  for (const issue of issues) {
+    if (!errorsByField[issue.field]) {
+      errorsByField[issue.field] = [];
+    }
+    errorsByField[issue.field].push(issue.message);
+  }
+
+  frontmatterPanel.querySelectorAll('[data-error-for]').forEach(element => {
+    const messages = errorsByField[element.getAttribute('data-error-for')] || [];
+    element.textContent = messages.join('; ');
+  });
+
+  frontmatterInputs.forEach(input => {
+    input.classList.toggle('invalid', Boolean(errorsByField[input.dataset.field]));
+  });
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  frontmatterStatus.textContent = errorCount > 0 ? `${errorCount} problem(s)` : 'Valid';
+  frontmatterStatus.classList.toggle('has-errors', errorCount > 0);
+}
+
+function readFrontmatterField(field) {
+  switch (field) {
+    case 'allowed-tools':
+      return fmToolsInput.value.split(',').map(tool => tool.trim()).filter(Boolean);
+    case 'metadata': {
+      const metadata = {};
+      for (const line of fmMetadataInput.value.split('\n')) {
+        if (!line.trim()) continue;
+        const separator = line.indexOf(':');
+        if (separator <= 0) {
+          throw new Error('Use one "key: value" pair per line');
+        }
+        const key = line.substring(0, separator).trim();
+        const value = line.substring(separator + 1).trim();
+        metadata[key] = parseMetadataValue(key, value);
+      }
+      return metadata;
+    }
+    case 'name':
+      return fmNameInput.value.trim();
+    case 'description':
+      return fmDescriptionInput.value;
+    case 'license':
+      return fmLicenseInput.value.trim();
+    default:
+      return undefined;
+  }
+}
+
+// The form shows non-string metadata as JSON; read it back as JSON so numbers, booleans
+// and lists aren't turned into strings. Keys that were strings (or are new) stay strings.
+function parseMetadataValue(key, value) {
+  const original = frontmatterMetadata[key];
+  if (original === undefined || typeof original === 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function scheduleFrontmatterApply() {
+  if (frontmatterFormTimer) {
+    clearTimeout(frontmatterFormTimer);
+  }
+  frontmatterFormTimer = setTimeout(applyFrontmatterForm, 400);
+}
+
+// Apply form edits still waiting for the debounce now
+async function flushFrontmatterForm() {
+  if (frontmatterFormTimer) {
+    clearTimeout(frontmatterFormTimer);
+    await applyFrontmatterForm();
+  }
+}
+
+// Form -> YAML: rewrite only the frontmatter lines so the body, cursor and undo stack survive
+async function applyFrontmatterForm() {
+  frontmatterFormTimer = null;
+  if (!editor || !isSkillFileOpen() || pendingFrontmatterFields.size === 0) {
+    return;
+  }
+
+  const fields = Array.from(pendingFrontmatterFields);
+  const data = {};
+  try {
+    for (const field of fields) {
+      data[field] = readFrontmatterField(field);
+    }
+  } catch (error) {
+    frontmatterPanel.querySelector('[data-error-for="metadata"]').textContent = error.message;
+    fmMetadataInput.classList.add('invalid');
+    return;
+  }
+  pendingFrontmatterFields = new Set();
+
+  const model = editor.getModel();
+  const versionId = model.getAlternativeVersionId();
+  const result = await window.electronAPI.updateFrontmatter({ content: model.getValue(), data });
+
+  if (!result.success) {
+    frontmatterPanel.querySelector('[data-error-for="yaml"]').textContent = result.error;
+    return;
+  }
+
+  // A different file is in the editor now; its form edits were reset when it was shown
+  if (editor.getModel() !== model) {
+    return;
+  }
+
+  // The buffer changed while the main process was working; try again against the new content
+  if (model.getAlternativeVersionId() !== versionId) {
+    fields.forEach(field => pendingFrontmatterFields.add(field));
+    scheduleFrontmatterApply();
+    return;
+  }
+
+  const range = result.endLine > 0
+    ? new monaco.Range(result.startLine, 1, result.endLine, model.getLineMaxColumn(result.endLine))
+    : new monaco.Range(1, 1, 1, 1);
+  const text = result.endLine > 0 ? result.text : `${result.text}\n`;
+
+  editor.executeEdits('frontmatter-form', [{ range, text }]);
+}
+
+frontmatterInputs.forEach(input => {
+  input.addEventListener('input', () => {
+    pendingFrontmatterFields.add(input.dataset.field);
+    if (input === fmDescriptionInput) {
+      fmDescriptionCount.textContent = `${fmDescriptionInput.value.length}/1024 characters`;
+    }
+    scheduleFrontmatterApply();
+  });
+});
+
+frontmatterHeader.addEventListener('click', () => {
+  const collapsed = frontmatterPanel.classList.toggle('collapsed');
+  frontmatterToggle.textContent = collapsed ? '▸' : '▾';
+});
+
+// Context menu handlers
+contextMenu.addEventListener('click', async (e) => {
+  e.preventDefault();
+  e.stopPropagation();  // Prevent bubbling to document click listener
+
+  const item = e.target.closest('.context-menu-item');
+  if (!item || !contextMenuTarget) return;
+
+  const action = item.getAttribute('data-action');
+  const target = getNodeTarget(contextMenuTarget);
 
   // Hide context menu immediately for delete action (before confirm dialog)
   if (action === 'delete') {
     hideContextMenu();
   }
 
-  switch (action) {
-    case 'new-file':
-      openCreateItemModal('file');
-      break;
-    case 'new-folder':
-      openCreateItemModal('folder');
-      break;
-    case 'upload-files':
-      triggerFileUpload();
-      break;
-    case 'upload-folder':
-      triggerFolderUpload();
-      break;
-    case 'rename':
-      openRenameModal(nodePath, nodeType);
-      break;
-    case 'delete':
-      openDeleteItemModal(nodePath, nodeType);
-      break;
+  // These don't need the target once they have it; the others read it when they finish
+  if (action === 'git-diff' || action === 'compare' || action === 'toggle-executable') {
+    contextMenuTarget = null;
+  }
+
+  await runCommand(action, target);
+
+  // Hide context menu after action is complete (for non-delete actions)
+  if (action !== 'delete') {
+    hideContextMenu();
+  }
+});
+
+// Close context menu on escape or outside click
+document.addEventListener('click', (e) => {
+  // Don't close menu if clicking on modals or their content
+  if (e.target.closest('.modal')) return;
+  if (contextMenu.style.display !== 'none') {
+    hideContextMenu();
+    contextMenuTarget = null; // Clear target when menu is closed without action
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    if (deleteItemModal.classList.contains('active')) {
+      closeDeleteItemModal();
+      return;
+    }
+    if (skillNameModal.classList.contains('active')) {
+      closeSkillNameModal();
+      return;
+    }
+    if (trashModal.classList.contains('active')) {
+      closeTrashModal();
+      return;
+    }
+    if (preferencesModal.classList.contains('active')) {
+      closePreferencesModal();
+      return;
+    }
+    if (commandPaletteModal.classList.contains('active')) {
+      closeCommandPalette();
+      return;
+    }
+
+    if (gitModal.classList.contains('active')) {
+      closeGitModal();
+      return;
+    }
+    if (compareModal.classList.contains('active')) {
+      closeCompareModal();
+      return;
+    }
+    if (installModal.classList.contains('active')) {
+      closeInstallModal();
+      return;
+    }
+    if (packagePreviewModal.classList.contains('active')) {
+      packagePreviewModal.classList.remove('active');
+      return;
+    }
+    if (packageReportModal.classList.contains('active')) {
+      closePackageReport();
+      return;
+    }
+    if (exportSkillsModal.classList.contains('active')) {
+      exportSkillsModal.classList.remove('active');
+      return;
+    }
+    if (historyModal.classList.contains('active')) {
+      closeHistoryModal();
+      return;
+    }
+
+    if (contextMenu.style.display !== 'none') {
+      hideContextMenu();
+      contextMenuTarget = null; // Clear target when menu is closed without action
+    }
+  }
+});
+
+// Delete item modal
+function openDeleteItemModal(nodePath, nodeType) {
+  const isFolder = nodeType === 'folder';
+  const displayPath = nodePath || '';
+  const baseMessage = isFolder
+    ? `"${displayPath}" and all of its contents will be moved to the Trash.`
+    : `"${displayPath}" will be moved to the Trash.`;
+
+  deleteItemTitle.textContent = isFolder ? 'Delete Folder?' : 'Delete File?';
+  deleteItemMessage.textContent = `${baseMessage} You can restore it from there.`;
+
+  deleteItemModal.setAttribute('data-node-path', nodePath);
+  deleteItemModal.setAttribute('data-node-type', nodeType || '');
+  deleteItemModal.classList.add('active');
+  deleteItemConfirmBtn.disabled = false;
+
+  // Clear the context menu target once we're showing the modal
+  contextMenuTarget = null;
+
+  // Defer focus so the modal is visible before moving focus
+  setTimeout(() => {
+    deleteItemConfirmBtn.focus();
+  }, 0);
+}
+
+function closeDeleteItemModal(resetButton = true) {
+  deleteItemModal.classList.remove('active');
+  deleteItemModal.removeAttribute('data-node-path');
+  deleteItemModal.removeAttribute('data-node-type');
+  if (resetButton) {
+    deleteItemConfirmBtn.disabled = false;
+  }
+  contextMenuTarget = null;
+}
+
+deleteItemCancelBtn.addEventListener('click', () => {
+  closeDeleteItemModal();
+});
+
+deleteItemConfirmBtn.addEventListener('click', async () => {
+  const nodePath = deleteItemModal.getAttribute('data-node-path');
+
+  if (!nodePath) {
+    closeDeleteItemModal();
+    showNotification('No file or folder selected', 'error');
+    return;
+  }
+
+  deleteItemConfirmBtn.disabled = true;
+  closeDeleteItemModal(false);
+
+  try {
+    await performDeleteFileOrFolder(nodePath);
+  } finally {
+    deleteItemConfirmBtn.disabled = false;
+  }
+});
+
+// Create item modal
+function openCreateItemModal(type) {
+  // Clear the input value
+  itemNameInput.value = '';
+
+  if (type === 'file') {
+    createItemTitle.textContent = 'Create New File';
+    itemNameHint.textContent = 'Include file extension (e.g., .md, .py, .js)';
+  } else {
+    createItemTitle.textContent = 'Create New Folder';
+    itemNameHint.textContent = 'Folder name';
+  }
+  createItemModal.setAttribute('data-create-type', type);
+  createItemModal.classList.add('active');
+
+  itemNameInput.focus();
+  // Force focus again after a delay in case it was blocked
+  setTimeout(() => {
+    itemNameInput.focus();
+  }, 100);
+}
+
+createItemCancelBtn.addEventListener('click', () => {
+  createItemModal.classList.remove('active');
+  contextMenuTarget = null; // Clear target when modal is cancelled
+});
+
+createItemConfirmBtn.addEventListener('click', async () => {
+  const name = itemNameInput.value.trim();
+  const type = createItemModal.getAttribute('data-create-type');
+
+  if (!name) {
+    showNotification('Please enter a name', 'error');
+    return;
+  }
+
+  if (!currentSkill) {
+    showNotification('No skill selected', 'error');
+    return;
+  }
+
+  createItemModal.classList.remove('active');
+
+  const nodePath = contextMenuTarget ? contextMenuTarget.getAttribute('data-node-path') : '';
+  const itemPath = nodePath ? `${nodePath}/${name}` : name;
+
+  try {
+    let result;
+    if (type === 'file') {
+      result = await window.electronAPI.createFile({
+        skillPath: currentSkill.path,
+        filePath: itemPath,
+        content: ''
+      });
+    } else {
+      result = await window.electronAPI.createFolder({
+        skillPath: currentSkill.path,
+        folderPath: itemPath
+      });
+    }
+
+    if (result.success) {
+      showNotification(`${type === 'file' ? 'File' : 'Folder'} created successfully`, 'success');
+      deactivateDragZone();
+      await loadFileTree();
+
+      // Auto-load newly created files so user can start editing immediately
+      if (type === 'file') {
+        await loadFileFromTree(itemPath);
+      }
+    } else {
+      showNotification(`Failed to create ${type}: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error(`Error creating ${type}:`, error);
+    showNotification(`Error creating ${type}`, 'error');
+  } finally {
+    // Clear the context menu target after the operation completes
+    contextMenuTarget = null;
+  }
+});
+
+// Rename modal
+function openRenameModal(nodePath, nodeType) {
+  const currentName = nodePath.split('/').pop();
+  renameInput.value = currentName;
+  renameModal.classList.add('active');
+  renameModal.setAttribute('data-node-path', nodePath);
+  renameInput.focus();
+  renameInput.select();
+}
+
+renameCancelBtn.addEventListener('click', () => {
+  renameModal.classList.remove('active');
+});
+
+renameConfirmBtn.addEventListener('click', async () => {
+  const newName = renameInput.value.trim();
+  const nodePath = renameModal.getAttribute('data-node-path');
+
+  if (!newName) {
+    showNotification('Please enter a name', 'error');
+    return;
+  }
+
+  if (!currentSkill || !nodePath) {
+    showNotification('No skill or file selected', 'error');
+    return;
+  }
+
+  renameModal.classList.remove('active');
+  await autoSave();
+
+  try {
+    const result = await window.electronAPI.renameFileOrFolder({
+      skillPath: currentSkill.path,
+      oldPath: nodePath,
+      newName: newName
+    });
+
+    if (result.success) {
+      showNotification('Renamed successfully', 'success');
+      deactivateDragZone();
+      // Tabs of the renamed file, or of files in the renamed folder, follow it
+      retargetTabs(currentSkillDir, nodePath, result.newPath);
+      await loadFileTree();
+
+      await offerLinkRewrites(nodePath, result.newPath);
+    } else {
+      showNotification(`Failed to rename: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error renaming:', error);
+    showNotification('Error renaming', 'error');
+  }
+});
+
+// Move file to folder
+async function moveFileToFolder(filePath, targetFolderPath) {
+  if (!currentSkill) return;
+
+  // Don't allow moving into the same folder
+  const currentFolder = filePath.includes('/') ? filePath.substring(0, filePath.lastIndexOf('/')) : '';
+  if (currentFolder === targetFolderPath) {
+    showNotification('File is already in this folder', 'error');
+    return;
+  }
+
+  const fileName = filePath.split('/').pop();
+  const newPath = targetFolderPath ? `${targetFolderPath}/${fileName}` : fileName;
+
+  await autoSave();
+
+  try {
+    const result = await window.electronAPI.moveFile({
+      skillPath: currentSkill.path,
+      oldPath: filePath,
+      newPath: newPath
+    });
+
+    if (result.success) {
+      showNotification('File moved successfully', 'success');
+      deactivateDragZone();
+      retargetTabs(currentSkillDir, filePath, result.newPath || newPath);
+      await loadFileTree();
+
+      await offerLinkRewrites(filePath, result.newPath || newPath);
+    } else {
+      showNotification(`Failed to move file: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error moving file:', error);
+    showNotification('Error moving file', 'error');
+  }
+}
+
+// Version history modal
+async function openHistoryModal() {
+  if (!currentSkill) return;
+
+  await autoSave();
+  historySkillName.textContent = currentSkill.name;
+  historyModal.classList.add('active');
+  await refreshHistoryTimeline();
+}
+
+function closeHistoryModal() {
+  historyModal.classList.remove('active');
+  disposeHistoryDiff();
+  historySnapshotId = null;
+  historyFilePath = null;
+}
+
+async function refreshHistoryTimeline() {
+  const result = await window.electronAPI.listSnapshots({ skillPath: currentSkill.path });
+  historyTimeline.innerHTML = '';
+  historyFiles.innerHTML = '';
+  showHistoryMessage('Select a snapshot');
+
+  if (!result.success || result.snapshots.length === 0) {
+    showHistoryMessage(result.success ? 'No history recorded yet' : result.error);
+    historyRestoreFileBtn.disabled = true;
+    historyRestoreSkillBtn.disabled = true;
+    return;
+  }
+
+  result.snapshots.forEach(snapshot => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.setAttribute('data-snapshot-id', snapshot.id);
+
+    const time = document.createElement('div');
+    time.className = 'history-item-time';
+    time.textContent = new Date(snapshot.timestamp).toLocaleString();
+
+    const reason = document.createElement('div');
+    reason.textContent = snapshot.id === result.packagedSnapshotId && snapshot.reason !== 'Packaged'
+      ? `${snapshot.reason} · last packaged`
+      : snapshot.reason;
+
+    item.appendChild(time);
+    item.appendChild(reason);
+    item.addEventListener('click', () => selectSnapshot(snapshot.id));
+    historyTimeline.appendChild(item);
+  });
+
+  const keepSelection = result.snapshots.some(snapshot => snapshot.id === historySnapshotId);
+  await selectSnapshot(keepSelection ? historySnapshotId : result.snapshots[0].id);
+}
+
+async function selectSnapshot(snapshotId) {
+  historySnapshotId = snapshotId;
+  historyTimeline.querySelectorAll('.history-item').forEach(item => {
+    item.classList.toggle('active', item.getAttribute('data-snapshot-id') === snapshotId);
+  });
+
+  const result = await window.electronAPI.getSnapshot({ skillPath: currentSkill.path, snapshotId });
+  historyFiles.innerHTML = '';
+  historyRestoreSkillBtn.disabled = !result.success;
+
+  if (!result.success) {
+    showHistoryMessage(result.error);
+    return;
+  }
+
+  const statusLabels = { modified: 'M', added: 'A', deleted: 'D', unchanged: '' };
+  const statusTitles = {
+    modified: 'Changed since this snapshot',
+    added: 'Created after this snapshot',
+    deleted: 'Removed since this snapshot',
+    unchanged: 'Unchanged'
+  };
+
+  result.files.forEach(file => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.setAttribute('data-file-path', file.path);
+    item.title = statusTitles[file.status];
+
+    const status = document.createElement('span');
+    status.className = `history-status ${file.status}`;
+    status.textContent = statusLabels[file.status];
+
+    const name = document.createElement('span');
+    name.textContent = file.path;
+
+    item.appendChild(status);
+    item.appendChild(name);
+    item.addEventListener('click', () => selectHistoryFile(file));
+    historyFiles.appendChild(item);
+  });
+
+  // Prefer the file open in the editor, then the first changed file
+  const openPath = getOpenFilePath();
+  const preferred = result.files.find(file => file.path === openPath && file.status !== 'unchanged') ||
+    result.files.find(file => file.status !== 'unchanged') ||
+    result.files.find(file => file.path === openPath) ||
+    result.files[0];
+
+  if (preferred) {
+    await selectHistoryFile(preferred);
+  } else {
+    historyFilePath = null;
+    historyRestoreFileBtn.disabled = true;
+    showHistoryMessage('This snapshot has no files');
+  }
+}
+
+async function selectHistoryFile(file) {
+  historyFilePath = file.path;
+  historyFiles.querySelectorAll('.history-item').forEach(item => {
+    item.classList.toggle('active', item.getAttribute('data-file-path') === file.path);
+  });
+  historyRestoreFileBtn.disabled = file.status === 'unchanged';
+
+  if (!file.editable) {
+    showHistoryMessage('This file type has no text diff');
+    return;
+  }
+
+  const snapshotResult = await window.electronAPI.getSnapshotFile({
+    skillPath: currentSkill.path,
+    snapshotId: historySnapshotId,
+    filePath: file.path
+  });
+  const currentResult = file.status === 'deleted'
+    ? { success: true, content: '' }
+    : await window.electronAPI.loadFile({ filePath: `${currentSkillDir}/${file.path}` });
+
+  if (!snapshotResult.success || !currentResult.success) {
+    showHistoryMessage('Failed to load file contents');
+    return;
+  }
+
+  showHistoryDiff(snapshotResult.content, currentResult.content, getLanguageMode(file.path));
+}
+
+function showHistoryMessage(message) {
+  disposeHistoryDiff();
+  historyDiff.innerHTML = '';
+  const element = document.createElement('div');
+  element.className = 'history-diff-message';
+  element.textContent = message;
+  historyDiff.appendChild(element);
+}
+
+// Snapshot on the left, current file on the right
+function showHistoryDiff(originalText, modifiedText, language) {
+  disposeHistoryDiff();
+  historyDiff.innerHTML = '';
+  historyDiffEditor = mountDiffEditor(historyDiff, originalText, modifiedText, language);
+}
+
+function disposeHistoryDiff() {
+  disposeDiffEditor(historyDiffEditor);
+  historyDiffEditor = null;
+}
+
+// Read-only Monaco diff editor shared by the history, git and compare views
+function mountDiffEditor(container, originalText, modifiedText, language) {
+  if (typeof monaco === 'undefined') return null;
+
+  const diffEditor = monaco.editor.createDiffEditor(container, {
+    readOnly: true,
+    automaticLayout: true,
+    minimap: { enabled: false },
+    scrollBeyondLastLine: false,
+    ...getEditorFontOptions()
+  });
+  diffEditor.setModel({
+    original: monaco.editor.createModel(originalText, language),
+    modified: monaco.editor.createModel(modifiedText, language)
+  });
+  return diffEditor;
+}
+
+function disposeDiffEditor(diffEditor) {
+  if (!diffEditor) return;
+
+  const model = diffEditor.getModel();
+  diffEditor.dispose();
+  if (model) {
+    model.original.dispose();
+    model.modified.dispose();
+  }
+}
+
+async function restoreFromHistory(filePath) {
+  if (!currentSkill || !historySnapshotId) return;
+
+  const result = await window.electronAPI.restoreSnapshot({
+    skillPath: currentSkill.path,
+    snapshotId: historySnapshotId,
+    ...(filePath ? { filePath } : {})
+  });
+
+  if (!result.success) {
+    showNotification(`Restore failed: ${result.error}`, 'error');
+    return;
+  }
+
+  showNotification(filePath ? `Restored ${filePath}` : 'Restored skill', 'success');
+  deactivateDragZone();
+
+  await reloadOpenFileIfChanged(result.restoredFiles);
+  await loadFileTree();
+
+  await refreshHistoryTimeline();
+}
+
+historyBtn.addEventListener('click', () => {
+  openHistoryModal();
+});
+
+historyCloseBtn.addEventListener('click', () => {
+  closeHistoryModal();
+});
+
+historyRestoreFileBtn.addEventListener('click', () => {
+  if (historyFilePath) {
+    restoreFromHistory(historyFilePath);
+  }
+});
+
+historyRestoreSkillBtn.addEventListener('click', () => {
+  restoreFromHistory(null);
+});
+
+// External changes: refresh the list and tree, and reconcile the open file
+async function handleSkillsChanged(changes) {
+  invalidatePaletteFiles(changes.some(change => change.skill === '') ? null : changes.map(change => change.skill));
+  const currentSkillName = currentSkillDir ? currentSkillDir.split('/').pop() : null;
+  const touchesCurrent = changes.some(change => change.skill === currentSkillName);
+  const touchesList = changes.some(change => change.skill !== currentSkillName ||
+    change.path === '' || change.path === 'SKILL.md');
+
+  if (touchesList) {
+    await loadSkills();
+  } else if (touchesCurrent) {
+    await loadFileTree();
+  }
+  refreshInstalledSkills();
+
+  // Tabs in the background are checked when they are shown again
+  const touchesTab = tab => changes.some(change => change.skill === '' ||
+    (change.skill === tab.skillDir.split('/').pop() && (change.path === tab.path || change.path === '')));
+  openTabs.forEach(tab => {
+    if (tab !== activeTab && tab.model && touchesTab(tab)) {
+      tab.changedOnDisk = true;
+    }
+  });
+
+  if (getOpenEditablePath() && touchesTab(activeTab)) {
+    await checkOpenFileOnDisk();
+  }
+}
+
+function getOpenEditablePath() {
+  return activeTab && activeTab.model ? activeTab.path : null;
+}
+
+async function readDiskContent(filePath) {
+  const result = await window.electronAPI.loadFile({ filePath });
+  return result.success && result.metadata.editable ? result.content : null;
+}
+
+async function checkOpenFileOnDisk() {
+  const openPath = getOpenEditablePath();
+  if (!openPath || !editor) return;
+
+  const diskContent = await readDiskContent(`${currentSkillDir}/${openPath}`);
+  if (diskContent === null || diskContent === activeTab.savedContent) return;
+
+  if (activeTab.dirty) {
+    showExternalConflict();
+    return;
+  }
+
+  // No local edits: take the new version and keep the cursor where it was
+  const viewState = editor.saveViewState();
+  setEditorContent(diskContent);
+  editor.restoreViewState(viewState);
+  showNotification(`Reloaded ${openPath} (changed on disk)`, 'success');
+}
+
+function showExternalConflict() {
+  activeTab.externalConflict = true;
+  if (activeTab.saveTimer) {
+    clearTimeout(activeTab.saveTimer);
+    activeTab.saveTimer = null;
   }
+  conflictMessage.textContent = `${getOpenFilePath()} was changed outside the editor while you had unsaved edits. Reload the version on disk, keep yours, or compare them first.`;
+  conflictModal.classList.add('active');
+}
 
-  // Hide context menu after action is complete (for non-delete actions)
-  if (action !== 'delete') {
-    hideContextMenu();
+conflictReloadBtn.addEventListener('click', async () => {
+  conflictModal.classList.remove('active');
+  closeCompareModal();
+  const openPath = getOpenEditablePath();
+  const diskContent = openPath ? await readDiskContent(`${currentSkillDir}/${openPath}`) : null;
+  if (diskContent !== null) {
+    const viewState = editor.saveViewState();
+    setEditorContent(diskContent);
+    editor.restoreViewState(viewState);
+  }
+  if (activeTab) {
+    activeTab.externalConflict = false;
   }
 });
 
-// Close context menu on escape or outside click
-document.addEventListener('click', (e) => {
-  // Don't close menu if clicking on modals or their content
-  if (e.target.closest('.modal')) return;
-  if (contextMenu.style.display !== 'none') {
-    hideContextMenu();
-    contextMenuTarget = null; // Clear target when menu is closed without action
+conflictKeepBtn.addEventListener('click', async () => {
+  conflictModal.classList.remove('active');
+  closeCompareModal();
+  const openPath = getOpenEditablePath();
+  const diskContent = openPath ? await readDiskContent(`${currentSkillDir}/${openPath}`) : null;
+  if (!activeTab) return;
+  // Accept the disk version as the base so the next save goes through
+  const tab = activeTab;
+  if (diskContent !== null) {
+    tab.savedContent = diskContent;
   }
+  tab.externalConflict = false;
+  tab.savedVersionId = null;
+  setTabDirty(tab, true);
+  await saveTab(tab);
 });
 
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape') {
-    if (deleteItemModal.classList.contains('active')) {
-      closeDeleteItemModal();
+conflictDiffBtn.addEventListener('click', () => {
+  // Disk on the left, editor on the right; the conflict prompt stays open underneath
+  openCompareModal({ mode: 'saved' });
+});
+
+// Claude Code installs: badges in the skills list and the install modal
+const installStatusTitles = {
+  linked: 'Symlinked to the library',
+  'in-sync': 'Installed copy matches the library',
+  drifted: 'Installed copy differs from the library',
+  'not-in-library': 'Not in the library'
+};
+
+let installedSkills = []; // Last list-installed-skills result, redrawn whenever the list is rebuilt
+let installedSkillsRequestId = 0;
+
+// Comparing installed copies with the library hashes both trees, so it runs only when
+// something may have changed; the latest request wins
+async function refreshInstalledSkills() {
+  const requestId = ++installedSkillsRequestId;
+  const result = await window.electronAPI.listInstalledSkills();
+  if (requestId !== installedSkillsRequestId) return;
+
+  installedSkills = result.success ? result.installed : [];
+  decorateInstalledSkills();
+}
+
+function decorateInstalledSkills() {
+  skillsList.querySelectorAll('.install-badges, .installed-elsewhere').forEach(element => element.remove());
+
+  const outsideLibrary = [];
+  installedSkills.forEach(install => {
+    if (!install.librarySkillPath) {
+      outsideLibrary.push(install);
       return;
     }
 
-    if (contextMenu.style.display !== 'none') {
-      hideContextMenu();
-      contextMenuTarget = null; // Clear target when menu is closed without action
+    const item = findSkillItemElement(install.librarySkillPath);
+    if (!item) return;
+
+    let badges = item.querySelector('.install-badges');
+    if (!badges) {
+      badges = document.createElement('div');
+      badges.className = 'install-badges';
+      item.querySelector('.skill-header-text').appendChild(badges);
     }
+
+    const badge = document.createElement('span');
+    badge.className = `install-badge ${install.status}`;
+    badge.textContent = install.status === 'drifted' ? `${install.targetLabel} · drifted` : install.targetLabel;
+    badge.title = installStatusTitles[install.status];
+    badges.appendChild(badge);
+  });
+
+  if (outsideLibrary.length === 0) return;
+
+  const title = document.createElement('div');
+  title.className = 'installed-elsewhere installed-elsewhere-title';
+  title.textContent = 'Installed outside the library';
+  skillsList.appendChild(title);
+
+  outsideLibrary.forEach(install => {
+    const item = document.createElement('div');
+    item.className = 'skill-item installed-elsewhere';
+
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'skill-name';
+    nameDiv.textContent = install.name;
+
+    const descDiv = document.createElement('div');
+    descDiv.className = 'skill-desc';
+    descDiv.textContent = install.targetLabel;
+
+    const pullButton = document.createElement('button');
+    pullButton.className = 'btn-small btn-icon';
+    pullButton.textContent = '⬇️ Pull into Library';
+    pullButton.addEventListener('click', (event) => {
+      event.stopPropagation();
+      pullInstalledSkill(install);
+    });
+
+    item.appendChild(nameDiv);
+    item.appendChild(descDiv);
+    item.appendChild(pullButton);
+    skillsList.appendChild(item);
+  });
+}
+
+// Claude Code, or another app, may have changed the installed copies while we were away
+window.addEventListener('focus', refreshInstalledSkills);
+
+async function openInstallModal() {
+  if (!currentSkill) return;
+
+  await autoSave();
+  installSkillName.textContent = currentSkill.name;
+  installModal.classList.add('active');
+  await refreshInstallTargets();
+  await refreshInstallStatus();
+}
+
+function closeInstallModal() {
+  installModal.classList.remove('active');
+}
+
+async function refreshInstallTargets(selectedTarget = installTargetSelect.value) {
+  const result = await window.electronAPI.listInstallTargets();
+  installTargetSelect.innerHTML = '';
+  if (!result.success) return;
+
+  result.targets.forEach(target => {
+    const option = document.createElement('option');
+    option.value = target.id;
+    option.textContent = target.label;
+    option.title = target.dir;
+    installTargetSelect.appendChild(option);
+  });
+
+  if (result.targets.some(target => target.id === selectedTarget)) {
+    installTargetSelect.value = selectedTarget;
   }
-});
+  installRemoveProjectBtn.disabled = installTargetSelect.value === 'personal';
+}
 
-// Delete item modal
-function openDeleteItemModal(nodePath, nodeType) {
-  const isFolder = nodeType === 'folder';
-  const displayPath = nodePath || '';
-  const baseMessage = isFolder
-    ? `This will permanently delete "${displayPath}" and all of its contents.`
-    : `This will permanently delete "${displayPath}".`;
+// Installed copies of the open skill, each with push/pull
+async function refreshInstallStatus() {
+  const result = await window.electronAPI.listInstalledSkills();
+  installStatusList.innerHTML = '';
 
-  deleteItemTitle.textContent = isFolder ? 'Delete Folder?' : 'Delete File?';
-  deleteItemMessage.textContent = `${baseMessage} This action cannot be undone.`;
+  const installs = result.success
+    ? result.installed.filter(install => install.librarySkillPath &&
+      normalizePath(install.librarySkillPath) === normalizePath(currentSkill.path))
+    : [];
 
-  deleteItemModal.setAttribute('data-node-path', nodePath);
-  deleteItemModal.setAttribute('data-node-type', nodeType || '');
-  deleteItemModal.classList.add('active');
-  deleteItemConfirmBtn.disabled = false;
+  if (installs.length === 0) {
+    installStatusList.textContent = 'Not installed anywhere yet';
+    return;
+  }
 
-  // Clear the context menu target once we're showing the modal
-  contextMenuTarget = null;
+  installs.forEach(install => {
+    const row = document.createElement('div');
+    row.className = 'install-status-item';
+
+    const label = document.createElement('span');
+    label.className = 'install-status-label';
+    label.textContent = install.targetLabel;
+    label.title = install.path;
+
+    const badge = document.createElement('span');
+    badge.className = `install-badge ${install.status}`;
+    badge.textContent = install.status;
+    badge.title = installStatusTitles[install.status];
+
+    row.appendChild(label);
+    row.appendChild(badge);
+
+    if (install.status !== 'linked') {
+      const pushButton = document.createElement('button');
+      pushButton.className = 'btn-small btn-toolbar';
+      pushButton.textContent = 'Push';
+      pushButton.title = 'Overwrite the installed copy with the library version';
+      pushButton.disabled = install.status === 'in-sync';
+      pushButton.addEventListener('click', () => pushInstalledSkill(install));
+
+      const pullButton = document.createElement('button');
+      pullButton.className = 'btn-small btn-toolbar';
+      pullButton.textContent = 'Pull';
+      pullButton.title = 'Replace the library version with the installed copy';
+      pullButton.disabled = install.status === 'in-sync';
+      pullButton.addEventListener('click', () => pullInstalledSkill(install));
+
+      row.appendChild(pushButton);
+      row.appendChild(pullButton);
+    }
 
-  // Defer focus so the modal is visible before moving focus
-  setTimeout(() => {
-    deleteItemConfirmBtn.focus();
-  }, 0);
+    installStatusList.appendChild(row);
+  });
 }
 
-function closeDeleteItemModal(resetButton = true) {
-  deleteItemModal.classList.remove('active');
-  deleteItemModal.removeAttribute('data-node-path');
-  deleteItemModal.removeAttribute('data-node-type');
-  if (resetButton) {
-    deleteItemConfirmBtn.disabled = false;
+async function pushInstalledSkill(install) {
+  if (!await saveBeforeDiskAction('Pushing')) return;
+  const result = await window.electronAPI.pushInstalledSkill({ target: install.target, name: install.name });
+
+  if (result.success) {
+    showNotification(`Pushed ${install.name} to ${install.targetLabel}`, 'success');
+  } else {
+    showNotification('Push failed: ' + result.error, 'error');
   }
-  contextMenuTarget = null;
+
+  await refreshInstallStatus();
+  refreshInstalledSkills();
 }
 
-deleteItemCancelBtn.addEventListener('click', () => {
-  closeDeleteItemModal();
+async function pullInstalledSkill(install) {
+  await autoSave();
+  const result = await window.electronAPI.pullInstalledSkill({ target: install.target, name: install.name });
+
+  if (!result.success) {
+    showNotification('Pull failed: ' + result.error, 'error');
+    return;
+  }
+
+  showNotification(`Pulled ${install.name} from ${install.targetLabel}`, 'success');
+  const pulledPath = normalizePath(result.skillPath);
+  const pulledDir = getParentDirectory(pulledPath);
+  await reloadOpenFileIfChanged(openTabs.map(tab => tab.path), pulledDir);
+  if (currentSkillDir === pulledDir) {
+    await loadFileTree();
+  }
+  await loadSkills();
+  refreshInstalledSkills();
+
+  if (installModal.classList.contains('active')) {
+    await refreshInstallStatus();
+  }
+}
+
+installBtn.addEventListener('click', () => {
+  openInstallModal();
 });
 
-deleteItemConfirmBtn.addEventListener('click', async () => {
-  const nodePath = deleteItemModal.getAttribute('data-node-path');
+installCloseBtn.addEventListener('click', () => {
+  closeInstallModal();
+});
 
-  if (!nodePath) {
-    closeDeleteItemModal();
-    showNotification('No file or folder selected', 'error');
-    return;
+installTargetSelect.addEventListener('change', () => {
+  installRemoveProjectBtn.disabled = installTargetSelect.value === 'personal';
+});
+
+installAddProjectBtn.addEventListener('click', async () => {
+  const dialogResult = await window.electronAPI.openFolderDialog();
+  if (!dialogResult.success) return;
+
+  const result = await window.electronAPI.addInstallTarget({ projectPath: dialogResult.folderPath });
+  if (result.success) {
+    await refreshInstallTargets(result.target);
+    await refreshInstallStatus();
+  } else {
+    showNotification(result.error, 'error');
   }
+});
 
-  deleteItemConfirmBtn.disabled = true;
-  closeDeleteItemModal(false);
+installRemoveProjectBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.removeInstallTarget({ target: installTargetSelect.value });
+  if (result.success) {
+    await refreshInstallTargets('personal');
+    await refreshInstallStatus();
+    refreshInstalledSkills();
+  }
+});
+
+installConfirmBtn.addEventListener('click', async () => {
+  if (!currentSkill || !installTargetSelect.value) return;
+
+  if (!await saveBeforeDiskAction('Installing', currentSkillDir)) return;
+  installConfirmBtn.disabled = true;
+  const result = await window.electronAPI.installSkill({
+    skillPath: currentSkill.path,
+    target: installTargetSelect.value,
+    mode: installModeSelect.value
+  });
+  installConfirmBtn.disabled = false;
+
+  if (result.success) {
+    const skippedNote = result.skipped.length > 0 ? ` (${result.skipped.length} item(s) skipped)` : '';
+    showNotification(`Installed to ${installTargetSelect.selectedOptions[0].textContent}${skippedNote}`, 'success');
+    await refreshInstallStatus();
+    refreshInstalledSkills();
+  } else {
+    showNotification(result.error, 'error');
+  }
+});
+
+// Compare modal: the editor against its saved or packaged state, or any two files
+// in the library (including the same path in two skills)
+async function openCompareModal({ mode = 'saved', leftFile = null } = {}) {
+  if (!currentSkill) return;
+
+  const skills = (await window.electronAPI.listSkills()).map(skill => ({
+    ...skill,
+    path: normalizePath(skill.path)
+  }));
+
+  [compareLeftSkill, compareRightSkill].forEach(select => {
+    select.innerHTML = '';
+    skills.forEach(skill => {
+      const option = document.createElement('option');
+      option.value = skill.path;
+      option.textContent = skill.name;
+      select.appendChild(option);
+    });
+    select.value = currentSkill.path;
+  });
+
+  const openPath = getOpenFilePath();
+  await populateCompareFiles(compareLeftFile, currentSkill.path, leftFile || openPath);
+  await populateCompareFiles(compareRightFile, currentSkill.path, openPath);
+
+  compareModeSelect.value = mode;
+  compareModal.classList.add('active');
+  updateCompareControls();
+  await runCompare();
+}
+
+function closeCompareModal() {
+  compareModal.classList.remove('active');
+  compareRequestId++;
+  disposeCompareDiff();
+}
+
+function updateCompareControls() {
+  const comparingFiles = compareModeSelect.value === 'files';
+  compareLeftSide.style.visibility = comparingFiles ? 'visible' : 'hidden';
+  // The editor side is always the open skill unless comparing arbitrary files
+  compareRightSkill.disabled = !comparingFiles;
+  if (!comparingFiles && compareRightSkill.value !== currentSkill.path) {
+    compareRightSkill.value = currentSkill.path;
+    return populateCompareFiles(compareRightFile, currentSkill.path, compareRightFile.value);
+  }
+  return Promise.resolve();
+}
+
+function collectEditableFilePaths(nodes, paths = []) {
+  for (const node of nodes) {
+    if (node.type === 'folder') {
+      collectEditableFilePaths(node.children || [], paths);
+    } else if (node.editable) {
+      paths.push(node.path);
+    }
+  }
+  return paths;
+}
+
+// Fill a file picker, keeping the preferred path when the skill has it
+async function populateCompareFiles(select, skillPath, preferredPath) {
+  const result = await window.electronAPI.listSkillFiles(skillPath);
+  const paths = result.success ? collectEditableFilePaths(result.files) : [];
+
+  select.innerHTML = '';
+  paths.forEach(filePath => {
+    const option = document.createElement('option');
+    option.value = filePath;
+    option.textContent = filePath;
+    select.appendChild(option);
+  });
+
+  if (paths.includes(preferredPath)) {
+    select.value = preferredPath;
+  } else if (paths.includes('SKILL.md')) {
+    select.value = 'SKILL.md';
+  }
+}
+
+// The open file is read from the editor so unsaved edits show up
+async function readCompareSide(skillPath, filePath, { live = true } = {}) {
+  const isOpenFile = currentSkill && skillPath === currentSkill.path &&
+    filePath === getOpenFilePath() && (!currentFile || currentFile.editable);
+
+  if (live && isOpenFile && editor) {
+    return editor.getValue();
+  }
+
+  const result = await window.electronAPI.loadFile({ filePath: `${getParentDirectory(skillPath)}/${filePath}` });
+  if (!result.success || !result.metadata.editable) {
+    throw new Error(result.error || (result.metadata && result.metadata.error) || 'This file type has no text diff');
+  }
+  return result.content;
+}
+
+async function readPackagedVersion(filePath) {
+  const snapshots = await window.electronAPI.listSnapshots({ skillPath: currentSkill.path });
+  if (!snapshots.success || !snapshots.packagedSnapshotId) {
+    throw new Error('This skill has not been packaged yet');
+  }
+
+  const result = await window.electronAPI.getSnapshotFile({
+    skillPath: currentSkill.path,
+    snapshotId: snapshots.packagedSnapshotId,
+    filePath
+  });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  // Files added since the last package diff against an empty original
+  return result.content;
+}
+
+async function runCompare() {
+  const requestId = ++compareRequestId;
+  const mode = compareModeSelect.value;
+  const rightSkillPath = compareRightSkill.value;
+  const rightFile = compareRightFile.value;
+
+  if (!rightFile || (mode === 'files' && !compareLeftFile.value)) {
+    showCompareMessage('Pick files to compare');
+    return;
+  }
 
   try {
-    await performDeleteFileOrFolder(nodePath);
-  } finally {
-    deleteItemConfirmBtn.disabled = false;
+    let original;
+    if (mode === 'saved') {
+      original = await readCompareSide(rightSkillPath, rightFile, { live: false });
+    } else if (mode === 'packaged') {
+      original = await readPackagedVersion(rightFile);
+    } else {
+      original = await readCompareSide(compareLeftSkill.value, compareLeftFile.value);
+    }
+    const modified = await readCompareSide(rightSkillPath, rightFile);
+
+    if (requestId !== compareRequestId) return;
+    disposeCompareDiff();
+    compareDiff.innerHTML = '';
+    compareDiffEditor = mountDiffEditor(compareDiff, original, modified, getLanguageMode(rightFile));
+  } catch (error) {
+    if (requestId !== compareRequestId) return;
+    showCompareMessage(error.message);
   }
+}
+
+function showCompareMessage(message) {
+  disposeCompareDiff();
+  compareDiff.innerHTML = '';
+  const element = document.createElement('div');
+  element.className = 'history-diff-message';
+  element.textContent = message;
+  compareDiff.appendChild(element);
+}
+
+function disposeCompareDiff() {
+  disposeDiffEditor(compareDiffEditor);
+  compareDiffEditor = null;
+}
+
+compareBtn.addEventListener('click', () => {
+  openCompareModal();
 });
 
-// Create item modal
-function openCreateItemModal(type) {
-  // Clear the input value
-  itemNameInput.value = '';
+compareCloseBtn.addEventListener('click', () => {
+  closeCompareModal();
+});
 
-  if (type === 'file') {
-    createItemTitle.textContent = 'Create New File';
-    itemNameHint.textContent = 'Include file extension (e.g., .md, .py, .js)';
+compareModeSelect.addEventListener('change', async () => {
+  await updateCompareControls();
+  runCompare();
+});
+
+compareLeftSkill.addEventListener('change', async () => {
+  await populateCompareFiles(compareLeftFile, compareLeftSkill.value, compareLeftFile.value);
+  runCompare();
+});
+
+compareRightSkill.addEventListener('change', async () => {
+  await populateCompareFiles(compareRightFile, compareRightSkill.value, compareRightFile.value);
+  runCompare();
+});
+
+compareLeftFile.addEventListener('change', runCompare);
+compareRightFile.addEventListener('change', runCompare);
+
+// Git: file tree badges and the source control modal
+async function refreshGitStatus() {
+  if (!currentSkill) return;
+
+  const skillPath = currentSkill.path;
+  const result = await window.electronAPI.gitStatus({ skillPath });
+  if (!currentSkill || currentSkill.path !== skillPath) return;
+
+  gitState = result.success ? result : null;
+  applyGitDecorations();
+}
+
+// Git only runs for a skill once its Source Control has been opened, so browsing a
+// downloaded skill never runs git against a repository it brought along
+function refreshGitBadges() {
+  if (currentSkill && gitOpenedSkills.has(currentSkill.path)) {
+    refreshGitStatus();
   } else {
-    createItemTitle.textContent = 'Create New Folder';
-    itemNameHint.textContent = 'Folder name';
+    gitState = null;
+    applyGitDecorations();
   }
-  createItemModal.setAttribute('data-create-type', type);
-  createItemModal.classList.add('active');
+}
 
-  itemNameInput.focus();
-  // Force focus again after a delay in case it was blocked
-  setTimeout(() => {
-    itemNameInput.focus();
-  }, 100);
+function applyGitDecorations() {
+  if (!currentFileTreeContainer) return;
+
+  const statusByPath = new Map();
+  if (gitState && gitState.isRepo) {
+    gitState.files.forEach(file => statusByPath.set(file.path, file.status));
+  }
+
+  const statusLabels = { modified: 'M', added: 'A', deleted: 'D', renamed: 'R' };
+  currentFileTreeContainer.querySelectorAll('.file-tree-node.file').forEach(node => {
+    const existing = node.querySelector('.git-badge');
+    if (existing) existing.remove();
+
+    const status = statusByPath.get(node.getAttribute('data-node-path'));
+    if (status) {
+      const badge = document.createElement('span');
+      badge.className = `git-badge ${status}`;
+      badge.textContent = statusLabels[status];
+      node.appendChild(badge);
+    }
+  });
 }
 
-createItemCancelBtn.addEventListener('click', () => {
-  createItemModal.classList.remove('active');
-  contextMenuTarget = null; // Clear target when modal is cancelled
-});
+async function openGitModal(filePath = null) {
+  if (!currentSkill) return;
 
-createItemConfirmBtn.addEventListener('click', async () => {
-  const name = itemNameInput.value.trim();
-  const type = createItemModal.getAttribute('data-create-type');
+  await autoSave();
+  gitOpenedSkills.add(currentSkill.path);
+  gitSkillName.textContent = currentSkill.name;
+  gitSelectedPath = filePath;
+  gitModal.classList.add('active');
+  await refreshGitModal();
+}
+
+function closeGitModal() {
+  gitModal.classList.remove('active');
+  disposeGitDiff();
+  gitSelectedPath = null;
+}
+
+async function refreshGitModal() {
+  await refreshGitStatus();
+  gitChanges.innerHTML = '';
+  gitLog.innerHTML = '';
+
+  if (!gitState) {
+    gitBranch.textContent = '';
+    showGitMessage('Could not read git status. Is git installed?');
+    gitInitBtn.style.display = 'none';
+    gitCommitBtn.disabled = true;
+    return;
+  }
+
+  if (!gitState.isRepo) {
+    gitBranch.textContent = '';
+    showGitMessage('This skill is not a git repository yet');
+    gitInitBtn.style.display = 'inline-block';
+    gitCommitBtn.disabled = true;
+    gitCommitMessage.disabled = true;
+    return;
+  }
+
+  gitInitBtn.style.display = 'none';
+  gitCommitMessage.disabled = false;
+  gitBranch.textContent = gitState.branch;
+  gitCommitBtn.disabled = gitState.files.length === 0;
+
+  appendGitColumnTitle(gitChanges, gitState.files.length > 0 ? 'Changes' : 'No changes');
+  const statusLabels = { modified: 'M', added: 'A', deleted: 'D', renamed: 'R' };
+  gitState.files.forEach(file => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.setAttribute('data-file-path', file.path);
+
+    const status = document.createElement('span');
+    status.className = `history-status ${file.status === 'renamed' ? 'modified' : file.status}`;
+    status.textContent = statusLabels[file.status];
+
+    const name = document.createElement('span');
+    name.textContent = file.path;
+
+    item.appendChild(status);
+    item.appendChild(name);
+    item.addEventListener('click', () => selectGitFile(file.path));
+    gitChanges.appendChild(item);
+  });
+
+  const logResult = await window.electronAPI.gitLog({ skillPath: currentSkill.path });
+  const commits = logResult.success ? logResult.commits : [];
+  appendGitColumnTitle(gitLog, commits.length > 0 ? 'Recent commits' : 'No commits yet');
+  commits.forEach(commit => {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.title = `${commit.hash} by ${commit.author}`;
+
+    const time = document.createElement('div');
+    time.className = 'history-item-time';
+    time.textContent = `${commit.hash} · ${new Date(commit.timestamp).toLocaleString()}`;
+
+    const subject = document.createElement('div');
+    subject.textContent = commit.subject;
 
-  if (!name) {
-    showNotification('Please enter a name', 'error');
-    return;
+    item.appendChild(time);
+    item.appendChild(subject);
+    gitLog.appendChild(item);
+  });
+
+  const preferred = gitSelectedPath || getOpenFilePath() || (gitState.files[0] && gitState.files[0].path);
+  if (preferred) {
+    await selectGitFile(preferred);
+  } else {
+    showGitMessage('Nothing to diff');
   }
+}
 
-  if (!currentSkill) {
-    showNotification('No skill selected', 'error');
+function appendGitColumnTitle(column, text) {
+  const title = document.createElement('div');
+  title.className = 'git-column-title';
+  title.textContent = text;
+  column.appendChild(title);
+}
+
+async function selectGitFile(filePath) {
+  gitSelectedPath = filePath;
+  gitChanges.querySelectorAll('.history-item').forEach(item => {
+    item.classList.toggle('active', item.getAttribute('data-file-path') === filePath);
+  });
+
+  const result = await window.electronAPI.gitDiffHead({ skillPath: currentSkill.path, filePath });
+  if (!result.success) {
+    showGitMessage(result.error);
     return;
   }
 
-  createItemModal.classList.remove('active');
+  // HEAD on the left, working copy on the right
+  disposeGitDiff();
+  gitDiff.innerHTML = '';
+  gitDiffEditor = mountDiffEditor(gitDiff, result.original, result.modified, getLanguageMode(filePath));
+}
 
-  const nodePath = contextMenuTarget ? contextMenuTarget.getAttribute('data-node-path') : '';
-  const itemPath = nodePath ? `${nodePath}/${name}` : name;
+function showGitMessage(message) {
+  disposeGitDiff();
+  gitDiff.innerHTML = '';
+  const element = document.createElement('div');
+  element.className = 'history-diff-message';
+  element.textContent = message;
+  gitDiff.appendChild(element);
+}
 
-  try {
-    let result;
-    if (type === 'file') {
-      result = await window.electronAPI.createFile({
-        skillPath: currentSkill.path,
-        filePath: itemPath,
-        content: ''
-      });
-    } else {
-      result = await window.electronAPI.createFolder({
-        skillPath: currentSkill.path,
-        folderPath: itemPath
-      });
-    }
+function disposeGitDiff() {
+  disposeDiffEditor(gitDiffEditor);
+  gitDiffEditor = null;
+}
 
-    if (result.success) {
-      showNotification(`${type === 'file' ? 'File' : 'Folder'} created successfully`, 'success');
-      deactivateDragZone();
-      await loadFileTree();
+gitBtn.addEventListener('click', () => {
+  openGitModal();
+});
 
-      // Auto-load newly created files so user can start editing immediately
-      if (type === 'file') {
-        await loadFileFromTree(itemPath);
-      }
-    } else {
-      showNotification(`Failed to create ${type}: ${result.error}`, 'error');
-    }
-  } catch (error) {
-    console.error(`Error creating ${type}:`, error);
-    showNotification(`Error creating ${type}`, 'error');
-  } finally {
-    // Clear the context menu target after the operation completes
-    contextMenuTarget = null;
+gitCloseBtn.addEventListener('click', () => {
+  closeGitModal();
+});
+
+gitInitBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.gitInit({ skillPath: currentSkill.path });
+  if (result.success) {
+    showNotification('Initialized git repository', 'success');
+    await refreshGitModal();
+  } else {
+    showNotification('Failed to initialize repository: ' + result.error, 'error');
   }
 });
 
-// Rename modal
-function openRenameModal(nodePath, nodeType) {
-  const currentName = nodePath.split('/').pop();
-  renameInput.value = currentName;
-  renameModal.classList.add('active');
-  renameModal.setAttribute('data-node-path', nodePath);
-  renameInput.focus();
-  renameInput.select();
-}
+gitCommitBtn.addEventListener('click', async () => {
+  const message = gitCommitMessage.value.trim();
+  if (!message) {
+    showNotification('Enter a commit message', 'error');
+    gitCommitMessage.focus();
+    return;
+  }
 
-renameCancelBtn.addEventListener('click', () => {
-  renameModal.classList.remove('active');
+  if (!await saveBeforeDiskAction('Committing', currentSkillDir)) return;
+  gitCommitBtn.disabled = true;
+  const result = await window.electronAPI.gitCommit({ skillPath: currentSkill.path, message });
+
+  if (result.success) {
+    gitCommitMessage.value = '';
+    showNotification(`Committed ${result.hash}`, 'success');
+    await refreshGitModal();
+  } else {
+    gitCommitBtn.disabled = false;
+    showNotification('Commit failed: ' + result.error, 'error');
+  }
 });
 
-renameConfirmBtn.addEventListener('click', async () => {
-  const newName = renameInput.value.trim();
-  const nodePath = renameModal.getAttribute('data-node-path');
+// Offer to repair links after a rename or move
+async function offerLinkRewrites(oldPath, newPath) {
+  if (!currentSkill || !oldPath || !newPath || oldPath === newPath) return;
 
-  if (!newName) {
-    showNotification('Please enter a name', 'error');
-    return;
-  }
+  const result = await window.electronAPI.findLinkRewrites({
+    skillPath: currentSkill.path,
+    oldPath,
+    newPath
+  });
 
-  if (!currentSkill || !nodePath) {
-    showNotification('No skill or file selected', 'error');
+  if (!result.success || result.edits.length === 0) {
     return;
   }
 
-  renameModal.classList.remove('active');
+  linkRewriteMessage.textContent = `${result.edits.length} link(s) pointed at "${oldPath}". Update them to "${newPath}"?`;
+  linkRewriteList.innerHTML = '';
+  result.edits.forEach(edit => {
+    const item = document.createElement('li');
+    item.textContent = `${edit.file}:${edit.line}  ${edit.oldTarget} → ${edit.newTarget}`;
+    linkRewriteList.appendChild(item);
+  });
 
-  try {
-    const result = await window.electronAPI.renameFileOrFolder({
-      skillPath: currentSkill.path,
-      oldPath: nodePath,
-      newName: newName
-    });
+  linkRewriteModal.setAttribute('data-old-path', oldPath);
+  linkRewriteModal.setAttribute('data-new-path', newPath);
+  linkRewriteModal.classList.add('active');
+  setTimeout(() => {
+    linkRewriteConfirmBtn.focus();
+  }, 0);
+}
 
-    if (result.success) {
-      showNotification('Renamed successfully', 'success');
-      deactivateDragZone();
-      await loadFileTree();
+function closeLinkRewriteModal() {
+  linkRewriteModal.classList.remove('active');
+  linkRewriteModal.removeAttribute('data-old-path');
+  linkRewriteModal.removeAttribute('data-new-path');
+}
 
-      // If the renamed file was selected, clear the editor
-      if (currentFile && currentFile.path === nodePath) {
-        currentFile = null;
-        setEditorContent('');
-        document.getElementById('editor').style.display = 'none';
-        fileNotEditablePlaceholder.style.display = 'none';
-        emptyState.style.display = 'flex';
-        editorTitle.textContent = currentSkill.name;
-        fileInfo.textContent = '';
-      }
-    } else {
-      showNotification(`Failed to rename: ${result.error}`, 'error');
-    }
-  } catch (error) {
-    console.error('Error renaming:', error);
-    showNotification('Error renaming', 'error');
-  }
+linkRewriteCancelBtn.addEventListener('click', () => {
+  closeLinkRewriteModal();
 });
 
-// Move file to folder
-async function moveFileToFolder(filePath, targetFolderPath) {
-  if (!currentSkill) return;
+linkRewriteConfirmBtn.addEventListener('click', async () => {
+  const oldPath = linkRewriteModal.getAttribute('data-old-path');
+  const newPath = linkRewriteModal.getAttribute('data-new-path');
+  closeLinkRewriteModal();
 
-  // Don't allow moving into the same folder
-  const currentFolder = filePath.includes('/') ? filePath.substring(0, filePath.lastIndexOf('/')) : '';
-  if (currentFolder === targetFolderPath) {
-    showNotification('File is already in this folder', 'error');
+  if (!currentSkill || !oldPath || !newPath) return;
+
+  await autoSave();
+  const result = await window.electronAPI.applyLinkRewrites({
+    skillPath: currentSkill.path,
+    oldPath,
+    newPath
+  });
+
+  if (!result.success) {
+    showNotification(`Failed to update links: ${result.error}`, 'error');
     return;
   }
 
-  const fileName = filePath.split('/').pop();
-  const newPath = targetFolderPath ? `${targetFolderPath}/${fileName}` : fileName;
+  showNotification(`Updated ${result.count} link(s)`, 'success');
+  deactivateDragZone();
+  await reloadOpenFileIfChanged(result.updatedFiles);
+  await loadFileTree();
+});
 
-  try {
-    const result = await window.electronAPI.moveFile({
-      skillPath: currentSkill.path,
-      oldPath: filePath,
-      newPath: newPath
-    });
+// Refresh the buffers of open tabs whose files the main process rewrote
+async function reloadOpenFileIfChanged(changedFiles, skillDir = currentSkillDir) {
+  const tabs = openTabs.filter(tab => tab.skillDir === skillDir && tab.model && !tab.dirty &&
+    changedFiles.includes(tab.path));
 
-    if (result.success) {
-      showNotification('File moved successfully', 'success');
-      deactivateDragZone();
-      await loadFileTree();
+  for (const tab of tabs) {
+    const result = await window.electronAPI.loadFile({ filePath: getTabFullPath(tab) });
+    if (!result.success || !result.metadata.editable || tab.model.isDisposed() ||
+      result.content === tab.model.getValue()) continue;
 
-      // If the moved file was selected, update the current file path
-      if (currentFile && currentFile.path === filePath) {
-        currentFile.path = newPath;
-        editorTitle.textContent = `${currentSkill.name} / ${currentFile.name}`;
-        refreshActiveFileHighlight();
-      }
+    if (tab === activeTab) {
+      const viewState = editor.saveViewState();
+      setEditorContent(result.content);
+      editor.restoreViewState(viewState);
     } else {
-      showNotification(`Failed to move file: ${result.error}`, 'error');
+      suppressEditorChange = true;
+      try {
+        tab.model.setValue(result.content);
+      } finally {
+        suppressEditorChange = false;
+      }
+      markTabClean(tab, result.content);
     }
-  } catch (error) {
-    console.error('Error moving file:', error);
-    showNotification('Error moving file', 'error');
   }
 }
 
@@ -1497,24 +5266,16 @@ async function performDeleteFileOrFolder(nodePath) {
     });
 
     if (result.success) {
-      showNotification('Deleted successfully', 'success');
+      showNotification('Moved to the Trash', 'success');
       deactivateDragZone();
 
+      // Close tabs of the deleted file or of files in the deleted folder
       const deletedPath = nodePath || '';
-      const shouldClearEditor = currentFile && (
-        currentFile.path === deletedPath ||
-        (deletedPath && currentFile.path.startsWith(`${deletedPath}/`))
-      );
-
-      if (shouldClearEditor) {
-        currentFile = null;
-        setEditorContent('');
-        document.getElementById('editor').style.display = 'none';
-        fileNotEditablePlaceholder.style.display = 'none';
-        emptyState.style.display = 'flex';
-        editorTitle.textContent = `${currentSkill.name}`;
-        fileInfo.textContent = '';
-      }
+      const deletedSkillDir = currentSkillDir;
+      await closeTabs(tab => tab.skillDir === deletedSkillDir && (
+        tab.path === deletedPath ||
+        (deletedPath && tab.path.startsWith(`${deletedPath}/`))
+      ), { save: false, activateNext: false });
 
       // Force hide upload drop zone in case it's stuck
       uploadDropZone.classList.remove('active');
@@ -1586,7 +5347,9 @@ async function uploadFiles(fileList, targetFolder = '', isFolder = false) {
     const data = await file.arrayBuffer();
     filesToUpload.push({
       name: isFolder ? file.webkitRelativePath : file.name,
-      data: new Uint8Array(data)
+      data: new Uint8Array(data),
+      // The preload script reads the File's path on disk, so the executable bit can be kept
+      file: file instanceof File ? file : (file.file || null)
     });
   }
 
@@ -1661,7 +5424,8 @@ uploadDropZone.addEventListener('drop', async (e) => {
     const data = await file.arrayBuffer();
     filesToUpload.push({
       name: path ? `${path}/${file.name}` : file.name,
-      data: new Uint8Array(data)
+      data: new Uint8Array(data),
+      file
     });
     } else if (entry.isDirectory) {
       const reader = entry.createReader();
@@ -1682,11 +5446,422 @@ uploadDropZone.addEventListener('drop', async (e) => {
     await uploadFiles(filesToUpload.map(f => ({
       arrayBuffer: () => Promise.resolve(f.data),
       webkitRelativePath: f.name,
-      name: f.name.split('/').pop()
+      name: f.name.split('/').pop(),
+      file: f.file
     })), '', true);
   }
 });
 
+// Command registry: every app action with its keybinding. Keyboard shortcuts, the file tree
+// context menu and the command palette all run actions through runCommand. Commands that act
+// on a file or folder get a target: the node the context menu was opened on or, from the
+// palette and shortcuts, the file in the active tab. Keybindings are ignored while a modal is
+// open or a form field has focus, unless the command is marked global.
+const commands = [];
+
+function registerCommand(command) {
+  commands.push(command);
+}
+
+// A command that stands for a toolbar or sidebar button runs whatever the button does
+function registerButtonCommand(id, title, button, keybinding = null) {
+  registerCommand({
+    id,
+    title,
+    keybinding,
+    when: () => !button.disabled && button.style.display !== 'none',
+    run: () => button.click()
+  });
+}
+
+function getCommand(id) {
+  return commands.find(command => command.id === id) || null;
+}
+
+function isCommandAvailable(command, target) {
+  return !command.when || command.when(target);
+}
+
+function getNodeTarget(node) {
+  if (!node) return null;
+  return {
+    nodePath: node.getAttribute('data-node-path'),
+    nodeType: node.getAttribute('data-node-type'),
+    editable: node.getAttribute('data-editable') === 'true',
+    executable: node.getAttribute('data-executable') === 'true'
+  };
+}
+
+function getActiveFileTarget() {
+  if (!activeTab || !activeTab.file || activeTab.skillDir !== currentSkillDir) return null;
+
+  const node = document.getElementById(`file-node-${activeTab.path.replace(/\//g, '-')}`);
+  return {
+    nodePath: activeTab.path,
+    nodeType: 'file',
+    editable: Boolean(activeTab.file.editable),
+    executable: Boolean(node) && node.getAttribute('data-executable') === 'true'
+  };
+}
+
+async function runCommand(id, target = getActiveFileTarget()) {
+  const command = getCommand(id);
+  if (!command || !isCommandAvailable(command, target)) return false;
+
+  await command.run(target);
+  return true;
+}
+
+// Keybindings are written as 'Ctrl+Shift+P'; Ctrl also matches Cmd on macOS
+function matchesKeybinding(event, keybinding) {
+  const parts = keybinding.split('+');
+  const key = parts.pop().toLowerCase();
+  return (event.ctrlKey || event.metaKey) === parts.includes('Ctrl') &&
+    event.shiftKey === parts.includes('Shift') &&
+    event.altKey === parts.includes('Alt') &&
+    event.key.toLowerCase() === key;
+}
+
+// Form fields keep their own keys; the Monaco editor's hidden textarea is not one of them
+function isFormField(element) {
+  if (!element || !element.closest || element.closest('.monaco-editor')) return false;
+  return Boolean(element.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+function formatKeybinding(keybinding) {
+  return window.electronAPI.platform === 'darwin'
+    ? keybinding.replace('Ctrl+', '⌘').replace('Shift+', '⇧').replace('Alt+', '⌥')
+    : keybinding;
+}
+
+const hasSkill = () => Boolean(currentSkill);
+const isFileTarget = target => Boolean(currentSkill && target && target.nodeType === 'file');
+
+registerCommand({
+  id: 'command-palette',
+  title: 'Show All Commands',
+  keybinding: 'Ctrl+Shift+P',
+  global: true,
+  run: () => openCommandPalette()
+});
+registerButtonCommand('new-skill', 'New Skill', newSkillBtn, 'Ctrl+N');
+registerButtonCommand('open-skill-file', 'Open Skill File…', openSkillBtn);
+registerButtonCommand('import-skill-folder', 'Import Skill Folder…', importFolderBtn);
+registerButtonCommand('export-skills', 'Export Skills…', exportSkillsBtn);
+registerCommand({ id: 'search-skills', title: 'Search Skills', keybinding: 'Ctrl+Shift+F', run: () => openSearchPanel() });
+registerButtonCommand('trash', 'Open Trash', trashBtn);
+registerCommand({ id: 'preferences', title: 'Preferences', keybinding: 'Ctrl+,', run: () => openPreferencesModal() });
+registerCommand({
+  id: 'save-file',
+  title: 'Save File',
+  keybinding: 'Ctrl+S',
+  global: true,
+  when: () => Boolean(activeTab && activeTab.model),
+  run: () => saveActiveTab()
+});
+registerCommand({ id: 'close-tab', title: 'Close Tab', when: () => Boolean(activeTab), run: () => closeTab(activeTab) });
+registerCommand({
+  id: 'pin-tab',
+  title: 'Pin or Unpin Tab',
+  when: () => Boolean(activeTab),
+  run: () => togglePinTab(activeTab)
+});
+registerButtonCommand('toggle-markdown-preview', 'Toggle Markdown Preview', markdownPreviewBtn);
+registerButtonCommand('history', 'Version History', historyBtn);
+registerButtonCommand('open-compare', 'Compare Files', compareBtn);
+registerButtonCommand('source-control', 'Source Control (Git)', gitBtn);
+registerButtonCommand('problems', 'Toggle Problems Panel', problemsBtn);
+registerButtonCommand('preview-package', 'Preview Package', packagePreviewBtn);
+registerButtonCommand('package', 'Package & Install', packageBtn, 'Ctrl+P');
+registerButtonCommand('export-skill', 'Export Skill…', exportBtn);
+registerButtonCommand('install-claude-code', 'Install to Claude Code…', installBtn);
+registerButtonCommand('rename-skill', 'Rename Skill', renameSkillBtn);
+registerButtonCommand('duplicate-skill', 'Duplicate Skill', duplicateSkillBtn);
+registerButtonCommand('delete-skill', 'Delete Skill', deleteBtn);
+
+// File tree actions; the ids match the context menu's data-action attributes
+registerCommand({ id: 'new-file', title: 'New File', when: hasSkill, run: () => openCreateItemModal('file') });
+registerCommand({ id: 'new-folder', title: 'New Folder', when: hasSkill, run: () => openCreateItemModal('folder') });
+registerCommand({ id: 'upload-files', title: 'Upload Files…', when: hasSkill, run: () => triggerFileUpload() });
+registerCommand({ id: 'upload-folder', title: 'Upload Folder…', when: hasSkill, run: () => triggerFolderUpload() });
+registerCommand({
+  id: 'rename',
+  title: 'Rename File or Folder',
+  when: target => Boolean(currentSkill && target),
+  run: target => openRenameModal(target.nodePath, target.nodeType)
+});
+registerCommand({
+  id: 'compare',
+  title: 'Compare File With…',
+  when: target => isFileTarget(target) && target.editable,
+  run: target => openCompareModal({ mode: 'files', leftFile: target.nodePath })
+});
+registerCommand({
+  id: 'git-diff',
+  title: 'Diff File with HEAD',
+  when: target => isFileTarget(target) && Boolean(gitState && gitState.isRepo),
+  run: target => openGitModal(target.nodePath)
+});
+registerCommand({
+  id: 'toggle-executable',
+  title: 'Toggle Executable',
+  when: target => isFileTarget(target) && window.electronAPI.platform !== 'win32',
+  run: target => toggleExecutable(target.nodePath, !target.executable)
+});
+registerCommand({
+  id: 'delete',
+  title: 'Delete File or Folder',
+  when: target => Boolean(currentSkill && target),
+  run: target => openDeleteItemModal(target.nodePath, target.nodeType)
+});
+
+// Command palette: fuzzy search over commands, skills and the files of every skill
+const PALETTE_MAX_ITEMS = 50;
+let paletteItems = [];
+let paletteSelectedIndex = 0;
+let paletteFiles = []; // { skill, path } for every file in the library
+const paletteFileCache = new Map(); // skill path -> file paths, until the skill changes
+let paletteRequestId = 0;
+
+// Characters of the query in order, with bonuses for runs and word starts. null if no match.
+function fuzzyMatch(query, text) {
+  const lowerText = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of query.toLowerCase()) {
+    const index = lowerText.indexOf(char, from);
+    if (index === -1) return null;
+
+    if (positions.length > 0 && index === positions[positions.length - 1] + 1) {
+      score += 5;
+    }
+    if (index === 0 || /[\s/._-]/.test(text[index - 1])) {
+      score += 3;
+    }
+    score -= Math.min(index - from, 3);
+    positions.push(index);
+    from = index + 1;
+  }
+
+  return { score: score - text.length * 0.01, positions };
+}
+
+function flattenFileTree(nodes, files = []) {
+  (nodes || []).forEach(node => {
+    if (node.type === 'folder') {
+      flattenFileTree(node.children, files);
+    } else {
+      files.push(node.path);
+    }
+  });
+  return files;
+}
+
+// Drop cached file lists: of the skills with these folder names, or all of them
+function invalidatePaletteFiles(skillNames = null) {
+  if (!skillNames) {
+    paletteFileCache.clear();
+    return;
+  }
+  [...paletteFileCache.keys()].forEach(skillPath => {
+    if (skillNames.includes(getParentDirectory(skillPath).split('/').pop())) {
+      paletteFileCache.delete(skillPath);
+    }
+  });
+}
+
+// Only skills not listed since they last changed are listed again
+async function loadPaletteFiles() {
+  const requestId = ++paletteRequestId;
+  const files = [];
+
+  for (const skill of librarySkills) {
+    if (!paletteFileCache.has(skill.path)) {
+      const result = await window.electronAPI.listSkillFiles(skill.path);
+      if (!result.success) continue;
+      paletteFileCache.set(skill.path, flattenFileTree(result.files));
+    }
+    paletteFileCache.get(skill.path).forEach(filePath => files.push({ skill, path: filePath }));
+  }
+
+  if (requestId === paletteRequestId) {
+    paletteFiles = files;
+    if (commandPaletteModal.classList.contains('active')) {
+      renderCommandPalette();
+    }
+  }
+}
+
+function getPaletteEntries() {
+  const target = getActiveFileTarget();
+  const entries = commands
+    .filter(command => command.id !== 'command-palette' && isCommandAvailable(command, target))
+    .map(command => ({
+      kind: 'Command',
+      label: command.title,
+      keybinding: command.keybinding,
+      run: () => runCommand(command.id, target)
+    }));
+
+  librarySkills.forEach(skill => {
+    entries.push({
+      kind: 'Skill',
+      label: skill.name,
+      detail: skill.description,
+      run: () => loadSkill(skill, findSkillItemElement(skill.path))
+    });
+  });
+
+  paletteFiles.forEach(file => {
+    entries.push({
+      kind: 'File',
+      label: file.path,
+      detail: file.skill.name,
+      boost: currentSkill && file.skill.path === normalizePath(currentSkill.path) ? 2 : 0,
+      run: () => openTab(file.skill, file.path)
+    });
+  });
+
+  return entries;
+}
+
+function renderCommandPalette() {
+  const query = commandPaletteInput.value.replace(/\s+/g, '');
+  const entries = getPaletteEntries();
+
+  if (query) {
+    paletteItems = entries
+      .map(entry => ({ ...entry, match: fuzzyMatch(query, entry.label) }))
+      .filter(entry => entry.match)
+      .sort((a, b) => (b.match.score + (b.boost || 0)) - (a.match.score + (a.boost || 0)))
+      .slice(0, PALETTE_MAX_ITEMS);
+  } else {
+    // Without a query: commands, then skills
+    paletteItems = entries.filter(entry => entry.kind !== 'File').slice(0, PALETTE_MAX_ITEMS);
+  }
+  paletteSelectedIndex = Math.min(paletteSelectedIndex, Math.max(paletteItems.length - 1, 0));
+
+  commandPaletteList.innerHTML = '';
+  if (paletteItems.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'command-palette-empty';
+    empty.textContent = 'No matching commands, skills or files';
+    commandPaletteList.appendChild(empty);
+    return;
+  }
+
+  paletteItems.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.className = 'command-palette-item';
+    item.classList.toggle('selected', index === paletteSelectedIndex);
+
+    const kind = document.createElement('span');
+    kind.className = 'command-palette-kind';
+    kind.textContent = entry.kind;
+    item.appendChild(kind);
+
+    const label = document.createElement('span');
+    label.className = 'command-palette-label';
+    const matched = new Set(entry.match ? entry.match.positions : []);
+    Array.from(entry.label).forEach((char, position) => {
+      if (matched.has(position)) {
+        const mark = document.createElement('span');
+        mark.className = 'match';
+        mark.textContent = char;
+        label.appendChild(mark);
+      } else {
+        label.appendChild(document.createTextNode(char));
+      }
+    });
+    item.appendChild(label);
+
+    const detail = document.createElement('span');
+    detail.className = 'command-palette-detail';
+    detail.textContent = entry.detail || '';
+    item.appendChild(detail);
+
+    if (entry.keybinding) {
+      const keys = document.createElement('kbd');
+      keys.textContent = formatKeybinding(entry.keybinding);
+      item.appendChild(keys);
+    }
+
+    item.addEventListener('mousemove', () => {
+      if (paletteSelectedIndex !== index) {
+        paletteSelectedIndex = index;
+        updatePaletteSelection();
+      }
+    });
+    item.addEventListener('click', () => runPaletteItem(index));
+    commandPaletteList.appendChild(item);
+  });
+}
+
+function updatePaletteSelection() {
+  Array.from(commandPaletteList.children).forEach((item, index) => {
+    item.classList.toggle('selected', index === paletteSelectedIndex);
+  });
+  const selected = commandPaletteList.children[paletteSelectedIndex];
+  if (selected) {
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function openCommandPalette() {
+  if (commandPaletteModal.classList.contains('active')) return;
+
+  commandPaletteInput.value = '';
+  paletteSelectedIndex = 0;
+  commandPaletteModal.classList.add('active');
+  renderCommandPalette();
+  commandPaletteInput.focus();
+  loadPaletteFiles();
+}
+
+function closeCommandPalette({ refocusEditor = true } = {}) {
+  commandPaletteModal.classList.remove('active');
+  if (refocusEditor && editor && activeTab && activeTab.model) {
+    editor.focus();
+  }
+}
+
+async function runPaletteItem(index) {
+  const entry = paletteItems[index];
+  if (!entry) return;
+
+  closeCommandPalette({ refocusEditor: false });
+  contextMenuTarget = null; // File tree actions from the palette act on the skill root
+  await entry.run();
+}
+
+commandPaletteInput.addEventListener('input', () => {
+  paletteSelectedIndex = 0;
+  renderCommandPalette();
+});
+
+commandPaletteInput.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (paletteItems.length === 0) return;
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    paletteSelectedIndex = (paletteSelectedIndex + step + paletteItems.length) % paletteItems.length;
+    updatePaletteSelection();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    e.stopPropagation();
+    runPaletteItem(paletteSelectedIndex);
+  }
+});
+
+// Clicking next to the palette closes it
+commandPaletteModal.addEventListener('mousedown', (e) => {
+  if (e.target === commandPaletteModal) {
+    closeCommandPalette();
+  }
+});
+
 // Keyboard shortcuts
 document.addEventListener('keydown', (e) => {
   if (
@@ -1707,17 +5882,10 @@ document.addEventListener('keydown', (e) => {
     }
   }
 
-  // Ctrl/Cmd + P to package
-  if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
-    e.preventDefault();
-    if (currentSkill && !packageBtn.disabled) {
-      packageBtn.click();
-    }
-  }
-
-  // Ctrl/Cmd + N for new skill
-  if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
+  // Keybindings from the command registry (Ctrl+P package, Ctrl+N new skill, Ctrl+S save, ...)
+  const command = commands.find(candidate => candidate.keybinding && matchesKeybinding(e, candidate.keybinding));
+  if (command && (command.global || !(document.querySelector('.modal.active') || isFormField(e.target)))) {
     e.preventDefault();
-    newSkillBtn.click();
+    runCommand(command.id);
   }
 });